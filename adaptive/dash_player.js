@@ -98,9 +98,10 @@ AdaptiveWebMFile.prototype.canSeek = function() {
 
 /**
  * Loads the header level 1 elements and the Cues element in sequence with
- * offsets from the Representation object. |callback| will return the
- * status upon the successful parsing of both the level 1 header elements and
- * Cues element or an error. The format for callback(object) is
+ * offsets from the Representation object. If the Representation does not have
+ * an index range the Cues are built from the Clusters. |callback| will return
+ * the status upon the successful parsing of both the level 1 header elements
+ * and Cues element or an error. The format for callback(object) is
  * obj.status {number} The returned status and
  * [obj.reason] {string} Extra information on the status.
  * @param {function} callback Callback function.
@@ -148,10 +149,13 @@ AdaptiveWebMFile.prototype.loadHeader = function(callback) {
     if (success) {
       var index = t.representation.indexRange();
       if (!index) {
-        t.state = AdaptiveWebMFile.ERROR;
-        var errorStr = 'Rep[' + t.representation.id +
-                       '] Error parseFirstHeaders() index is not set.';
-        callback(new ErrorStatus(errorStr));
+        // Files without an index, e.g. live recordings, often do not have a
+        // Duration element.
+        var duration = t.representation.getDuration();
+        if (duration > 0)
+          t.parser.setDuration(duration);
+        t.parser.buildCues(
+            function(success) {t.onLoadHeader(success, callback);});
         return;
       }
       offset = index[0];
@@ -180,11 +184,13 @@ AdaptiveWebMFile.prototype.loadHeader = function(callback) {
  * @param {function} callback Callback function.
  */
 AdaptiveWebMFile.prototype.onLoadHeader = function(success, callback) {
-  if (success) {
-    this.state = AdaptiveWebMFile.HEADERS_LOADED;
-  } else {
+  if (!success) {
     this.state = AdaptiveWebMFile.ERROR;
+    callback(new ErrorStatus('Rep[' + this.representation.id +
+                             '] Error loading the Cues.'));
+    return;
   }
+  this.state = AdaptiveWebMFile.HEADERS_LOADED;
 
   // Media Source API will generate an error if the cluster time is less than
   // the time already appended for the same stream.
@@ -212,11 +218,11 @@ AdaptiveWebMFile.prototype.loadIndex = function(callback) {
     return;
   }
 
-  //TODO(fgalligan): Handle Dash manifests without index ranges.
+  // The Cues of files without an index are built from the Clusters, which
+  // needs the header level 1 elements.
   var index = this.representation.indexRange();
   if (!index) {
-    var errorStr = 'Rep[' + this.representation.id + '] index is not set.';
-    callback(new ErrorStatus(errorStr));
+    this.loadHeader(callback);
     return;
   }
 
@@ -279,11 +285,11 @@ AdaptiveWebMFile.prototype.loadExtraDataParallel = function(callback) {
     return;
   }
 
-  //TODO(fgalligan): Handle Dash manifests without index ranges.
+  // The Cues of files without an index are built from the Clusters after
+  // the header level 1 elements are parsed.
   var index = this.representation.indexRange();
   if (!index) {
-    var errorStr = 'Rep[' + this.representation.id + '] index is not set.';
-    callback(new ErrorStatus(errorStr));
+    this.loadHeader(callback);
     return;
   }
 
@@ -537,6 +543,7 @@ function DashPlayer(url, videoElement, opt_manager, opt_log) {
   this.adaptiveStreams_ = {};
   this.webMFilesMap_ = {};
   this.eventCallbacks_ = {};
+  this.requestedKeyIds_ = {};
 
   this.mediaSource = new MediaSource();
 
@@ -605,6 +612,32 @@ DashPlayer.SEEKING = 3;
  */
 DashPlayer.ERROR = 6;
 
+/**
+ * Pattern to find video AdaptationSets by their codecs.
+ * @const
+ * @type {RegExp}
+ * @private
+ */
+DashPlayer.VIDEO_CODECS_PATTERN_ = /vp8|vp9|vp09|av01/i;
+
+/**
+ * Pattern to find audio AdaptationSets by their codecs.
+ * @const
+ * @type {RegExp}
+ * @private
+ */
+DashPlayer.AUDIO_CODECS_PATTERN_ = /vorbis|opus/i;
+
+/**
+ * Pattern of the codec strings supported by the player. VP9 may be listed
+ * with the short 'vp9' string.
+ * @const
+ * @type {RegExp}
+ * @private
+ */
+DashPlayer.SUPPORTED_CODEC_PATTERN_ =
+    /^(vp8|vp9|vp09\..+|av01\..+|vorbis|opus)$/i;
+
 /**
  * Static function to return version string.
  * @return {string} version.
@@ -690,13 +723,84 @@ DashPlayer.validateRepresentation = function(representation) {
     return new ErrorStatus('Representation URL is null');
   if (!representation.headerRange())
     return new ErrorStatus('Representation headerRange is null');
-  if (!representation.indexRange())
-    return new ErrorStatus('Representation indexRange is null');
   if (representation.getMimetype().search(/webm/i) == -1)
     return new ErrorStatus('Mimetype is not WebM.');
-  if (representation.getCodecs().search(/vp8/i) == -1 &&
-      representation.getCodecs().search(/vorbis/i) == -1)
-    return new ErrorStatus('Codecs does not contain VP8 or Vobis.');
+  var codecs = DashPlayer.splitCodecs_(representation.getCodecs());
+  if (codecs.length == 0)
+    return new ErrorStatus('Codecs is empty.');
+  for (var i = 0; i < codecs.length; ++i) {
+    if (!DashPlayer.SUPPORTED_CODEC_PATTERN_.test(codecs[i]))
+      return new ErrorStatus('Codec is not supported: ' + codecs[i]);
+  }
+  return new OKStatus();
+};
+
+/**
+ * Static function to split a codecs attribute into codec strings.
+ * @param {string} codecs Comma separated list of codec strings.
+ * @return {Array.<string>} List of codec strings.
+ * @private
+ */
+DashPlayer.splitCodecs_ = function(codecs) {
+  var list = [];
+  var parts = codecs.split(',');
+  for (var i = 0; i < parts.length; ++i) {
+    var codec = parts[i].replace(/^\s+|\s+$/g, '');
+    if (codec)
+      list.push(codec);
+  }
+  return list;
+};
+
+/**
+ * Static function to get the codec name of a codec string, the part before
+ * the first period. 'vp9' is returned as 'vp09'.
+ * @param {string} codec Codec string.
+ * @return {string} Lower case codec name.
+ * @private
+ */
+DashPlayer.getCodecName_ = function(codec) {
+  var name = codec.split('.')[0].toLowerCase();
+  return name == 'vp9' ? 'vp09' : name;
+};
+
+/**
+ * Static function to cross-check the codecs attribute of a Representation
+ * with the codec strings derived from the file. Codec strings without
+ * parameters in the manifest, e.g. 'vp9', match any codec string of the same
+ * codec.
+ * @param {string} manifestCodecs Codecs attribute from the manifest.
+ * @param {string} fileCodecs Codec strings from WebMFileParser.getCodecs.
+ * @param {boolean} opt_namesOnly If true only the codec names are compared.
+ * @return {Object} Status object. Returns an error if the manifest lists
+ *     different codecs than the file or different codec parameters.
+ * @private
+ */
+DashPlayer.checkCodecs_ = function(manifestCodecs, fileCodecs,
+                                   opt_namesOnly) {
+  var manifestList = DashPlayer.splitCodecs_(manifestCodecs);
+  var fileList = DashPlayer.splitCodecs_(fileCodecs);
+  if (manifestList.length != fileList.length) {
+    return new ErrorStatus('Manifest codecs "' + manifestCodecs +
+                           '" != file codecs "' + fileCodecs + '"');
+  }
+
+  for (var i = 0; i < fileList.length; ++i) {
+    var match = false;
+    for (var j = 0; j < manifestList.length && !match; ++j) {
+      var manifestCodec = manifestList[j];
+      if (manifestCodec.toLowerCase() == fileList[i].toLowerCase()) {
+        match = true;
+      } else if (opt_namesOnly || manifestCodec.indexOf('.') == -1) {
+        match = DashPlayer.getCodecName_(manifestCodec) ==
+                DashPlayer.getCodecName_(fileList[i]);
+      }
+    }
+    if (!match) {
+      return new ErrorStatus('Manifest codecs "' + manifestCodecs +
+                             '" do not contain "' + fileList[i] + '"');
+    }
+  }
   return new OKStatus();
 };
 
@@ -786,6 +890,13 @@ DashPlayer.prototype.period = null;
  */
 DashPlayer.prototype.webMFilesMap_ = null;
 
+/**
+ * Key IDs, as hex strings, that the player has requested licenses for.
+ * @private
+ * @type {Object.<boolean>}
+ */
+DashPlayer.prototype.requestedKeyIds_ = null;
+
 /**
  * The audio source buffer for Media Source API.
  * @private
@@ -858,6 +969,34 @@ DashPlayer.prototype.doOpen = function(setupStreamsFunction) {
   return new OKStatus();
 };
 
+/**
+ * Asynchronous function to get the chapters of the current video stream. The
+ * format for callback(editions) is editions {Array} List of chapter editions
+ * or null on error. See WebMFileParser.getChapters.
+ * @param {function} callback Callback function.
+ */
+DashPlayer.prototype.getChapters = function(callback) {
+  var vid = this.adaptiveStreams_['video'];
+  if (!vid || !vid.source || !vid.source.parser ||
+      vid.source.state != AdaptiveWebMFile.HEADERS_LOADED) {
+    callback(null);
+    return;
+  }
+
+  var parser = vid.source.parser;
+  parser.fetchChapters(function(success) {
+    callback(success ? parser.getChapters() : null);
+  });
+};
+
+/**
+ * Seeks the video element to the start of |chapter|.
+ * @param {Object} chapter Chapter Object returned from getChapters.
+ */
+DashPlayer.prototype.seekToChapter = function(chapter) {
+  this.videoElement.currentTime = chapter.startTime;
+};
+
 /**
  * Handle Media Source webkitsourceended event.
  */
@@ -975,8 +1114,55 @@ function requestLicense(message, sessionId, playerPrototype) {
 DashPlayer.prototype.doNeedKey = function(e) {
   this.log('doNeedKey() : ');
   this.log('Need key for the following ID: ' + e.initData);
-  this.videoElement.webkitGenerateKeyRequest('webkit-org.w3.clearkey',
-                                             e.initData);
+  this.generateKeyRequest_(e.initData);
+};
+
+/**
+ * Generates a key request for |initData| if one has not been generated
+ * already. Does nothing if the browser does not support prefixed EME. The
+ * key ID is only marked as requested if the request could be generated, so
+ * a failed request is tried again.
+ * @param {Uint8Array} initData Key ID of the key to request.
+ * @private
+ */
+DashPlayer.prototype.generateKeyRequest_ = function(initData) {
+  if (typeof this.videoElement.webkitGenerateKeyRequest != 'function') {
+    this.log('generateKeyRequest_() : Encrypted media is not supported.');
+    return;
+  }
+
+  var hex = EbmlParser.toHex(initData, 0, initData.length);
+  if (this.requestedKeyIds_[hex])
+    return;
+
+  try {
+    this.videoElement.webkitGenerateKeyRequest('webkit-org.w3.clearkey',
+                                               initData);
+  } catch (e) {
+    this.log('generateKeyRequest_() : Could not request key ' + hex + '. ' +
+             e.message);
+    return;
+  }
+  this.requestedKeyIds_[hex] = true;
+};
+
+/**
+ * Requests licenses for all of the key IDs declared in the headers of the
+ * current streams. This lets the licenses be requested before any media
+ * data is appended.
+ * @private
+ */
+DashPlayer.prototype.requestLicenses_ = function() {
+  var streamTypes = ['video', 'audio'];
+  for (var i = 0; i < streamTypes.length; ++i) {
+    var stream = this.adaptiveStreams_[streamTypes[i]];
+    if (!stream || !stream.source.parser)
+      continue;
+
+    var initData = stream.source.parser.getEncryptionInitData();
+    for (var j = 0; j < initData.length; ++j)
+      this.generateKeyRequest_(initData[j]);
+  }
 };
 
 /**
@@ -1189,11 +1375,81 @@ DashPlayer.prototype.initializeFirstStreams_ = function() {
     this.adaptiveStreams_['audio'] = aud;
   }
 
-  if (this.adaptiveStreams_['video'])
-    this.videoSourceBuffer = this.mediaSource.addSourceBuffer('video/webm; codecs="vp8"');
-  if (this.adaptiveStreams_['audio'])
-    this.audioSourceBuffer = this.mediaSource.addSourceBuffer('video/webm; codecs="vorbis"');
+  return new OKStatus();
+};
+
+/**
+ * Returns the type to create a SourceBuffer for |webm| with. The codec
+ * strings are derived from the tracks of the file. If the codec strings
+ * cannot be derived the codecs of the Representation are used.
+ * @param {AdaptiveWebMFile} webm WebM file with parsed headers.
+ * @return {string} MIME type with the codecs parameter.
+ * @private
+ */
+DashPlayer.prototype.getSourceBufferType_ = function(webm) {
+  var representation = webm.representation;
+  var type = webm.parser.getMimeType();
+  if (!type) {
+    this.log('Could not derive the codecs of Rep[' + representation.id +
+             ']. Using the manifest codecs.');
+    return representation.getMimetype() + '; codecs="' +
+           representation.getCodecs() + '"';
+  }
+  return type;
+};
+
+/**
+ * Cross-checks the codecs of |webm| with the codecs of every Representation
+ * in its AdaptationSet, as all of them are appended to the SourceBuffer
+ * created for |webm|. The Representation of |webm| must match the codec
+ * strings of the file. The other Representations must match the codec names,
+ * as their codec parameters are not known until their headers are loaded.
+ * @param {AdaptiveWebMFile} webm WebM file with parsed headers.
+ * @return {Object} Status object.
+ * @private
+ */
+DashPlayer.prototype.checkSourceBufferCodecs_ = function(webm) {
+  var representation = webm.representation;
+  var fileCodecs = webm.parser.getCodecs() || representation.getCodecs();
+  var list = representation.parent.representationList;
+  for (var i = 0; i < list.length; ++i) {
+    var namesOnly = list[i] != representation;
+    var res = DashPlayer.checkCodecs_(list[i].getCodecs(), fileCodecs,
+                                      namesOnly);
+    if (res.status != ErrorStatus.STATUS_OK)
+      return new ErrorStatus('Rep[' + list[i].id + '] ' + res.reason);
+  }
+  return new OKStatus();
+};
+
+/**
+ * Creates the SourceBuffers for the current streams. Must be called after
+ * the headers of the streams have been parsed.
+ * @return {Object} Status object.
+ * @private
+ */
+DashPlayer.prototype.addSourceBuffers_ = function() {
+  var streams = {video: null, audio: null};
+  for (var name in streams) {
+    var stream = this.adaptiveStreams_[name];
+    if (!stream)
+      continue;
+
+    var res = this.checkSourceBufferCodecs_(stream.source);
+    if (res.status != ErrorStatus.STATUS_OK)
+      return res;
+
+    var type = this.getSourceBufferType_(stream.source);
+    this.log('addSourceBuffers_() ' + name + ':' + type);
+    if (window.MediaSource && MediaSource.isTypeSupported &&
+        !MediaSource.isTypeSupported(type)) {
+      return new ErrorStatus('Type is not supported: ' + type);
+    }
+    streams[name] = this.mediaSource.addSourceBuffer(type);
+  }
 
+  this.videoSourceBuffer = streams.video;
+  this.audioSourceBuffer = streams.audio;
   return new OKStatus();
 };
 
@@ -1298,8 +1554,17 @@ DashPlayer.prototype.onParseHeadersDone = function(success) {
   var vid = this.adaptiveStreams_['video'];
   var aud = this.adaptiveStreams_['audio'];
 
+  var res = this.addSourceBuffers_();
+  if (res.status != ErrorStatus.STATUS_OK) {
+    this.log('Could not create the SourceBuffers. ' + res.reason);
+    this.reportParseError();
+    return;
+  }
+
   this.changeState(DashPlayer.LOADING);
 
+  this.requestLicenses_();
+
   var t = this;
 
   if (aud) {
@@ -1344,7 +1609,8 @@ DashPlayer.prototype.loadFirstClusters = function() {
   var vid = this.adaptiveStreams_['video'];
   var aud = this.adaptiveStreams_['audio'];
 
-  var res = vid.source.parser.getFirstCueDesc();
+  var res = vid.source.parser.getFirstCueDesc(
+      vid.source.parser.getVideoTrackNumber());
   if (res.status != WebMParser.STATUS_OK) {
     this.log('Could not get video first cueDesc! reason:' + res.reason);
     this.reportParseError();
@@ -1605,7 +1871,12 @@ DashPlayer.prototype.startSeek = function() {
   var seekTime = this.seekTime;
   this.log('Seeking to ' + seekTime);
 
-  var res = vid.source.parser.getCueDescFromTime(seekTime);
+  // Start the audio at a Cluster that leaves enough time for the
+  // SeekPreRoll. Without an audio stream the audio is in the video file.
+  var audSeekTime = Math.max(seekTime - this.getAudioSeekPreRoll_(), 0);
+  var vidSeekTime = aud ? seekTime : audSeekTime;
+  var res = vid.source.parser.getCueDescFromTime(
+      vidSeekTime, vid.source.parser.getVideoTrackNumber());
   if (res.status != WebMParser.STATUS_OK) {
     this.log('startSeek() getCueDescFromTime on video failed. seekTime:' +
              seekTime + ' :' + res.reason);
@@ -1614,7 +1885,7 @@ DashPlayer.prototype.startSeek = function() {
   vid.cueDesc = res.value;
 
   if (aud) {
-    var res = aud.source.parser.getCueDescFromTime(seekTime);
+    var res = aud.source.parser.getCueDescFromTime(audSeekTime);
     if (res.status != WebMParser.STATUS_OK) {
       this.log('startSeek() getCueDescFromTime on audio failed. seekTime:' +
                seekTime + ' :' + res.reason);
@@ -1632,6 +1903,25 @@ DashPlayer.prototype.startSeek = function() {
   this.fetchPartialClusters();
 };
 
+/**
+ * Returns the SeekPreRoll of the audio, the time audio decoding must start
+ * before a seek or switch point, e.g. for Opus. The SeekPreRoll is read from
+ * the audio stream. If there is no audio stream it is read from the video
+ * file, which then holds the audio.
+ * @param {AdaptiveWebMFile} opt_videoWebM Optional video file to use instead
+ *     of the current video stream.
+ * @return {number} SeekPreRoll in seconds.
+ * @private
+ */
+DashPlayer.prototype.getAudioSeekPreRoll_ = function(opt_videoWebM) {
+  var aud = this.adaptiveStreams_['audio'];
+  if (aud)
+    return aud.source.parser.getSeekPreRoll();
+
+  var webm = opt_videoWebM || this.adaptiveStreams_['video'].source;
+  return webm.parser.getSeekPreRoll();
+};
+
 /**
  * Changes the player state.
  * @param {number} newState State to change the player too.
@@ -1672,8 +1962,8 @@ DashPlayer.prototype.findVideoLowsetBandwidth = function() {
 
   var representation = null;
 
-  // Use vp8 string as a search parameter for a video stream.
-  var as = this.period.findFirstAdaptationSet(/vp8/i);
+  var as = this.period.findFirstAdaptationSet(
+      DashPlayer.VIDEO_CODECS_PATTERN_);
   if (as) {
     var mediaBandwidth = Number.MAX_VALUE;
     var l = as.representationList.length;
@@ -1797,8 +2087,8 @@ DashPlayer.prototype.findVideoMaxHeight = function() {
   if (!this.period)
     return null;
 
-  //Use vp8 string as a search parameter for a video stream.
-  var as = this.period.findFirstAdaptationSet(/vp8/i);
+  var as = this.period.findFirstAdaptationSet(
+      DashPlayer.VIDEO_CODECS_PATTERN_);
   if (!as)
     return null;
 
@@ -1835,8 +2125,8 @@ DashPlayer.prototype.findFirstAudioStream = function() {
   if (!this.period)
     return null;
 
-  // Use vorbis string as a search parameter for an audio stream.
-  var as = this.period.findFirstAdaptationSet(/vorbis/i);
+  var as = this.period.findFirstAdaptationSet(
+      DashPlayer.AUDIO_CODECS_PATTERN_);
   if (!as)
     return null;
 
@@ -2207,10 +2497,12 @@ DashPlayer.prototype.switchVideoStream = function(switchWebM) {
              ' new_id:' + switchWebM.representation.id);
 
     var vid = this.adaptiveStreams_['video'];
-    var res = switchWebM.parser.getCueDescFromTime(vid.cueDesc.time);
+    var videoTrack = switchWebM.parser.getVideoTrackNumber();
+    var res = switchWebM.parser.getCueDescFromTime(vid.cueDesc.time,
+                                                   videoTrack);
     if (res.status != WebMParser.STATUS_OK) {
       this.log('switchVideoStream() getCueDescFromTime failed. seekTime:' +
-               seekTime + ' :' + res.reason);
+               vid.cueDesc.time + ' :' + res.reason);
       return res;
     }
     var cue = res.value;
@@ -2220,6 +2512,17 @@ DashPlayer.prototype.switchVideoStream = function(switchWebM) {
       // less then next cluster of the current stream. This is to guard
       // against AdaptationSets that are not aligned.
       if (cue.time >= vid.cueDesc.time) {
+        // Audio in the new stream must start decoding SeekPreRoll before the
+        // switch time. A separate audio stream is not switched.
+        var seekPreRoll = this.adaptiveStreams_['audio'] ? 0 :
+            this.getAudioSeekPreRoll_(switchWebM);
+        if (seekPreRoll > 0) {
+          res = switchWebM.parser.getCueDescFromTime(
+              Math.max(cue.time - seekPreRoll, 0), videoTrack);
+          if (res.status != WebMParser.STATUS_OK)
+            return res;
+          cue = res.value;
+        }
         vid.source = switchWebM;
         vid.cueDesc = cue;
       }
@@ -112,6 +112,10 @@ WebMPlayer.prototype.onParseHeadersDone = function(success) {
     return;
   }
 
+  var header = this.parser.getEbmlHeader();
+  this.log('DocType:' + header.docType + ' version:' + header.docTypeVersion +
+           ' features:' + header.features.join(','));
+
   var info = this.parser.getInfo();
   var tracks = this.parser.getTracks();
 
@@ -246,7 +250,7 @@ WebMPlayer.prototype.startSeek = function() {
   var t = this;
   this.parser.getClusterOffset(seek_time, function(start_time, offset) {
     t.onGetClusterOffsetDone(seq_num, seek_time, start_time, offset);
-  });
+  }, this.parser.getVideoTrackNumber());
 };
 
 WebMPlayer.prototype.onGetClusterOffsetDone = function(seq_num, seek_time,
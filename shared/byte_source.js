@@ -0,0 +1,119 @@
+// Copyright (c) 2012 The WebM project authors. All Rights Reserved.
+// Use of this source code is governed by a BSD-style license
+// that can be found in the LICENSE file in the root of the source
+// tree. An additional intellectual property rights grant can be found
+// in the file PATENTS.  All contributing project authors may
+// be found in the AUTHORS file in the root of the source tree.
+
+'use strict';
+
+/**
+ * Class to serve the reads of an HttpFile from data in memory. See
+ * HttpFile.setByteSource.
+ * @param {Uint8Array} data File data.
+ * @constructor
+ */
+function BufferByteSource(data) {
+  this.data_ = data;
+}
+
+/**
+ * Asynchronous function to get the bytes from |start| to |end|. Less bytes
+ * are returned if |end| is past the end of the data.
+ * @param {number} start Start byte offset.
+ * @param {number} end End byte offset.
+ * @param {function} callback Return function. First parameter passes back
+ *     an Uint8Array with the bytes or null if |start| is past the end of the
+ *     data. Second parameter passes back the size of the data.
+ */
+BufferByteSource.prototype.getBytes = function(start, end, callback) {
+  var data = this.data_;
+  setTimeout(function() {
+    if (start >= data.length) {
+      callback(null);
+      return;
+    }
+    callback(data.subarray(start, Math.min(end, data.length)), data.length);
+  }, 0);
+};
+
+/**
+ * Class to serve the reads of an HttpFile from a local file in Node. See
+ * HttpFile.setByteSource.
+ * @param {string} path Path of the file.
+ * @constructor
+ */
+function NodeFileByteSource(path) {
+  this.path_ = path;
+  this.fd_ = -1;
+  this.fileLength_ = -1;
+}
+
+/**
+ * Opens the file if it is not open yet.
+ * @return {boolean} True if the file is open.
+ * @private
+ */
+NodeFileByteSource.prototype.open_ = function() {
+  if (this.fd_ != -1)
+    return true;
+
+  var fs = require('fs');
+  try {
+    this.fd_ = fs.openSync(this.path_, 'r');
+    this.fileLength_ = fs.fstatSync(this.fd_).size;
+  } catch (e) {
+    this.close();
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Asynchronous function to get the bytes from |start| to |end|. Less bytes
+ * are returned if |end| is past the end of the file.
+ * @param {number} start Start byte offset.
+ * @param {number} end End byte offset.
+ * @param {function} callback Return function. First parameter passes back
+ *     an Uint8Array with the bytes or null on error or if |start| is past the
+ *     end of the file. Second parameter passes back the file length.
+ */
+NodeFileByteSource.prototype.getBytes = function(start, end, callback) {
+  if (!this.open_()) {
+    setTimeout(callback, 0, null);
+    return;
+  }
+
+  var size = Math.min(end, this.fileLength_) - start;
+  if (size <= 0) {
+    setTimeout(callback, 0, null);
+    return;
+  }
+
+  var t = this;
+  var buf = new Uint8Array(size);
+  require('fs').read(this.fd_, buf, 0, size, start, function(err, bytesRead) {
+    if (err) {
+      callback(null);
+      return;
+    }
+    callback(buf.subarray(0, bytesRead), t.fileLength_);
+  });
+};
+
+/**
+ * Closes the file. The file is opened again by the next read.
+ */
+NodeFileByteSource.prototype.close = function() {
+  if (this.fd_ != -1)
+    require('fs').closeSync(this.fd_);
+  this.fd_ = -1;
+  this.fileLength_ = -1;
+};
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    BufferByteSource: BufferByteSource,
+    NodeFileByteSource: NodeFileByteSource
+  };
+}
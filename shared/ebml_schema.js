@@ -0,0 +1,646 @@
+// Copyright (c) 2012 The WebM project authors. All Rights Reserved.
+// Use of this source code is governed by a BSD-style license
+// that can be found in the LICENSE file in the root of the source
+// tree. An additional intellectual property rights grant can be found
+// in the file PATENTS.  All contributing project authors may
+// be found in the AUTHORS file in the root of the source tree.
+
+'use strict';
+
+// Node loads the scripts that the browser loads with script tags.
+if (typeof module != 'undefined' && module.exports) {
+  var EbmlParser = require('./webm_parser.js').EbmlParser;
+}
+
+/**
+ * Class to describe the elements of an EBML document type. Each element has
+ * an 'id', the element ID as an uppercase hex string, e.g. '2AD7B1', a
+ * 'name', a 'type', the 'parent' ID, a 'defaultValue', which is undefined if
+ * the element does not have a default, and the flags 'multiple', if the
+ * element may occur more than once in its parent, and 'recursive', if the
+ * element may also be a child of itself. 'parent' is an empty string for top
+ * level elements and GLOBAL_PARENT for elements that may occur in any master
+ * element. See WebMParser.parseWithSchema for the generic parser that uses
+ * the schema.
+ * @param {Array} opt_elements Optional list of element rows. See
+ *     MATROSKA_ELEMENTS_ for the format.
+ * @constructor
+ */
+function EbmlSchema(opt_elements) {
+  this.elements_ = {};
+  this.names_ = {};
+  this.children_ = {};
+
+  var rows = opt_elements || [];
+  for (var i = 0; i < rows.length; ++i) {
+    var row = rows[i];
+    this.addElement({id: row[0], name: row[1], type: row[2], parent: row[3],
+                     defaultValue: row[4], multiple: !!row[5],
+                     recursive: !!row[6]});
+  }
+}
+
+/**
+ * Master element type.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.TYPE_MASTER = 'master';
+
+/**
+ * Unsigned integer element type.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.TYPE_UINT = 'uinteger';
+
+/**
+ * Signed integer element type.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.TYPE_INT = 'integer';
+
+/**
+ * Floating point element type.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.TYPE_FLOAT = 'float';
+
+/**
+ * ASCII string element type.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.TYPE_STRING = 'string';
+
+/**
+ * UTF-8 string element type.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.TYPE_UTF8 = 'utf-8';
+
+/**
+ * Date element type. The value is the number of nanoseconds since
+ * 2001-01-01T00:00:00 UTC.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.TYPE_DATE = 'date';
+
+/**
+ * Binary element type.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.TYPE_BINARY = 'binary';
+
+/**
+ * Parent of the elements that may occur in any master element, e.g. Void.
+ * @const
+ * @type {string}
+ */
+EbmlSchema.GLOBAL_PARENT = '*';
+
+/**
+ * Default schema. Created on first use.
+ * @private
+ */
+EbmlSchema.default_ = null;
+
+/**
+ * Elements of the EBML header and of the Matroska elements used in WebM. The
+ * names follow the Matroska specification. Each row is
+ * [id, name, type, parent id, default value, multiple, recursive]. The last
+ * three values are optional.
+ * @private
+ */
+EbmlSchema.MATROSKA_ELEMENTS_ = [
+  // EBML header and global elements.
+  ['1A45DFA3', 'EBML', 'master', ''],
+  ['4286', 'EBMLVersion', 'uinteger', '1A45DFA3', 1],
+  ['42F7', 'EBMLReadVersion', 'uinteger', '1A45DFA3', 1],
+  ['42F2', 'EBMLMaxIDLength', 'uinteger', '1A45DFA3', 4],
+  ['42F3', 'EBMLMaxSizeLength', 'uinteger', '1A45DFA3', 8],
+  ['4282', 'DocType', 'string', '1A45DFA3'],
+  ['4287', 'DocTypeVersion', 'uinteger', '1A45DFA3', 1],
+  ['4285', 'DocTypeReadVersion', 'uinteger', '1A45DFA3', 1],
+  ['4281', 'DocTypeExtension', 'master', '1A45DFA3', undefined, true],
+  ['4283', 'DocTypeExtensionName', 'string', '4281'],
+  ['4284', 'DocTypeExtensionVersion', 'uinteger', '4281'],
+  ['EC', 'Void', 'binary', '*', undefined, true],
+  ['BF', 'CRC-32', 'binary', '*'],
+
+  // Segment and SeekHead.
+  ['18538067', 'Segment', 'master', ''],
+  ['114D9B74', 'SeekHead', 'master', '18538067', undefined, true],
+  ['4DBB', 'Seek', 'master', '114D9B74', undefined, true],
+  ['53AB', 'SeekID', 'binary', '4DBB'],
+  ['53AC', 'SeekPosition', 'uinteger', '4DBB'],
+
+  // Info.
+  ['1549A966', 'Info', 'master', '18538067'],
+  ['73A4', 'SegmentUUID', 'binary', '1549A966'],
+  ['7384', 'SegmentFilename', 'utf-8', '1549A966'],
+  ['3CB923', 'PrevUUID', 'binary', '1549A966'],
+  ['3C83AB', 'PrevFilename', 'utf-8', '1549A966'],
+  ['3EB923', 'NextUUID', 'binary', '1549A966'],
+  ['3E83BB', 'NextFilename', 'utf-8', '1549A966'],
+  ['4444', 'SegmentFamily', 'binary', '1549A966', undefined, true],
+  ['2AD7B1', 'TimestampScale', 'uinteger', '1549A966', 1000000],
+  ['4489', 'Duration', 'float', '1549A966'],
+  ['4461', 'DateUTC', 'date', '1549A966'],
+  ['7BA9', 'Title', 'utf-8', '1549A966'],
+  ['4D80', 'MuxingApp', 'utf-8', '1549A966'],
+  ['5741', 'WritingApp', 'utf-8', '1549A966'],
+
+  // Cluster.
+  ['1F43B675', 'Cluster', 'master', '18538067', undefined, true],
+  ['E7', 'Timestamp', 'uinteger', '1F43B675'],
+  ['A7', 'Position', 'uinteger', '1F43B675'],
+  ['AB', 'PrevSize', 'uinteger', '1F43B675'],
+  ['A3', 'SimpleBlock', 'binary', '1F43B675', undefined, true],
+  ['A0', 'BlockGroup', 'master', '1F43B675', undefined, true],
+  ['A1', 'Block', 'binary', 'A0'],
+  ['75A1', 'BlockAdditions', 'master', 'A0'],
+  ['A6', 'BlockMore', 'master', '75A1', undefined, true],
+  ['EE', 'BlockAddID', 'uinteger', 'A6', 1],
+  ['A5', 'BlockAdditional', 'binary', 'A6'],
+  ['9B', 'BlockDuration', 'uinteger', 'A0'],
+  ['FA', 'ReferencePriority', 'uinteger', 'A0', 0],
+  ['FB', 'ReferenceBlock', 'integer', 'A0', undefined, true],
+  ['A4', 'CodecState', 'binary', 'A0'],
+  ['75A2', 'DiscardPadding', 'integer', 'A0'],
+
+  // Tracks.
+  ['1654AE6B', 'Tracks', 'master', '18538067'],
+  ['AE', 'TrackEntry', 'master', '1654AE6B', undefined, true],
+  ['D7', 'TrackNumber', 'uinteger', 'AE'],
+  ['73C5', 'TrackUID', 'uinteger', 'AE'],
+  ['83', 'TrackType', 'uinteger', 'AE'],
+  ['B9', 'FlagEnabled', 'uinteger', 'AE', 1],
+  ['88', 'FlagDefault', 'uinteger', 'AE', 1],
+  ['55AA', 'FlagForced', 'uinteger', 'AE', 0],
+  ['55AB', 'FlagHearingImpaired', 'uinteger', 'AE'],
+  ['55AC', 'FlagVisualImpaired', 'uinteger', 'AE'],
+  ['55AD', 'FlagTextDescriptions', 'uinteger', 'AE'],
+  ['55AE', 'FlagOriginal', 'uinteger', 'AE'],
+  ['55AF', 'FlagCommentary', 'uinteger', 'AE'],
+  ['9C', 'FlagLacing', 'uinteger', 'AE', 1],
+  ['6DE7', 'MinCache', 'uinteger', 'AE', 0],
+  ['6DF8', 'MaxCache', 'uinteger', 'AE'],
+  ['23E383', 'DefaultDuration', 'uinteger', 'AE'],
+  ['234E7A', 'DefaultDecodedFieldDuration', 'uinteger', 'AE'],
+  ['23314F', 'TrackTimestampScale', 'float', 'AE', 1.0],
+  ['55EE', 'MaxBlockAdditionID', 'uinteger', 'AE', 0],
+  ['41E4', 'BlockAdditionMapping', 'master', 'AE', undefined, true],
+  ['41F0', 'BlockAddIDValue', 'uinteger', '41E4'],
+  ['41A4', 'BlockAddIDName', 'string', '41E4'],
+  ['41E7', 'BlockAddIDType', 'uinteger', '41E4', 0],
+  ['41ED', 'BlockAddIDExtraData', 'binary', '41E4'],
+  ['536E', 'Name', 'utf-8', 'AE'],
+  ['22B59C', 'Language', 'string', 'AE', 'eng'],
+  ['22B59D', 'LanguageBCP47', 'string', 'AE'],
+  ['86', 'CodecID', 'string', 'AE'],
+  ['63A2', 'CodecPrivate', 'binary', 'AE'],
+  ['258688', 'CodecName', 'utf-8', 'AE'],
+  ['AA', 'CodecDecodeAll', 'uinteger', 'AE', 1],
+  ['6FAB', 'TrackOverlay', 'uinteger', 'AE', undefined, true],
+  ['56AA', 'CodecDelay', 'uinteger', 'AE', 0],
+  ['56BB', 'SeekPreRoll', 'uinteger', 'AE', 0],
+
+  // Video.
+  ['E0', 'Video', 'master', 'AE'],
+  ['9A', 'FlagInterlaced', 'uinteger', 'E0', 0],
+  ['9D', 'FieldOrder', 'uinteger', 'E0', 2],
+  ['53B8', 'StereoMode', 'uinteger', 'E0', 0],
+  ['53C0', 'AlphaMode', 'uinteger', 'E0', 0],
+  ['B0', 'PixelWidth', 'uinteger', 'E0'],
+  ['BA', 'PixelHeight', 'uinteger', 'E0'],
+  ['54AA', 'PixelCropBottom', 'uinteger', 'E0', 0],
+  ['54BB', 'PixelCropTop', 'uinteger', 'E0', 0],
+  ['54CC', 'PixelCropLeft', 'uinteger', 'E0', 0],
+  ['54DD', 'PixelCropRight', 'uinteger', 'E0', 0],
+  ['54B0', 'DisplayWidth', 'uinteger', 'E0'],
+  ['54BA', 'DisplayHeight', 'uinteger', 'E0'],
+  ['54B2', 'DisplayUnit', 'uinteger', 'E0', 0],
+  ['54B3', 'AspectRatioType', 'uinteger', 'E0', 0],
+  ['2EB524', 'UncompressedFourCC', 'binary', 'E0'],
+  ['2FB523', 'GammaValue', 'float', 'E0'],
+  ['2383E3', 'FrameRate', 'float', 'E0'],
+  ['55B0', 'Colour', 'master', 'E0'],
+  ['55B1', 'MatrixCoefficients', 'uinteger', '55B0', 2],
+  ['55B2', 'BitsPerChannel', 'uinteger', '55B0', 0],
+  ['55B3', 'ChromaSubsamplingHorz', 'uinteger', '55B0'],
+  ['55B4', 'ChromaSubsamplingVert', 'uinteger', '55B0'],
+  ['55B5', 'CbSubsamplingHorz', 'uinteger', '55B0'],
+  ['55B6', 'CbSubsamplingVert', 'uinteger', '55B0'],
+  ['55B7', 'ChromaSitingHorz', 'uinteger', '55B0', 0],
+  ['55B8', 'ChromaSitingVert', 'uinteger', '55B0', 0],
+  ['55B9', 'Range', 'uinteger', '55B0', 0],
+  ['55BA', 'TransferCharacteristics', 'uinteger', '55B0', 2],
+  ['55BB', 'Primaries', 'uinteger', '55B0', 2],
+  ['55BC', 'MaxCLL', 'uinteger', '55B0'],
+  ['55BD', 'MaxFALL', 'uinteger', '55B0'],
+  ['55D0', 'MasteringMetadata', 'master', '55B0'],
+  ['55D1', 'PrimaryRChromaticityX', 'float', '55D0'],
+  ['55D2', 'PrimaryRChromaticityY', 'float', '55D0'],
+  ['55D3', 'PrimaryGChromaticityX', 'float', '55D0'],
+  ['55D4', 'PrimaryGChromaticityY', 'float', '55D0'],
+  ['55D5', 'PrimaryBChromaticityX', 'float', '55D0'],
+  ['55D6', 'PrimaryBChromaticityY', 'float', '55D0'],
+  ['55D7', 'WhitePointChromaticityX', 'float', '55D0'],
+  ['55D8', 'WhitePointChromaticityY', 'float', '55D0'],
+  ['55D9', 'LuminanceMax', 'float', '55D0'],
+  ['55DA', 'LuminanceMin', 'float', '55D0'],
+  ['7670', 'Projection', 'master', 'E0'],
+  ['7671', 'ProjectionType', 'uinteger', '7670', 0],
+  ['7672', 'ProjectionPrivate', 'binary', '7670'],
+  ['7673', 'ProjectionPoseYaw', 'float', '7670', 0.0],
+  ['7674', 'ProjectionPosePitch', 'float', '7670', 0.0],
+  ['7675', 'ProjectionPoseRoll', 'float', '7670', 0.0],
+
+  // Audio.
+  ['E1', 'Audio', 'master', 'AE'],
+  ['B5', 'SamplingFrequency', 'float', 'E1', 8000.0],
+  ['78B5', 'OutputSamplingFrequency', 'float', 'E1'],
+  ['9F', 'Channels', 'uinteger', 'E1', 1],
+  ['6264', 'BitDepth', 'uinteger', 'E1'],
+  ['52F1', 'Emphasis', 'uinteger', 'E1', 0],
+
+  // ContentEncodings.
+  ['6D80', 'ContentEncodings', 'master', 'AE'],
+  ['6240', 'ContentEncoding', 'master', '6D80', undefined, true],
+  ['5031', 'ContentEncodingOrder', 'uinteger', '6240', 0],
+  ['5032', 'ContentEncodingScope', 'uinteger', '6240', 1],
+  ['5033', 'ContentEncodingType', 'uinteger', '6240', 0],
+  ['5034', 'ContentCompression', 'master', '6240'],
+  ['4254', 'ContentCompAlgo', 'uinteger', '5034', 0],
+  ['4255', 'ContentCompSettings', 'binary', '5034'],
+  ['5035', 'ContentEncryption', 'master', '6240'],
+  ['47E1', 'ContentEncAlgo', 'uinteger', '5035', 0],
+  ['47E2', 'ContentEncKeyID', 'binary', '5035'],
+  ['47E7', 'ContentEncAESSettings', 'master', '5035'],
+  ['47E8', 'AESSettingsCipherMode', 'uinteger', '47E7'],
+
+  // Cues.
+  ['1C53BB6B', 'Cues', 'master', '18538067'],
+  ['BB', 'CuePoint', 'master', '1C53BB6B', undefined, true],
+  ['B3', 'CueTime', 'uinteger', 'BB'],
+  ['B7', 'CueTrackPositions', 'master', 'BB', undefined, true],
+  ['F7', 'CueTrack', 'uinteger', 'B7'],
+  ['F1', 'CueClusterPosition', 'uinteger', 'B7'],
+  ['F0', 'CueRelativePosition', 'uinteger', 'B7'],
+  ['B2', 'CueDuration', 'uinteger', 'B7'],
+  ['5378', 'CueBlockNumber', 'uinteger', 'B7'],
+  ['EA', 'CueCodecState', 'uinteger', 'B7', 0],
+  ['DB', 'CueReference', 'master', 'B7', undefined, true],
+  ['96', 'CueRefTime', 'uinteger', 'DB'],
+
+  // Attachments.
+  ['1941A469', 'Attachments', 'master', '18538067'],
+  ['61A7', 'AttachedFile', 'master', '1941A469', undefined, true],
+  ['467E', 'FileDescription', 'utf-8', '61A7'],
+  ['466E', 'FileName', 'utf-8', '61A7'],
+  ['4660', 'FileMediaType', 'string', '61A7'],
+  ['465C', 'FileData', 'binary', '61A7'],
+  ['46AE', 'FileUID', 'uinteger', '61A7'],
+
+  // Chapters.
+  ['1043A770', 'Chapters', 'master', '18538067'],
+  ['45B9', 'EditionEntry', 'master', '1043A770', undefined, true],
+  ['45BC', 'EditionUID', 'uinteger', '45B9'],
+  ['45BD', 'EditionFlagHidden', 'uinteger', '45B9', 0],
+  ['45DB', 'EditionFlagDefault', 'uinteger', '45B9', 0],
+  ['45DD', 'EditionFlagOrdered', 'uinteger', '45B9', 0],
+  ['B6', 'ChapterAtom', 'master', '45B9', undefined, true, true],
+  ['73C4', 'ChapterUID', 'uinteger', 'B6'],
+  ['5654', 'ChapterStringUID', 'utf-8', 'B6'],
+  ['91', 'ChapterTimeStart', 'uinteger', 'B6'],
+  ['92', 'ChapterTimeEnd', 'uinteger', 'B6'],
+  ['98', 'ChapterFlagHidden', 'uinteger', 'B6', 0],
+  ['4598', 'ChapterFlagEnabled', 'uinteger', 'B6', 1],
+  ['6E67', 'ChapterSegmentUUID', 'binary', 'B6'],
+  ['6EBC', 'ChapterSegmentEditionUID', 'uinteger', 'B6'],
+  ['63C3', 'ChapterPhysicalEquiv', 'uinteger', 'B6'],
+  ['8F', 'ChapterTrack', 'master', 'B6'],
+  ['89', 'ChapterTrackUID', 'uinteger', '8F', undefined, true],
+  ['80', 'ChapterDisplay', 'master', 'B6', undefined, true],
+  ['85', 'ChapString', 'utf-8', '80'],
+  ['437C', 'ChapLanguage', 'string', '80', 'eng', true],
+  ['437D', 'ChapLanguageBCP47', 'string', '80', undefined, true],
+  ['437E', 'ChapCountry', 'string', '80', undefined, true],
+  ['6944', 'ChapProcess', 'master', 'B6', undefined, true],
+  ['6955', 'ChapProcessCodecID', 'uinteger', '6944', 0],
+  ['450D', 'ChapProcessPrivate', 'binary', '6944'],
+  ['6911', 'ChapProcessCommand', 'master', '6944', undefined, true],
+  ['6922', 'ChapProcessTime', 'uinteger', '6911'],
+  ['6933', 'ChapProcessData', 'binary', '6911'],
+
+  // Tags.
+  ['1254C367', 'Tags', 'master', '18538067', undefined, true],
+  ['7373', 'Tag', 'master', '1254C367', undefined, true],
+  ['63C0', 'Targets', 'master', '7373'],
+  ['68CA', 'TargetTypeValue', 'uinteger', '63C0', 50],
+  ['63CA', 'TargetType', 'string', '63C0'],
+  ['63C5', 'TagTrackUID', 'uinteger', '63C0', undefined, true],
+  ['63C9', 'TagEditionUID', 'uinteger', '63C0', undefined, true],
+  ['63C4', 'TagChapterUID', 'uinteger', '63C0', undefined, true],
+  ['63C6', 'TagAttachmentUID', 'uinteger', '63C0', undefined, true],
+  ['67C8', 'SimpleTag', 'master', '7373', undefined, true, true],
+  ['45A3', 'TagName', 'utf-8', '67C8'],
+  ['447A', 'TagLanguage', 'string', '67C8', 'und'],
+  ['447B', 'TagLanguageBCP47', 'string', '67C8'],
+  ['4484', 'TagDefault', 'uinteger', '67C8', 1],
+  ['4487', 'TagString', 'utf-8', '67C8'],
+  ['4485', 'TagBinary', 'binary', '67C8']
+];
+
+/**
+ * Static function to get the schema of the Matroska elements used in WebM.
+ * @return {EbmlSchema} Shared schema Object.
+ */
+EbmlSchema.getDefault = function() {
+  if (!EbmlSchema.default_)
+    EbmlSchema.default_ = new EbmlSchema(EbmlSchema.MATROSKA_ELEMENTS_);
+  return EbmlSchema.default_;
+};
+
+/**
+ * Static function to convert an element ID to the key used by the schema.
+ * @param {number|string} id Element ID as a number or a hex string.
+ * @return {string} Uppercase hex string.
+ * @private
+ */
+EbmlSchema.getKey_ = function(id) {
+  if (typeof id === 'number')
+    return id.toString(16).toUpperCase();
+  return id.replace(/^0x/i, '').toUpperCase();
+};
+
+/**
+ * Adds an element to the schema. An element with the same ID is replaced.
+ * @param {Object} element Element description. 'id', 'name', 'type' and
+ *     'parent' are required. 'defaultValue', 'multiple' and 'recursive' are
+ *     optional.
+ */
+EbmlSchema.prototype.addElement = function(element) {
+  var id = EbmlSchema.getKey_(element.id);
+  var parent = element.parent ? EbmlSchema.getKey_(element.parent) : '';
+  if (id in this.elements_)
+    this.removeElement_(id);
+
+  var desc = {
+    id: id,
+    name: element.name,
+    type: element.type,
+    parent: parent,
+    defaultValue: element.defaultValue,
+    multiple: !!element.multiple,
+    recursive: !!element.recursive
+  };
+  this.elements_[id] = desc;
+  this.names_[desc.name] = id;
+  if (!(parent in this.children_))
+    this.children_[parent] = [];
+  this.children_[parent].push(desc);
+};
+
+/**
+ * Removes an element from the lists of names and children.
+ * @param {string} id Element ID.
+ * @private
+ */
+EbmlSchema.prototype.removeElement_ = function(id) {
+  var element = this.elements_[id];
+  delete this.elements_[id];
+  if (this.names_[element.name] == id)
+    delete this.names_[element.name];
+
+  var children = this.children_[element.parent];
+  for (var i = 0; i < children.length; ++i) {
+    if (children[i].id == id) {
+      children.splice(i, 1);
+      break;
+    }
+  }
+};
+
+/**
+ * Returns the description of an element.
+ * @param {number|string} id Element ID as a number or a hex string.
+ * @return {Object} Element description or null.
+ */
+EbmlSchema.prototype.getElement = function(id) {
+  return this.elements_[EbmlSchema.getKey_(id)] || null;
+};
+
+/**
+ * Returns the description of an element by its name.
+ * @param {string} name Element name, e.g. 'TimestampScale'.
+ * @return {Object} Element description or null.
+ */
+EbmlSchema.prototype.getElementByName = function(name) {
+  if (!(name in this.names_))
+    return null;
+  return this.elements_[this.names_[name]];
+};
+
+/**
+ * Returns the elements that may be children of a master element. Global
+ * elements are not included.
+ * @param {number|string} parentId ID of the master element or an empty
+ *     string for the top level elements.
+ * @return {Array} List of element descriptions.
+ */
+EbmlSchema.prototype.getChildren = function(parentId) {
+  var parent = parentId === '' ? '' : EbmlSchema.getKey_(parentId);
+  var children = (this.children_[parent] || []).slice(0);
+  var element = this.elements_[parent];
+  if (element && element.recursive)
+    children.push(element);
+  return children;
+};
+
+/**
+ * Returns the value of an element with a size of 0. This is the default
+ * value of the element or the empty value of its type.
+ * @param {Object} element Element description.
+ * @return {*} Value.
+ */
+EbmlSchema.prototype.getEmptyValue = function(element) {
+  if (element.defaultValue !== undefined)
+    return element.defaultValue;
+
+  switch (element.type) {
+    case EbmlSchema.TYPE_UINT:
+    case EbmlSchema.TYPE_INT:
+    case EbmlSchema.TYPE_FLOAT:
+      return 0;
+    case EbmlSchema.TYPE_STRING:
+    case EbmlSchema.TYPE_UTF8:
+      return '';
+    case EbmlSchema.TYPE_DATE:
+      return new Date(EbmlParser.DATE_EPOCH);
+  }
+  return new Uint8Array(0);
+};
+
+/**
+ * Creates the Object for the parsed values of a master element. Children
+ * with a default value are set to it and children that may occur more than
+ * once are set to an empty list.
+ * @param {number|string} parentId ID of the master element.
+ * @return {Object} Object of the master element.
+ */
+EbmlSchema.prototype.createObject = function(parentId) {
+  var obj = {};
+  var children = this.getChildren(parentId);
+  for (var i = 0; i < children.length; ++i) {
+    var child = children[i];
+    if (child.multiple)
+      obj[child.name] = [];
+    else if (child.defaultValue !== undefined)
+      obj[child.name] = child.defaultValue;
+  }
+  return obj;
+};
+
+/**
+ * Static function to decode the XML entities of an attribute value.
+ * @param {string} str Attribute value.
+ * @return {string} Decoded value.
+ * @private
+ */
+EbmlSchema.decodeXmlEntities_ = function(str) {
+  return str.replace(/&(lt|gt|quot|apos|amp);/g, function(match, name) {
+    return {lt: '<', gt: '>', quot: '"', apos: '\'', amp: '&'}[name];
+  });
+};
+
+/**
+ * Static function to convert the default attribute of an element in the
+ * schema XML to a value. Floats may be written in the hexadecimal notation,
+ * e.g. '0x1.f4p+12'.
+ * @param {string} type Element type.
+ * @param {string} str Default attribute.
+ * @return {*} Default value or undefined if the type has no default values.
+ * @private
+ */
+EbmlSchema.parseDefault_ = function(type, str) {
+  if (type == EbmlSchema.TYPE_STRING || type == EbmlSchema.TYPE_UTF8)
+    return str;
+  if (type == EbmlSchema.TYPE_UINT || type == EbmlSchema.TYPE_INT)
+    return Number(str);
+  if (type != EbmlSchema.TYPE_FLOAT)
+    return undefined;
+
+  var hex = /^([+-]?)0x([0-9a-f]*)(?:\.([0-9a-f]*))?p([+-]?\d+)$/i.exec(str);
+  if (!hex)
+    return Number(str);
+
+  var fraction = hex[3] || '';
+  var mantissa = parseInt((hex[2] || '0') + fraction, 16);
+  var value = mantissa * Math.pow(2, Number(hex[4]) - 4 * fraction.length);
+  return hex[1] == '-' ? -value : value;
+};
+
+/**
+ * Static function to create a schema from an EBML schema XML document, e.g.
+ * the ebml_matroska.xml file of the Matroska specification. The parent of an
+ * element is taken from its 'path' attribute. Elements with a path starting
+ * with a global placeholder, e.g. '\(-\)Void', are global elements.
+ * Elements with a 'recursive' attribute of 1 or whose last path component
+ * starts with '+' are recursive.
+ * Elements may occur more than once unless 'maxOccurs' is 1.
+ * @param {string} xml Schema XML.
+ * @param {EbmlSchema} opt_schema Optional schema to add the elements to,
+ *     e.g. a schema with the EBML header elements, which are not part of the
+ *     Matroska schema.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'value' is the EbmlSchema.
+ */
+EbmlSchema.fromXml = function(xml, opt_schema) {
+  var schema = opt_schema || new EbmlSchema();
+  // Attribute values may contain '>', e.g. range=">0x0p+0".
+  var elementPattern = /<element\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  var attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  var elements = [];
+  var match;
+
+  while ((match = elementPattern.exec(xml)) != null) {
+    var attrs = {};
+    var attr;
+    attributePattern.lastIndex = 0;
+    while ((attr = attributePattern.exec(match[1])) != null)
+      attrs[attr[1]] = EbmlSchema.decodeXmlEntities_(
+          attr[2] !== undefined ? attr[2] : attr[3]);
+
+    if (!attrs.name || !attrs.id || !attrs.type || !attrs.path) {
+      return {status: EbmlParser.STATUS_INVALID_DATA,
+              reason: 'Element is missing an attribute: ' + match[0]};
+    }
+
+    var path = attrs.path;
+    var global = /\\\(\d*-\d*\\\)/.test(path);
+    path = path.replace(/\\\(\d*-\d*\\\)/g, '\\');
+    var parts = path.split('\\');
+    var components = [];
+    for (var i = 0; i < parts.length; ++i) {
+      if (parts[i])
+        components.push(parts[i].replace(/^\+/, ''));
+    }
+
+    var recursive = attrs.recursive == '1' || /\\\+[^\\]*$/.test(path);
+    var count = components.length;
+    elements.push({
+      id: attrs.id,
+      name: attrs.name,
+      type: attrs.type,
+      parentName: global ? null : (count > 1 ? components[count - 2] : ''),
+      defaultValue: 'default' in attrs ?
+          EbmlSchema.parseDefault_(attrs.type, attrs['default']) : undefined,
+      multiple: attrs.maxOccurs != '1',
+      recursive: recursive
+    });
+  }
+
+  if (elements.length == 0) {
+    return {status: EbmlParser.STATUS_INVALID_DATA,
+            reason: 'No elements in the schema XML.'};
+  }
+
+  // Add the elements first so the parents can be found by name.
+  var names = {};
+  for (var i = 0; i < elements.length; ++i)
+    names[elements[i].name] = EbmlSchema.getKey_(elements[i].id);
+
+  for (var i = 0; i < elements.length; ++i) {
+    var element = elements[i];
+    if (element.parentName === null) {
+      element.parent = EbmlSchema.GLOBAL_PARENT;
+    } else if (element.parentName === '') {
+      element.parent = '';
+    } else {
+      var parent = names[element.parentName] ||
+                   schema.getElementByName(element.parentName);
+      if (!parent) {
+        return {status: EbmlParser.STATUS_INVALID_DATA,
+                reason: 'Unknown parent ' + element.parentName + ' of ' +
+                        element.name};
+      }
+      element.parent = typeof parent === 'string' ? parent : parent.id;
+    }
+    schema.addElement(element);
+  }
+
+  return {status: EbmlParser.STATUS_OK, value: schema};
+};
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    EbmlSchema: EbmlSchema
+  };
+}
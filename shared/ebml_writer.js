@@ -0,0 +1,437 @@
+// Copyright (c) 2012 The WebM project authors. All Rights Reserved.
+// Use of this source code is governed by a BSD-style license
+// that can be found in the LICENSE file in the root of the source
+// tree. An additional intellectual property rights grant can be found
+// in the file PATENTS.  All contributing project authors may
+// be found in the AUTHORS file in the root of the source tree.
+
+'use strict';
+
+/**
+ * Class to write EBML elements into a growing buffer. Element sizes are
+ * written with the smallest variable length integer that can hold them unless
+ * a size is passed in. Integers up to 2^53 - 1 are supported.
+ * @constructor
+ */
+function EbmlWriter() {
+  this.buffer_ = new Uint8Array(EbmlWriter.INITIAL_SIZE_);
+  this.size_ = 0;
+}
+
+/**
+ * Initial size of the buffer in bytes.
+ * @const
+ * @type {number}
+ * @private
+ */
+EbmlWriter.INITIAL_SIZE_ = 4096;
+
+/**
+ * Largest integer that can be stored in a javascript number without losing
+ * precision (2^53 - 1).
+ * @const
+ * @type {number}
+ */
+EbmlWriter.MAX_SAFE_INTEGER = 9007199254740991;
+
+/**
+ * Maximum size of an EBML variable length integer in bytes.
+ * @const
+ * @type {number}
+ */
+EbmlWriter.MAX_NUM_SIZE = 8;
+
+/**
+ * Size in bytes of the size field written by startMaster.
+ * @const
+ * @type {number}
+ */
+EbmlWriter.MASTER_SIZE_SIZE = 8;
+
+/**
+ * Static function to get the number of bytes needed to store |value| as an
+ * EBML variable length integer. The value with all of the bits set is
+ * reserved for unknown sizes.
+ * @param {number} value Value to store.
+ * @return {number} Number of bytes or -1 if |value| is too large.
+ */
+EbmlWriter.getNumSize = function(value) {
+  for (var size = 1; size <= EbmlWriter.MAX_NUM_SIZE; ++size) {
+    if (value < Math.pow(2, 7 * size) - 1)
+      return size;
+  }
+  return -1;
+};
+
+/**
+ * Static function to check that |value| is an integer from 0 to
+ * MAX_SAFE_INTEGER.
+ * @param {number} value Value to check.
+ * @return {boolean} Returns true if |value| can be written as an unsigned
+ *     integer.
+ * @private
+ */
+EbmlWriter.isUInt_ = function(value) {
+  return value >= 0 && value <= EbmlWriter.MAX_SAFE_INTEGER &&
+         Math.floor(value) == value;
+};
+
+/**
+ * Static function to get the number of bytes needed to store |value| as an
+ * unsigned integer.
+ * @param {number} value Value to store.
+ * @return {number} Number of bytes.
+ */
+EbmlWriter.getUIntSize = function(value) {
+  var size = 1;
+  while (size < 8 && value >= Math.pow(2, 8 * size))
+    ++size;
+  return size;
+};
+
+/**
+ * Static function to get the number of bytes needed to store |value| as a
+ * signed integer.
+ * @param {number} value Value to store.
+ * @return {number} Number of bytes.
+ */
+EbmlWriter.getIntSize = function(value) {
+  var size = 1;
+  while (size < 8 && (value < -Math.pow(2, 8 * size - 1) ||
+                      value >= Math.pow(2, 8 * size - 1))) {
+    ++size;
+  }
+  return size;
+};
+
+/**
+ * Static function to get the number of bytes of an element ID. The ID
+ * includes its length marker bits, e.g. 0x1A45DFA3.
+ * @param {number} id Element ID.
+ * @return {number} Number of bytes.
+ */
+EbmlWriter.getIdSize = function(id) {
+  if (id < 0x100)
+    return 1;
+  if (id < 0x10000)
+    return 2;
+  if (id < 0x1000000)
+    return 3;
+  return 4;
+};
+
+/**
+ * Static function to get the size of an element with |dataSize| bytes of
+ * data including the element header.
+ * @param {number} id Element ID.
+ * @param {number} dataSize Size of the element data in bytes.
+ * @return {number} Size of the element in bytes.
+ */
+EbmlWriter.getElementSize = function(id, dataSize) {
+  return EbmlWriter.getIdSize(id) + EbmlWriter.getNumSize(dataSize) + dataSize;
+};
+
+/**
+ * Returns the number of bytes written.
+ * @return {number} Number of bytes.
+ */
+EbmlWriter.prototype.getSize = function() {
+  return this.size_;
+};
+
+/**
+ * Returns a copy of the bytes written.
+ * @return {Uint8Array} Written data.
+ */
+EbmlWriter.prototype.getData = function() {
+  return new Uint8Array(this.buffer_.subarray(0, this.size_));
+};
+
+/**
+ * Makes sure |size| more bytes can be written.
+ * @param {number} size Number of bytes.
+ * @private
+ */
+EbmlWriter.prototype.ensure_ = function(size) {
+  if (this.size_ + size <= this.buffer_.length)
+    return;
+
+  var length = this.buffer_.length * 2;
+  while (length < this.size_ + size)
+    length *= 2;
+  var buffer = new Uint8Array(length);
+  buffer.set(this.buffer_.subarray(0, this.size_), 0);
+  this.buffer_ = buffer;
+};
+
+/**
+ * Writes |value| as a big endian unsigned integer of |size| bytes at
+ * |offset|.
+ * @param {number} offset Offset in the buffer.
+ * @param {number} value Value to write.
+ * @param {number} size Number of bytes.
+ * @private
+ */
+EbmlWriter.prototype.setUIntBytes_ = function(offset, value, size) {
+  for (var i = size - 1; i >= 0; --i) {
+    this.buffer_[offset + i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+};
+
+/**
+ * Writes raw bytes.
+ * @param {Uint8Array} data Data to write.
+ */
+EbmlWriter.prototype.writeBytes = function(data) {
+  this.ensure_(data.length);
+  this.buffer_.set(data, this.size_);
+  this.size_ += data.length;
+};
+
+/**
+ * Writes an element ID.
+ * @param {number} id Element ID.
+ */
+EbmlWriter.prototype.writeId = function(id) {
+  var size = EbmlWriter.getIdSize(id);
+  this.ensure_(size);
+  this.setUIntBytes_(this.size_, id, size);
+  this.size_ += size;
+};
+
+/**
+ * Writes an EBML variable length integer.
+ * @param {number} value Value to write.
+ * @param {number} opt_size Optional number of bytes to use. Defaults to the
+ *     smallest size that can hold |value|.
+ * @return {boolean} Returns false if |value| is negative, larger than
+ *     MAX_SAFE_INTEGER or does not fit in the size.
+ */
+EbmlWriter.prototype.writeNum = function(value, opt_size) {
+  if (!EbmlWriter.isUInt_(value))
+    return false;
+  var size = EbmlWriter.getNumSize(value);
+  if (size == -1 || (opt_size && opt_size < size) ||
+      opt_size > EbmlWriter.MAX_NUM_SIZE) {
+    return false;
+  }
+  if (opt_size)
+    size = opt_size;
+
+  this.ensure_(size);
+  this.setUIntBytes_(this.size_, value, size);
+  this.buffer_[this.size_] |= 0x80 >> (size - 1);
+  this.size_ += size;
+  return true;
+};
+
+/**
+ * Writes an element ID and the size of the element's data. Nothing is
+ * written if the size cannot be stored.
+ * @param {number} id Element ID.
+ * @param {number} size Size of the element's data in bytes.
+ * @param {number} opt_numSize Optional number of bytes to use for |size|.
+ * @return {boolean} Returns false if |size| does not fit.
+ * @private
+ */
+EbmlWriter.prototype.writeElementHeader_ = function(id, size, opt_numSize) {
+  var start = this.size_;
+  this.writeId(id);
+  if (!this.writeNum(size, opt_numSize)) {
+    this.size_ = start;
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Writes an unsigned integer element.
+ * @param {number} id Element ID.
+ * @param {number} value Value to write.
+ * @param {number} opt_size Optional number of bytes to use for the value.
+ * @return {boolean} Returns false if |value| is negative, larger than
+ *     MAX_SAFE_INTEGER or does not fit in the size.
+ */
+EbmlWriter.prototype.writeUInt = function(id, value, opt_size) {
+  if (!EbmlWriter.isUInt_(value))
+    return false;
+  var size = EbmlWriter.getUIntSize(value);
+  if (opt_size && opt_size < size)
+    return false;
+  if (opt_size)
+    size = opt_size;
+
+  if (!this.writeElementHeader_(id, size))
+    return false;
+  this.ensure_(size);
+  this.setUIntBytes_(this.size_, value, size);
+  this.size_ += size;
+  return true;
+};
+
+/**
+ * Writes a signed integer element.
+ * @param {number} id Element ID.
+ * @param {number} value Value to write.
+ * @return {boolean} Returns false if |value| is not an integer or its
+ *     magnitude is larger than MAX_SAFE_INTEGER.
+ */
+EbmlWriter.prototype.writeInt = function(id, value) {
+  if (!EbmlWriter.isUInt_(Math.abs(value)))
+    return false;
+  var size = EbmlWriter.getIntSize(value);
+  if (value < 0)
+    value += Math.pow(2, 8 * size);
+
+  if (!this.writeElementHeader_(id, size))
+    return false;
+  this.ensure_(size);
+  this.setUIntBytes_(this.size_, value, size);
+  this.size_ += size;
+  return true;
+};
+
+/**
+ * Writes an 8 byte float element.
+ * @param {number} id Element ID.
+ * @param {number} value Value to write.
+ * @return {boolean} Returns false if the element could not be written.
+ */
+EbmlWriter.prototype.writeFloat = function(id, value) {
+  if (!this.writeElementHeader_(id, 8))
+    return false;
+  this.ensure_(8);
+  var view = new DataView(this.buffer_.buffer, this.buffer_.byteOffset);
+  view.setFloat64(this.size_, value);
+  this.size_ += 8;
+  return true;
+};
+
+/**
+ * Writes an ASCII string element.
+ * @param {number} id Element ID.
+ * @param {string} str String to write.
+ * @return {boolean} Returns false if the element could not be written.
+ */
+EbmlWriter.prototype.writeString = function(id, str) {
+  var data = new Uint8Array(str.length);
+  for (var i = 0; i < str.length; ++i)
+    data[i] = str.charCodeAt(i) & 0x7f;
+  return this.writeBinary(id, data);
+};
+
+/**
+ * Writes an UTF-8 string element.
+ * @param {number} id Element ID.
+ * @param {string} str String to write.
+ * @return {boolean} Returns false if the element could not be written.
+ */
+EbmlWriter.prototype.writeUtf8 = function(id, str) {
+  var bytes = [];
+  for (var i = 0; i < str.length; ++i) {
+    var c = str.charCodeAt(i);
+    if (c >= 0xD800 && c < 0xDC00 && i + 1 < str.length) {
+      var low = str.charCodeAt(i + 1);
+      if (low >= 0xDC00 && low < 0xE000) {
+        c = 0x10000 + ((c - 0xD800) << 10) + (low - 0xDC00);
+        ++i;
+      }
+    }
+
+    if (c < 0x80) {
+      bytes.push(c);
+    } else if (c < 0x800) {
+      bytes.push(0xC0 | (c >> 6), 0x80 | (c & 0x3F));
+    } else if (c < 0x10000) {
+      bytes.push(0xE0 | (c >> 12), 0x80 | ((c >> 6) & 0x3F),
+                 0x80 | (c & 0x3F));
+    } else {
+      bytes.push(0xF0 | (c >> 18), 0x80 | ((c >> 12) & 0x3F),
+                 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+    }
+  }
+  return this.writeBinary(id, new Uint8Array(bytes));
+};
+
+/**
+ * Writes a binary element.
+ * @param {number} id Element ID.
+ * @param {Uint8Array} data Element data.
+ * @return {boolean} Returns false if the size of |data| is too large.
+ */
+EbmlWriter.prototype.writeBinary = function(id, data) {
+  if (!this.writeElementHeader_(id, data.length))
+    return false;
+  this.writeBytes(data);
+  return true;
+};
+
+/**
+ * Writes a master element with the data of another writer.
+ * @param {number} id Element ID.
+ * @param {EbmlWriter} writer Writer with the child elements.
+ * @return {boolean} Returns false if the size of |writer| is too large.
+ */
+EbmlWriter.prototype.writeMaster = function(id, writer) {
+  if (!this.writeElementHeader_(id, writer.getSize()))
+    return false;
+  this.writeBytes(writer.buffer_.subarray(0, writer.getSize()));
+  return true;
+};
+
+/**
+ * Starts a master element whose size is not known yet. The size is written
+ * with MASTER_SIZE_SIZE bytes when endMaster is called.
+ * @param {number} id Element ID.
+ * @param {boolean} opt_unknownSize Optional. If true the size is written as
+ *     unknown and endMaster does not need to be called.
+ * @return {number} Offset of the size field. Pass this to endMaster.
+ */
+EbmlWriter.prototype.startMaster = function(id, opt_unknownSize) {
+  this.writeId(id);
+  var offset = this.size_;
+  this.ensure_(EbmlWriter.MASTER_SIZE_SIZE);
+  for (var i = 0; i < EbmlWriter.MASTER_SIZE_SIZE; ++i)
+    this.buffer_[offset + i] = opt_unknownSize ? 0xFF : 0;
+  this.buffer_[offset] = 0x01;
+  this.size_ += EbmlWriter.MASTER_SIZE_SIZE;
+  return offset;
+};
+
+/**
+ * Ends a master element started with startMaster and writes its size.
+ * @param {number} sizeOffset Value returned from startMaster.
+ */
+EbmlWriter.prototype.endMaster = function(sizeOffset) {
+  var size = this.size_ - sizeOffset - EbmlWriter.MASTER_SIZE_SIZE;
+  this.setUIntBytes_(sizeOffset, size, EbmlWriter.MASTER_SIZE_SIZE);
+  this.buffer_[sizeOffset] |= 0x01;
+};
+
+/**
+ * Writes a Void element of |size| bytes including the element header.
+ * @param {number} size Size of the Void element. Must be at least 2.
+ * @return {boolean} Returns false if |size| is less than 2 or too large.
+ */
+EbmlWriter.prototype.writeVoid = function(size) {
+  for (var numSize = 1; numSize <= EbmlWriter.MAX_NUM_SIZE; ++numSize) {
+    var dataSize = size - 1 - numSize;
+    if (dataSize < 0)
+      return false;
+    var dataNumSize = EbmlWriter.getNumSize(dataSize);
+    if (dataNumSize != -1 && dataNumSize <= numSize) {
+      if (!this.writeElementHeader_(0xEC, dataSize, numSize))
+        return false;
+      this.writeBytes(new Uint8Array(dataSize));
+      return true;
+    }
+  }
+  return false;
+};
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    EbmlWriter: EbmlWriter
+  };
+}
@@ -8,7 +8,8 @@
 'use strict';
 
 /**
- * Class to download data form a HTTP 1.1 server using XMLHttpRequests.
+ * Class to download data form a HTTP 1.1 server using XMLHttpRequests. The
+ * data can also be read from another byte source, see setByteSource.
  * @param {string} url Link to the resource.
  * @param {function} opt_log Option logging function.
  * @constructor
@@ -24,6 +25,7 @@ function HttpFile(url, opt_log) {
 
   this.bandwidth = null;
   this.downloadManager_ = null;
+  this.byteSource_ = null;
 }
 
 /**
@@ -69,6 +71,11 @@ HttpFile.prototype.requestOnLoad_ = function(r, startTime, cb) {
 HttpFile.prototype.getBytes_ = function(url, start, end, cb) {
   //this.log_("getBytes_(" + url + ", " + start + ", " + end + ")");
 
+  if (this.byteSource_) {
+    this.byteSource_.getBytes(start, end, cb);
+    return;
+  }
+
   // Currently |downloadManager_| will only be set to variable of the class
   // BandwidthManager. |downloadManager_| if set will try and constrain the
   // bandwidth. For real testing another system should be used.
@@ -139,7 +146,7 @@ HttpFile.prototype.fetchBytes_ = function(size, doneCallback) {
     t.buffer_ = buf;
     t.fileLength_ = fileLength;
 
-    window.setTimeout(doneCallback, 0, true);
+    setTimeout(doneCallback, 0, true);
   });
 };
 
@@ -208,6 +215,16 @@ HttpFile.prototype.seek = function(offset) {
   }
 };
 
+/**
+ * Throws away the bytes stored in |buffer_|. The read offset is not changed.
+ * The next read will download the bytes again.
+ */
+HttpFile.prototype.discardBuffer = function() {
+  this.fileOffset_ = this.getCurrentOffset();
+  this.index_ = 0;
+  this.buffer_ = null;
+};
+
 /**
  * Asynchronous function to get |size| in bytes from the resource starting
  * from the read offset and store it in |buffer_|. This function may store
@@ -266,6 +283,18 @@ HttpFile.prototype.setDownloadManager = function(downloadManager) {
   this.downloadManager_ = downloadManager;
 };
 
+/**
+ * Byte source will serve all of the reads instead of XMLHttpRequests, e.g. to
+ * read from memory or from a file in Node. See BufferByteSource and
+ * NodeFileByteSource.
+ * @param {object} byteSource Object with a getBytes(start, end, callback)
+ *     function. The format for callback(buf, fileLength) is the same as for
+ *     the range requests. buf is null if there was an error.
+ */
+HttpFile.prototype.setByteSource = function(byteSource) {
+  this.byteSource_ = byteSource;
+};
+
 /**
  * The bandwidth class keeps track of the downloaded data chunks.
  * @param {Bandwidth} bandwidth Bandwidth estimator class.
@@ -273,3 +302,9 @@ HttpFile.prototype.setDownloadManager = function(downloadManager) {
 HttpFile.prototype.setBandwidthEstimator = function(bandwidth) {
   this.bandwidth = bandwidth;
 };
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    HttpFile: HttpFile
+  };
+}
@@ -0,0 +1,501 @@
+// Copyright (c) 2012 The WebM project authors. All Rights Reserved.
+// Use of this source code is governed by a BSD-style license
+// that can be found in the LICENSE file in the root of the source
+// tree. An additional intellectual property rights grant can be found
+// in the file PATENTS.  All contributing project authors may
+// be found in the AUTHORS file in the root of the source tree.
+
+'use strict';
+
+// Node loads the scripts that the browser loads with script tags.
+if (typeof module != 'undefined' && module.exports) {
+  var EbmlParser = require('./webm_parser.js').EbmlParser;
+  var WebMParser = require('./webm_parser.js').WebMParser;
+}
+
+/**
+ * Class to demux a WebM stream that arrives in chunks of any size, e.g. from
+ * a fetch stream, a WebSocket or a MediaRecorder. Data is passed in with
+ * push() and the demuxer calls the event callbacks as soon as an element is
+ * complete. The Segment and Cluster elements are entered as soon as their
+ * headers are read, so they may be of unknown size. Elements that are not
+ * used are skipped without being buffered.
+ *
+ * Events:
+ *   'header' EBML header Object. See WebMParser.parseEBMLHeader_.
+ *   'info' Object with 'info', the parsed Info Object, and 'element', the
+ *       Info element data.
+ *   'tracks' Object with 'tracks', the list of track Objects, and 'element',
+ *       the Tracks element data.
+ *   'cluster' Object with 'offset', 'size', 'timecode' and 'time' of a new
+ *       Cluster. Called once the ClusterTimecode has been read. 'size' is -1
+ *       for Clusters of unknown size.
+ *   'block' Block Object. See createBlock_.
+ *   'cues' List of CuePoint Objects.
+ *   'error' Status object of the error. No more data is parsed after an error.
+ *   'end' Called from end().
+ * @param {function} opt_log Optional logging function.
+ * @constructor
+ */
+function WebMDemuxer(opt_log) {
+  if (opt_log)
+    this.log = opt_log;
+
+  this.parser = new WebMParser();
+  this.parser.log = this.log;
+
+  this.buffer_ = new Uint8Array(0);
+  this.bufferOffset_ = 0;
+  this.readIndex_ = 0;
+  this.skipBytes_ = 0;
+  this.masters_ = [];
+  this.cluster_ = null;
+  this.error_ = null;
+  this.eventCallbacks_ = {};
+}
+
+/**
+ * Parent name used for elements that are not inside of a master element.
+ * @const
+ * @type {string}
+ * @private
+ */
+WebMDemuxer.TOP_ = 'TOP';
+
+/**
+ * Master elements the demuxer enters as soon as their header is read, by the
+ * ID of their parent. The values are the IDs that end the element if it has
+ * an unknown size.
+ * @private
+ */
+WebMDemuxer.MASTER_IDS_ = {
+  'TOP': {
+    '18538067': WebMParser.SEGMENT_END_IDS_   // Segment
+  },
+  '18538067': {
+    '1F43B675': WebMParser.TOP_LEVEL_IDS_     // Cluster
+  }
+};
+
+/**
+ * Functions that handle complete elements, by the ID of their parent.
+ * Elements that are not listed are skipped.
+ * @private
+ */
+WebMDemuxer.ELEMENT_HANDLERS_ = {
+  'TOP': {
+    '1A45DFA3': 'onEbmlHeader_'     // EBML Header
+  },
+  '18538067': {
+    '1549A966': 'onInfo_',          // Info
+    '1654AE6B': 'onTracks_',        // Tracks
+    '1C53BB6B': 'onCues_'           // Cues
+  },
+  '1F43B675': {
+    'E7': 'onClusterChild_',        // ClusterTimecode
+    'A3': 'onClusterChild_',        // SimpleBlock
+    'A0': 'onClusterChild_'         // BlockGroup
+  }
+};
+
+/**
+ * Logging function to be set by the application.
+ * @param {string} str The input string to be logged.
+ */
+WebMDemuxer.prototype.log = function(str) {};
+
+/**
+ * Sets a callback to a named event. Only one callback is allowed per named
+ * event. See the constructor for the list of events.
+ * @param {string} name Name of the event.
+ * @param {function} callback Callback function. The first parameter is the
+ *     event data.
+ */
+WebMDemuxer.prototype.setEventListener = function(name, callback) {
+  this.eventCallbacks_[name] = callback;
+};
+
+/**
+ * Removes a callback to a named event.
+ * @param {string} name Name of the event to remove the callback for.
+ */
+WebMDemuxer.prototype.removeEventListener = function(name) {
+  if (this.eventCallbacks_[name])
+    this.eventCallbacks_[name] = null;
+};
+
+/**
+ * Calls the callback of a named event if one is set.
+ * @param {string} name Name of the event.
+ * @param {Object} data Event data.
+ * @private
+ */
+WebMDemuxer.prototype.emit_ = function(name, data) {
+  if (this.eventCallbacks_[name])
+    this.eventCallbacks_[name](data);
+};
+
+/**
+ * Adds a chunk of WebM data and parses all of the elements that are
+ * complete.
+ * @param {Uint8Array|ArrayBuffer} data Next chunk of the stream.
+ * @return {Object} Status object. Returns the error status if the stream
+ *     could not be parsed.
+ */
+WebMDemuxer.prototype.push = function(data) {
+  if (this.error_)
+    return this.error_;
+
+  var chunk = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+  if (this.skipBytes_ > 0) {
+    var skip = Math.min(this.skipBytes_, chunk.length);
+    chunk = chunk.subarray(skip);
+    this.skipBytes_ -= skip;
+  }
+
+  var remaining = this.buffer_.length - this.readIndex_;
+  var buffer = new Uint8Array(remaining + chunk.length);
+  buffer.set(this.buffer_.subarray(this.readIndex_), 0);
+  buffer.set(chunk, remaining);
+  this.bufferOffset_ += this.readIndex_;
+  this.buffer_ = buffer;
+  this.readIndex_ = 0;
+
+  var res = this.demux_();
+  if (res.status != WebMParser.STATUS_OK) {
+    this.log('WebMDemuxer error at offset ' + this.getOffset() + ' : ' +
+             res.reason);
+    this.error_ = res;
+    this.emit_('error', res);
+  }
+  return res;
+};
+
+/**
+ * Signals the end of the stream. Master elements of unknown size are closed.
+ * @return {Object} Status object. Returns STATUS_INVALID_DATA if the stream
+ *     ended in the middle of an element.
+ */
+WebMDemuxer.prototype.end = function() {
+  if (this.error_)
+    return this.error_;
+
+  while (this.masters_.length > 0 &&
+         this.masters_[this.masters_.length - 1].end == -1) {
+    this.closeMaster_();
+  }
+
+  var res = {status: WebMParser.STATUS_OK};
+  if (this.readIndex_ < this.buffer_.length || this.skipBytes_ > 0 ||
+      this.masters_.length > 0) {
+    res = {status: WebMParser.STATUS_INVALID_DATA,
+           reason: 'Stream ended in the middle of an element.'};
+  }
+  this.emit_('end', res);
+  return res;
+};
+
+/**
+ * Returns the stream offset of the next byte to be parsed.
+ * @return {number} Offset in bytes.
+ */
+WebMDemuxer.prototype.getOffset = function() {
+  return this.bufferOffset_ + this.readIndex_;
+};
+
+/**
+ * Parses the elements in |buffer_| until more data is needed.
+ * @return {Object} Status object.
+ * @private
+ */
+WebMDemuxer.prototype.demux_ = function() {
+  while (true) {
+    var offset = this.getOffset();
+    while (this.masters_.length > 0) {
+      var end = this.masters_[this.masters_.length - 1].end;
+      if (end == -1 || offset < end)
+        break;
+      this.closeMaster_();
+    }
+
+    var available = this.buffer_.length - this.readIndex_;
+    if (available == 0)
+      return {status: WebMParser.STATUS_OK};
+
+    var res = EbmlParser.parseElementHeader(this.buffer_, this.readIndex_,
+                                            available);
+    if (res.status == EbmlParser.STATUS_NEED_MORE_DATA)
+      return {status: WebMParser.STATUS_OK};
+    if (res.status != EbmlParser.STATUS_OK)
+      return res;
+
+    var id = res.id.toString(16).toUpperCase();
+    var headerSize = res.bytesUsed;
+    var elementSize = res.elementSize;
+    var parent = this.masters_[this.masters_.length - 1];
+
+    // An element of unknown size ends at the first ID that can not be one
+    // of its children.
+    if (parent && parent.end == -1 && (id in parent.endIds)) {
+      this.closeMaster_();
+      continue;
+    }
+
+    var parentId = parent ? parent.id : WebMDemuxer.TOP_;
+    var masterIds = WebMDemuxer.MASTER_IDS_[parentId];
+    if (masterIds && (id in masterIds)) {
+      this.openMaster_(id, offset, headerSize, elementSize, masterIds[id]);
+      continue;
+    }
+
+    if (elementSize == EbmlParser.UNKNOWN_SIZE) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Unknown size not supported for ID ' +
+                      webmGetIdName(res.id)};
+    }
+
+    var handlers = WebMDemuxer.ELEMENT_HANDLERS_[parentId];
+    var elementTotalSize = headerSize + elementSize;
+    if (!handlers || !(id in handlers)) {
+      this.skip_(elementTotalSize);
+      continue;
+    }
+
+    if (available < elementTotalSize)
+      return {status: WebMParser.STATUS_OK};
+
+    res = this[handlers[id]](this.buffer_, this.readIndex_, elementTotalSize,
+                             offset);
+    if (res.status != WebMParser.STATUS_OK)
+      return res;
+    this.readIndex_ += elementTotalSize;
+  }
+};
+
+/**
+ * Enters a master element.
+ * @param {string} id ID of the element.
+ * @param {number} offset Stream offset of the element.
+ * @param {number} headerSize Size of the element header.
+ * @param {number} elementSize Size of the element data or
+ *     EbmlParser.UNKNOWN_SIZE.
+ * @param {Object} endIds IDs that end the element if it has an unknown size.
+ * @private
+ */
+WebMDemuxer.prototype.openMaster_ = function(id, offset, headerSize,
+                                             elementSize, endIds) {
+  var unknownSize = elementSize == EbmlParser.UNKNOWN_SIZE;
+  this.masters_.push({
+    id: id,
+    end: unknownSize ? -1 : offset + headerSize + elementSize,
+    endIds: endIds
+  });
+  this.readIndex_ += headerSize;
+
+  if (id == '18538067') {
+    this.parser.setSegmentOffset(offset + headerSize);
+  } else if (id == '1F43B675') {
+    this.cluster_ = {
+      offset: offset,
+      size: unknownSize ? -1 : headerSize + elementSize,
+      timecode: -1,
+      time: -1
+    };
+  }
+};
+
+/**
+ * Leaves the current master element.
+ * @private
+ */
+WebMDemuxer.prototype.closeMaster_ = function() {
+  var master = this.masters_.pop();
+  if (master.id == '1F43B675')
+    this.cluster_ = null;
+};
+
+/**
+ * Skips an element. If the element is not in |buffer_| the rest of the
+ * element is dropped from the following chunks.
+ * @param {number} size Size of the element including the header.
+ * @private
+ */
+WebMDemuxer.prototype.skip_ = function(size) {
+  var available = this.buffer_.length - this.readIndex_;
+  if (size <= available) {
+    this.readIndex_ += size;
+    return;
+  }
+
+  this.bufferOffset_ = this.getOffset() + size;
+  this.buffer_ = new Uint8Array(0);
+  this.readIndex_ = 0;
+  this.skipBytes_ = size - available;
+};
+
+/**
+ * Handles the EBML header.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset of the element.
+ * @param {number} size Size of the element including the header.
+ * @param {number} offset Stream offset of the element.
+ * @return {Object} Status object.
+ * @private
+ */
+WebMDemuxer.prototype.onEbmlHeader_ = function(buf, start, size, offset) {
+  var res = this.parser.parseEBMLHeader_(buf, start, size);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  this.emit_('header', res.value);
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Handles the Info element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset of the element.
+ * @param {number} size Size of the element including the header.
+ * @param {number} offset Stream offset of the element.
+ * @return {Object} Status object.
+ * @private
+ */
+WebMDemuxer.prototype.onInfo_ = function(buf, start, size, offset) {
+  var res = this.parser.parseList_(WebMParser.SEGMENT_IDS_, buf, start, size,
+                                   {});
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  this.parser.setInfo_(res.value.info);
+  this.emit_('info', {info: res.value.info, element: this.parser.getInfo()});
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Handles the Tracks element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset of the element.
+ * @param {number} size Size of the element including the header.
+ * @param {number} offset Stream offset of the element.
+ * @return {Object} Status object.
+ * @private
+ */
+WebMDemuxer.prototype.onTracks_ = function(buf, start, size, offset) {
+  var firstTrack = this.parser.getTrackObjectLength();
+  var res = this.parser.parseList_(WebMParser.SEGMENT_IDS_, buf, start, size,
+                                   {});
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  var tracks = [];
+  for (var i = firstTrack; i < this.parser.getTrackObjectLength(); ++i)
+    tracks.push(this.parser.getTrackObject(i).track);
+  this.emit_('tracks', {tracks: tracks, element: this.parser.getTracks()});
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Handles the Cues element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset of the element.
+ * @param {number} size Size of the element including the header.
+ * @param {number} offset Stream offset of the element.
+ * @return {Object} Status object.
+ * @private
+ */
+WebMDemuxer.prototype.onCues_ = function(buf, start, size, offset) {
+  var res = this.parser.parseCues_(buf, start, size, offset);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  this.emit_('cues', this.parser.getCues());
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Handles the ClusterTimecode, SimpleBlock and BlockGroup elements.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset of the element.
+ * @param {number} size Size of the element including the header.
+ * @param {number} offset Stream offset of the element.
+ * @return {Object} Status object.
+ * @private
+ */
+WebMDemuxer.prototype.onClusterChild_ = function(buf, start, size, offset) {
+  var clusterInfo = {blockInfo: []};
+  var res = this.parser.parseList_(WebMParser.CLUSTER_IDS_, buf, start, size,
+                                   clusterInfo);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  var timeScale = this.parser.getTimecodeScale() / 1000000000.0;
+  if ('clusterTimecode' in clusterInfo) {
+    this.cluster_.timecode = clusterInfo.clusterTimecode;
+    this.cluster_.time = clusterInfo.clusterTimecode * timeScale;
+    this.emit_('cluster', this.cluster_);
+    return {status: WebMParser.STATUS_OK};
+  }
+
+  if (this.cluster_.timecode == -1) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Block before ClusterTimecode'};
+  }
+
+  this.emit_('block', this.createBlock_(buf, clusterInfo.blockInfo[0],
+                                        offset - start));
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Creates the Object passed to the 'block' event. 'timecode' is the absolute
+ * timecode of the Block and 'time' is in seconds with the track's timing
+ * applied, see WebMParser.getBlockTime. 'time' is negative for the samples
+ * of the CodecDelay. 'duration' is in seconds or -1 if the Block does not
+ * have a BlockDuration. 'discardPadding' is the DiscardPadding in seconds or
+ * 0. 'offset' is the stream offset of the Block element. Each frame in
+ * 'frames' has 'data', a copy of the frame data, and 'time' in seconds. Frame
+ * times of laced Blocks are only set from the track's DefaultDuration.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {Object} blockInfo Block Object returned from WebMParser.
+ * @param {number} bufOffset Stream offset of |buf|.
+ * @return {Object} Block Object.
+ * @private
+ */
+WebMDemuxer.prototype.createBlock_ = function(buf, blockInfo, bufOffset) {
+  var trackNum = blockInfo.trackNum;
+  var duration = -1;
+  if (blockInfo.duration > 0)
+    duration = this.parser.getBlockDuration(trackNum, blockInfo.duration);
+  var block = {
+    trackNum: trackNum,
+    timecode: this.cluster_.timecode + blockInfo.timecode,
+    time: this.parser.getBlockTime(trackNum, this.cluster_.timecode,
+                                   blockInfo.timecode),
+    keyframe: blockInfo.keyframe,
+    duration: duration,
+    discardPadding: (blockInfo.discardPadding || 0) / 1000000000.0,
+    offset: blockInfo.blockOffset + bufOffset,
+    frames: []
+  };
+
+  var frameDuration = 0;
+  var track = this.parser.findTrack_(blockInfo.trackNum);
+  if (track && track.DefaultDuration)
+    frameDuration = track.DefaultDuration / 1000000000.0;
+
+  for (var i = 0; i < blockInfo.frames.length; ++i) {
+    var frame = blockInfo.frames[i];
+    block.frames.push({
+      data: new Uint8Array(buf.subarray(frame.offset,
+                                        frame.offset + frame.size)),
+      time: block.time + i * frameDuration
+    });
+  }
+  return block;
+};
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    WebMDemuxer: WebMDemuxer
+  };
+}
@@ -0,0 +1,575 @@
+// Copyright (c) 2012 The WebM project authors. All Rights Reserved.
+// Use of this source code is governed by a BSD-style license
+// that can be found in the LICENSE file in the root of the source
+// tree. An additional intellectual property rights grant can be found
+// in the file PATENTS.  All contributing project authors may
+// be found in the AUTHORS file in the root of the source tree.
+
+'use strict';
+
+// Node loads the scripts that the browser loads with script tags.
+if (typeof module != 'undefined' && module.exports) {
+  var EbmlWriter = require('./ebml_writer.js').EbmlWriter;
+  var WebMParser = require('./webm_parser.js').WebMParser;
+}
+
+/**
+ * Class to create a WebM file from track descriptions and frames. Tracks are
+ * added with addTrack and frames with addFrame. finalize returns the WebM
+ * file as an Uint8Array, which can be wrapped in a Blob in the browser or
+ * written to a file in Node. The file has an EBML header and a Segment with
+ * a SeekHead, Info, Tracks, Clusters and Cues. A new Cluster is started at
+ * every video keyframe, or every |maxClusterDuration| seconds if the file
+ * does not have a video track.
+ * @param {Object} opt_options Optional settings. 'timecodeScale' is the
+ *     TimecodeScale in nanoseconds, 'maxClusterDuration' is the maximum
+ *     duration of a Cluster in seconds, 'muxingApp' and 'writingApp' are
+ *     written to the Info element.
+ * @constructor
+ */
+function WebMMuxer(opt_options) {
+  var options = opt_options || {};
+  this.timecodeScale_ = options.timecodeScale || 1000000;
+  this.maxClusterDuration_ = options.maxClusterDuration || 5;
+  this.muxingApp_ = options.muxingApp || 'webm-tools';
+  this.writingApp_ = options.writingApp || 'webm-tools';
+
+  this.tracks_ = [];
+  this.frames_ = [];
+}
+
+/**
+ * Video TrackType.
+ * @const
+ * @type {number}
+ */
+WebMMuxer.TRACK_TYPE_VIDEO = 1;
+
+/**
+ * Audio TrackType.
+ * @const
+ * @type {number}
+ */
+WebMMuxer.TRACK_TYPE_AUDIO = 2;
+
+/**
+ * Subtitle TrackType.
+ * @const
+ * @type {number}
+ */
+WebMMuxer.TRACK_TYPE_SUBTITLE = 0x11;
+
+/**
+ * Mapping of track type names to TrackType values.
+ * @private
+ */
+WebMMuxer.TRACK_TYPES_ = {
+  'video': WebMMuxer.TRACK_TYPE_VIDEO,
+  'audio': WebMMuxer.TRACK_TYPE_AUDIO,
+  'subtitle': WebMMuxer.TRACK_TYPE_SUBTITLE
+};
+
+/**
+ * Largest relative timecode of a Block in a Cluster.
+ * @const
+ * @type {number}
+ * @private
+ */
+WebMMuxer.MAX_BLOCK_TIMECODE_ = 32767;
+
+/**
+ * Size in bytes of the SeekPosition values. A fixed size lets the size of the
+ * SeekHead be known before the positions are.
+ * @const
+ * @type {number}
+ * @private
+ */
+WebMMuxer.SEEK_POSITION_SIZE_ = 8;
+
+/**
+ * Adds a track. Times are in seconds.
+ * @param {Object} track Track description. 'type' is 'video', 'audio',
+ *     'subtitle' or a TrackType value. 'codecId' is required. Optional
+ *     values are 'codecPrivate', 'name', 'language', 'defaultDuration',
+ *     'codecDelay', 'seekPreRoll', 'uid', 'width', 'height', 'displayWidth',
+ *     'displayHeight', 'samplingFrequency', 'channels' and 'bitDepth'.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the track number of the new track.
+ */
+WebMMuxer.prototype.addTrack = function(track) {
+  var type = track.type;
+  if (typeof type === 'string')
+    type = WebMMuxer.TRACK_TYPES_[type];
+  if (!type || !track.codecId) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Track needs a type and a codecId.'};
+  }
+
+  var trackNumber = this.tracks_.length + 1;
+  var desc = {};
+  for (var name in track)
+    desc[name] = track[name];
+  desc.type = type;
+  desc.number = trackNumber;
+  desc.uid = track.uid || trackNumber;
+  this.tracks_.push(desc);
+
+  return {status: WebMParser.STATUS_OK, value: trackNumber};
+};
+
+/**
+ * Adds a frame to a track. Frames of a track must be added in decode order.
+ * @param {number} trackNumber Track number returned from addTrack.
+ * @param {Object} frame Frame Object. 'timestamp' is the time of the frame in
+ *     seconds, 'keyframe' is true if the frame can be decoded on its own and
+ *     'data' is an Uint8Array with the frame data. 'duration' is optional and
+ *     in seconds. 'discardPadding' is optional and is the time in seconds to
+ *     discard from the end of the decoded frame, e.g. for the last Opus
+ *     frame. Frames with a duration or a discardPadding are written in a
+ *     BlockGroup.
+ * @return {Object} Status object.
+ */
+WebMMuxer.prototype.addFrame = function(trackNumber, frame) {
+  if (trackNumber < 1 || trackNumber > this.tracks_.length) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Invalid track number:' + trackNumber};
+  }
+  if (!(frame.timestamp >= 0) || !frame.data) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Frame needs a timestamp and data.'};
+  }
+
+  this.frames_.push({
+    trackNumber: trackNumber,
+    timecode: this.secondsToTimecode_(frame.timestamp),
+    keyframe: !!frame.keyframe,
+    duration: frame.duration > 0 ? this.secondsToTimecode_(frame.duration) :
+                                   -1,
+    discardPadding: Math.round((frame.discardPadding || 0) * 1000000000.0),
+    data: frame.data,
+    index: this.frames_.length
+  });
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Converts seconds into timecode units.
+ * @param {number} seconds Time in seconds.
+ * @return {number} Time in timecode units.
+ * @private
+ */
+WebMMuxer.prototype.secondsToTimecode_ = function(seconds) {
+  return Math.round(seconds * 1000000000.0 / this.timecodeScale_);
+};
+
+/**
+ * Creates the WebM file from the tracks and frames that have been added.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is an Uint8Array with the WebM file.
+ */
+WebMMuxer.prototype.finalize = function() {
+  if (this.tracks_.length == 0) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'No tracks were added.'};
+  }
+
+  var clusters = this.createClusters_();
+
+  var ebmlHeader = this.writeEbmlHeader_();
+  if (ebmlHeader.status != WebMParser.STATUS_OK)
+    return ebmlHeader;
+  var info = this.writeInfo_(this.getDuration_());
+  if (info.status != WebMParser.STATUS_OK)
+    return info;
+  var tracks = this.writeTracks_();
+  if (tracks.status != WebMParser.STATUS_OK)
+    return tracks;
+  // The SeekPositions have a fixed size so the size of the SeekHead does not
+  // depend on the positions.
+  var seekHead = this.writeSeekHead_(0, 0, 0);
+  if (seekHead.status != WebMParser.STATUS_OK)
+    return seekHead;
+  var infoPosition = EbmlWriter.getElementSize(
+      0x114D9B74, seekHead.value.getSize());
+  var tracksPosition = infoPosition + EbmlWriter.getElementSize(
+      0x1549A966, info.value.getSize());
+  var clusterPosition = tracksPosition + EbmlWriter.getElementSize(
+      0x1654AE6B, tracks.value.getSize());
+
+  var clusterWriters = [];
+  var cuePoints = [];
+  var lastTimecodes = {};
+  for (var i = 0; i < clusters.length; ++i) {
+    var cluster = this.writeCluster_(clusters[i], lastTimecodes);
+    if (cluster.status != WebMParser.STATUS_OK)
+      return cluster;
+    clusterWriters.push(cluster.value);
+    if (clusters[i].cueTimecode != -1) {
+      cuePoints.push({time: clusters[i].cueTimecode,
+                      track: clusters[i].cueTrack,
+                      position: clusterPosition});
+    }
+    clusterPosition += EbmlWriter.getElementSize(0x1F43B675,
+                                                 cluster.value.getSize());
+  }
+  var cuesPosition = clusterPosition;
+
+  var cues = this.writeCues_(cuePoints);
+  if (cues.status != WebMParser.STATUS_OK)
+    return cues;
+  seekHead = this.writeSeekHead_(infoPosition, tracksPosition, cuesPosition);
+  if (seekHead.status != WebMParser.STATUS_OK)
+    return seekHead;
+
+  var segment = new EbmlWriter();
+  var ok = segment.writeMaster(0x114D9B74, seekHead.value) &&
+           segment.writeMaster(0x1549A966, info.value) &&
+           segment.writeMaster(0x1654AE6B, tracks.value);
+  for (var i = 0; ok && i < clusterWriters.length; ++i)
+    ok = segment.writeMaster(0x1F43B675, clusterWriters[i]);
+  ok = ok && segment.writeMaster(0x1C53BB6B, cues.value);
+
+  var file = new EbmlWriter();
+  ok = ok && file.writeMaster(0x1A45DFA3, ebmlHeader.value) &&
+       file.writeMaster(0x18538067, segment);
+  if (!ok) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Could not write the Segment.'};
+  }
+  return {status: WebMParser.STATUS_OK, value: file.getData()};
+};
+
+/**
+ * Returns the track used for the Cues. The first video track or the first
+ * track if there is no video track.
+ * @return {Object} Track description.
+ * @private
+ */
+WebMMuxer.prototype.getCueTrack_ = function() {
+  for (var i = 0; i < this.tracks_.length; ++i) {
+    if (this.tracks_[i].type == WebMMuxer.TRACK_TYPE_VIDEO)
+      return this.tracks_[i];
+  }
+  return this.tracks_[0];
+};
+
+/**
+ * Returns the duration of the file in timecode units. The end of the last
+ * frame of each track is used.
+ * @return {number} Duration in timecode units.
+ * @private
+ */
+WebMMuxer.prototype.getDuration_ = function() {
+  var duration = 0;
+  for (var i = 0; i < this.frames_.length; ++i) {
+    var frame = this.frames_[i];
+    var frameDuration = frame.duration;
+    var track = this.tracks_[frame.trackNumber - 1];
+    if (frameDuration == -1 && track.defaultDuration)
+      frameDuration = this.secondsToTimecode_(track.defaultDuration);
+    duration = Math.max(duration,
+                        frame.timecode + Math.max(frameDuration, 0));
+  }
+  return duration;
+};
+
+/**
+ * Groups the frames into Clusters. The frames are ordered by time. Frames with
+ * the same time keep the order they were added in.
+ * @return {Array} List of Cluster Objects. 'timecode' is the Cluster time,
+ *     'frames' is the list of frames, 'cueTimecode' and 'cueTrack' describe
+ *     the keyframe of the Cue track in the Cluster. 'cueTimecode' is -1 if
+ *     the Cluster does not have a keyframe of the Cue track.
+ * @private
+ */
+WebMMuxer.prototype.createClusters_ = function() {
+  var frames = this.frames_.slice(0);
+  frames.sort(function(a, b) {
+    return (a.timecode - b.timecode) || (a.index - b.index);
+  });
+
+  var cueTrack = this.getCueTrack_();
+  var splitOnKeyframes = cueTrack.type == WebMMuxer.TRACK_TYPE_VIDEO;
+  var maxDuration = this.secondsToTimecode_(this.maxClusterDuration_);
+  var clusters = [];
+  var cluster = null;
+
+  for (var i = 0; i < frames.length; ++i) {
+    var frame = frames[i];
+    var isCueKeyframe = frame.trackNumber == cueTrack.number && frame.keyframe;
+    var newCluster = !cluster ||
+        frame.timecode - cluster.timecode > WebMMuxer.MAX_BLOCK_TIMECODE_;
+    if (cluster && isCueKeyframe) {
+      if (splitOnKeyframes ||
+          frame.timecode - cluster.timecode >= maxDuration) {
+        newCluster = true;
+      }
+    }
+
+    if (newCluster) {
+      cluster = {timecode: frame.timecode, frames: [], cueTimecode: -1,
+                 cueTrack: cueTrack.number};
+      clusters.push(cluster);
+    }
+
+    if (isCueKeyframe && cluster.cueTimecode == -1)
+      cluster.cueTimecode = frame.timecode;
+    cluster.frames.push(frame);
+  }
+  return clusters;
+};
+
+/**
+ * Returns the status object of a writer.
+ * @param {EbmlWriter} writer Writer with the element data.
+ * @param {boolean} ok True if all of the writes to |writer| succeeded.
+ * @param {string} name Description of the element, used in the reason.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is |writer|.
+ * @private
+ */
+WebMMuxer.writerStatus_ = function(writer, ok, name) {
+  if (!ok) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Could not write ' + name + '.'};
+  }
+  return {status: WebMParser.STATUS_OK, value: writer};
+};
+
+/**
+ * Writes the data of the EBML header.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the writer with the EBML header data.
+ * @private
+ */
+WebMMuxer.prototype.writeEbmlHeader_ = function() {
+  var writer = new EbmlWriter();
+  var ok = writer.writeUInt(0x4286, 1) &&          // EBMLVersion
+           writer.writeUInt(0x42F7, 1) &&          // EBMLReadVersion
+           writer.writeUInt(0x42F2, 4) &&          // EBMLMaxIDLength
+           writer.writeUInt(0x42F3, 8) &&          // EBMLMaxSizeLength
+           writer.writeString(0x4282, 'webm') &&   // DocType
+           writer.writeUInt(0x4287, 4) &&          // DocTypeVersion
+           writer.writeUInt(0x4285, 2);            // DocTypeReadVersion
+  return WebMMuxer.writerStatus_(writer, ok, 'EBML header');
+};
+
+/**
+ * Writes the data of the SeekHead element. Positions are relative to the
+ * start of the Segment data.
+ * @param {number} infoPosition Position of the Info element.
+ * @param {number} tracksPosition Position of the Tracks element.
+ * @param {number} cuesPosition Position of the Cues element.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the writer with the SeekHead data.
+ * @private
+ */
+WebMMuxer.prototype.writeSeekHead_ = function(infoPosition, tracksPosition,
+                                              cuesPosition) {
+  var entries = [[0x1549A966, infoPosition],
+                 [0x1654AE6B, tracksPosition],
+                 [0x1C53BB6B, cuesPosition]];
+  var writer = new EbmlWriter();
+  var ok = true;
+  for (var i = 0; ok && i < entries.length; ++i) {
+    var entry = new EbmlWriter();
+    var id = new EbmlWriter();
+    id.writeId(entries[i][0]);
+    ok = entry.writeBinary(0x53AB, id.getData()) &&       // SeekID
+         entry.writeUInt(0x53AC, entries[i][1],           // SeekPosition
+                         WebMMuxer.SEEK_POSITION_SIZE_) &&
+         writer.writeMaster(0x4DBB, entry);               // Seek
+  }
+  return WebMMuxer.writerStatus_(writer, ok, 'SeekHead');
+};
+
+/**
+ * Writes the data of the Info element.
+ * @param {number} duration Duration in timecode units.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the writer with the Info data.
+ * @private
+ */
+WebMMuxer.prototype.writeInfo_ = function(duration) {
+  var writer = new EbmlWriter();
+  var ok = writer.writeUInt(0x2AD7B1, this.timecodeScale_) && // TimecodeScale
+           writer.writeFloat(0x4489, duration) &&             // Duration
+           writer.writeUtf8(0x4D80, this.muxingApp_) &&       // MuxingApp
+           writer.writeUtf8(0x5741, this.writingApp_);        // WritingApp
+  return WebMMuxer.writerStatus_(writer, ok, 'Info');
+};
+
+/**
+ * Writes the data of the Tracks element.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the writer with the Tracks data.
+ * @private
+ */
+WebMMuxer.prototype.writeTracks_ = function() {
+  var writer = new EbmlWriter();
+  for (var i = 0; i < this.tracks_.length; ++i) {
+    var res = this.writeTrackEntry_(this.tracks_[i]);
+    if (res.status != WebMParser.STATUS_OK)
+      return res;
+    if (!writer.writeMaster(0xAE, res.value))
+      return WebMMuxer.writerStatus_(writer, false, 'Tracks');
+  }
+  return WebMMuxer.writerStatus_(writer, true, 'Tracks');
+};
+
+/**
+ * Static function to convert seconds into nanoseconds.
+ * @param {number} seconds Time in seconds.
+ * @return {number} Time in nanoseconds.
+ * @private
+ */
+WebMMuxer.toNanoseconds_ = function(seconds) {
+  return Math.round(seconds * 1000000000.0);
+};
+
+/**
+ * Writes the data of a TrackEntry element.
+ * @param {Object} track Track description.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the writer with the TrackEntry data.
+ * @private
+ */
+WebMMuxer.prototype.writeTrackEntry_ = function(track) {
+  var writer = new EbmlWriter();
+  var ok = writer.writeUInt(0xD7, track.number) &&           // TrackNumber
+           writer.writeUInt(0x73C5, track.uid) &&            // TrackUID
+           writer.writeUInt(0x83, track.type) &&             // TrackType
+           writer.writeUInt(0x9C, 0) &&                      // FlagLacing
+           (!track.name ||
+            writer.writeUtf8(0x536E, track.name)) &&         // Name
+           (!track.language ||
+            writer.writeString(0x22B59C, track.language)) && // Language
+           writer.writeString(0x86, track.codecId) &&        // CodecID
+           (!track.codecPrivate ||
+            writer.writeBinary(0x63A2, track.codecPrivate)) && // CodecPrivate
+           (!track.defaultDuration ||
+            writer.writeUInt(0x23E383,                       // DefaultDuration
+                WebMMuxer.toNanoseconds_(track.defaultDuration))) &&
+           (!track.codecDelay ||
+            writer.writeUInt(0x56AA,                         // CodecDelay
+                WebMMuxer.toNanoseconds_(track.codecDelay))) &&
+           (!track.seekPreRoll ||
+            writer.writeUInt(0x56BB,                         // SeekPreRoll
+                WebMMuxer.toNanoseconds_(track.seekPreRoll)));
+
+  if (ok && track.type == WebMMuxer.TRACK_TYPE_VIDEO) {
+    var video = new EbmlWriter();
+    ok = video.writeUInt(0xB0, track.width || 0) &&          // PixelWidth
+         video.writeUInt(0xBA, track.height || 0) &&         // PixelHeight
+         (!track.displayWidth ||
+          video.writeUInt(0x54B0, track.displayWidth)) &&    // DisplayWidth
+         (!track.displayHeight ||
+          video.writeUInt(0x54BA, track.displayHeight)) &&   // DisplayHeight
+         writer.writeMaster(0xE0, video);                    // Video
+  } else if (ok && track.type == WebMMuxer.TRACK_TYPE_AUDIO) {
+    var audio = new EbmlWriter();
+    ok = audio.writeFloat(0xB5,                              // SamplingFreq
+                          track.samplingFrequency || 8000) &&
+         audio.writeUInt(0x9F, track.channels || 1) &&       // Channels
+         (!track.bitDepth ||
+          audio.writeUInt(0x6264, track.bitDepth)) &&        // BitDepth
+         writer.writeMaster(0xE1, audio);                    // Audio
+  }
+  return WebMMuxer.writerStatus_(writer, ok,
+                                 'TrackEntry of track ' + track.number);
+};
+
+/**
+ * Writes the data of a Cluster element. A frame that is not a keyframe is
+ * written with a ReferenceBlock to the previous frame of its track. The
+ * ReferenceBlock is left out if the track has no previous frame.
+ * @param {Object} cluster Cluster Object from createClusters_.
+ * @param {Object} lastTimecodes Mapping of track numbers to the timecode of
+ *     the last frame written for the track. Updated with the frames of
+ *     |cluster|.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the writer with the Cluster data.
+ * @private
+ */
+WebMMuxer.prototype.writeCluster_ = function(cluster, lastTimecodes) {
+  var writer = new EbmlWriter();
+  var ok = writer.writeUInt(0xE7, cluster.timecode);         // Timecode
+
+  for (var i = 0; ok && i < cluster.frames.length; ++i) {
+    var frame = cluster.frames[i];
+    var relativeTimecode = frame.timecode - cluster.timecode;
+
+    if (frame.duration == -1 && frame.discardPadding == 0) {
+      var data = this.createBlockData_(frame, relativeTimecode,
+                                       frame.keyframe ? 0x80 : 0);
+      ok = data && writer.writeBinary(0xA3, data);           // SimpleBlock
+    } else {
+      var group = new EbmlWriter();
+      var data = this.createBlockData_(frame, relativeTimecode, 0);
+      var lastTimecode = lastTimecodes[frame.trackNumber];
+      ok = data && group.writeBinary(0xA1, data) &&          // Block
+           (frame.duration == -1 ||
+            group.writeUInt(0x9B, frame.duration)) &&        // BlockDuration
+           (frame.discardPadding == 0 ||
+            group.writeInt(0x75A2, frame.discardPadding)) && // DiscardPadding
+           (frame.keyframe || lastTimecode === undefined ||
+            group.writeInt(0xFB,                             // ReferenceBlock
+                           lastTimecode - frame.timecode)) &&
+           writer.writeMaster(0xA0, group);                  // BlockGroup
+    }
+    lastTimecodes[frame.trackNumber] = frame.timecode;
+  }
+  return WebMMuxer.writerStatus_(writer, ok,
+                                 'Cluster at timecode ' + cluster.timecode);
+};
+
+/**
+ * Creates the data of a SimpleBlock or Block element.
+ * @param {Object} frame Frame Object.
+ * @param {number} relativeTimecode Timecode relative to the Cluster.
+ * @param {number} flags Block flags.
+ * @return {Uint8Array} Block data or null if the track number cannot be
+ *     written.
+ * @private
+ */
+WebMMuxer.prototype.createBlockData_ = function(frame, relativeTimecode,
+                                                flags) {
+  var writer = new EbmlWriter();
+  if (!writer.writeNum(frame.trackNumber))
+    return null;
+  var timecode = relativeTimecode < 0 ? relativeTimecode + 0x10000 :
+                                        relativeTimecode;
+  writer.writeBytes(new Uint8Array([timecode >> 8, timecode & 0xff, flags]));
+  writer.writeBytes(frame.data);
+  return writer.getData();
+};
+
+/**
+ * Writes the data of the Cues element.
+ * @param {Array} cuePoints List of Objects with 'time', 'track' and
+ *     'position'. 'position' is relative to the start of the Segment data.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the writer with the Cues data.
+ * @private
+ */
+WebMMuxer.prototype.writeCues_ = function(cuePoints) {
+  var writer = new EbmlWriter();
+  var ok = true;
+  for (var i = 0; ok && i < cuePoints.length; ++i) {
+    var positions = new EbmlWriter();
+    var cuePoint = new EbmlWriter();
+    ok = positions.writeUInt(0xF7, cuePoints[i].track) &&    // CueTrack
+         positions.writeUInt(0xF1,                           // CueClusterPos
+                             cuePoints[i].position) &&
+         cuePoint.writeUInt(0xB3, cuePoints[i].time) &&      // CueTime
+         cuePoint.writeMaster(0xB7, positions) &&            // CueTrackPos
+         writer.writeMaster(0xBB, cuePoint);                 // CuePoint
+  }
+  return WebMMuxer.writerStatus_(writer, ok, 'Cues');
+};
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    WebMMuxer: WebMMuxer
+  };
+}
@@ -7,6 +7,12 @@
 
 'use strict';
 
+// Node loads the scripts that the browser loads with script tags.
+if (typeof module != 'undefined' && module.exports) {
+  var webmGetIdName = require('./webm_utils.js').webmGetIdName;
+  var HttpFile = require('./http.js').HttpFile;
+}
+
 /**
  * Class to parse binary EBML data.
  * @constructor
@@ -43,18 +49,43 @@ EbmlParser.STATUS_NEED_MORE_DATA = -2;
 EbmlParser.MAX_ELEMENT_HEADER_SIZE = 12;
 
 /**
- * Static function to parse an EMBL number.
+ * Element size value signaling the element has an unknown size. Encoded as
+ * a size with all of the value bits set to 1.
+ * @const
+ * @type {number}
+ */
+EbmlParser.UNKNOWN_SIZE = -1;
+
+/**
+ * Largest integer that can be stored in a javascript number without losing
+ * precision (2^53 - 1).
+ * @const
+ * @type {number}
+ */
+EbmlParser.MAX_SAFE_INTEGER = 9007199254740991;
+
+/**
+ * Static function to parse an EMBL number. Javascript performs bitwise
+ * operations on 32 bit integers so the number is accumulated with
+ * multiplication. Numbers that do not fit in 53 bits are reported as invalid.
+ * If |maskFirstByte| is true a number with all of its value bits set to 1 is
+ * the reserved value and is returned as EbmlParser.UNKNOWN_SIZE, unless
+ * |opt_noReserved| is true.
  * @param {Uint8Array} buf Source buffer.
  * @param {number} start Starting offset.
  * @param {number} size Size left in current element.
  * @param {number} maxBytes Max bytes of number.
  * @param {boolean} maskFirstByte Flag telling if the first byte of the number
  *     is EBML encoded.
+ * @param {boolean} opt_noReserved Optional flag telling if a number with all
+ *     of its value bits set to 1 is returned as a plain number, e.g. for EBML
+ *     lace sizes.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
  *     'bytesUsed' is the number of bytes read and 'value' is number.
  * @private
  */
-EbmlParser.parseNum_ = function(buf, start, size, maxBytes, maskFirstByte) {
+EbmlParser.parseNum_ = function(buf, start, size, maxBytes, maskFirstByte,
+                                opt_noReserved) {
   if (size <= 0)
     return {status: EbmlParser.STATUS_NEED_MORE_DATA, bytesNeeded: 1};
   var mask = 0x80;
@@ -78,10 +109,23 @@ EbmlParser.parseNum_ = function(buf, start, size, maxBytes, maskFirstByte) {
     return {status: EbmlParser.STATUS_NEED_MORE_DATA,
             bytesNeeded: (1 + extraBytes - size)};
 
-  // TODO(acolwell) : Add support for signalling "reserved" values (ie all 1s).
+  var allOnes = maskFirstByte && !opt_noReserved && (num == (mask - 1));
   var bytesUsed = 1;
-  for (var i = 0; i < extraBytes; ++i, ++bytesUsed)
-    num = (num << 8) | (0xff & buf[start + bytesUsed]);
+  for (var i = 0; i < extraBytes; ++i, ++bytesUsed) {
+    num = num * 256 + (0xff & buf[start + bytesUsed]);
+    if ((buf[start + bytesUsed] & 0xff) != 0xff)
+      allOnes = false;
+  }
+
+  if (allOnes) {
+    return {status: EbmlParser.STATUS_OK,
+            bytesUsed: bytesUsed,
+            value: EbmlParser.UNKNOWN_SIZE};
+  }
+
+  if (num > EbmlParser.MAX_SAFE_INTEGER)
+    return {status: EbmlParser.STATUS_INVALID_DATA,
+            reason: 'Number does not fit in 53 bits'};
 
   return {status: EbmlParser.STATUS_OK,
           bytesUsed: bytesUsed,
@@ -95,7 +139,8 @@ EbmlParser.parseNum_ = function(buf, start, size, maxBytes, maskFirstByte) {
  * @param {number} size Size left in current element.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
  *     'bytesUsed' is the number of bytes read, 'id' is the EBML id, and
- *     'elementSize' is the size of the element in bytes.
+ *     'elementSize' is the size of the element in bytes or
+ *     EbmlParser.UNKNOWN_SIZE if the size of the element is unknown.
  */
 EbmlParser.parseElementHeader = function(buf, start, size) {
 
@@ -131,12 +176,17 @@ EbmlParser.parseElementHeader = function(buf, start, size) {
 };
 
 /**
- * Static function to parse an unsigned integer.
+ * Static function to parse an unsigned integer. Values up to 8 bytes are
+ * supported. Values larger than EbmlParser.MAX_SAFE_INTEGER, e.g. random UIDs,
+ * cannot be represented exactly by a javascript number so the exact value is
+ * also returned as a hex string.
  * @param {Uint8Array} buf Source buffer.
  * @param {number} start Starting offset.
  * @param {number} size Size left in current element.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is number.
+ *     'bytesUsed' is the number of bytes read and 'value' is number. If the
+ *     value does not fit in 53 bits 'hexValue' is the exact value as a hex
+ *     string.
  */
 EbmlParser.parseUInt = function(buf, start, size) {
   if (size < 1 || size > 8)
@@ -144,13 +194,60 @@ EbmlParser.parseUInt = function(buf, start, size) {
 
   var val = 0;
   for (var i = 0; i < size; ++i) {
-    val <<= 8;
-    val |= buf[start + i] & 0xff;
+    val = val * 256 + (buf[start + i] & 0xff);
+  }
+
+  var res = {status: EbmlParser.STATUS_OK,
+             bytesUsed: size,
+             value: val};
+
+  if (val > EbmlParser.MAX_SAFE_INTEGER)
+    res.hexValue = EbmlParser.toHex(buf, start, size);
+
+  return res;
+};
+
+/**
+ * Static function to parse a signed integer. Values up to 8 bytes are
+ * supported.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is number.
+ */
+EbmlParser.parseInt = function(buf, start, size) {
+  if (size < 1 || size > 8)
+    return {status: EbmlParser.STATUS_INVALID_DATA};
+
+  var negative = (buf[start] & 0x80) == 0x80;
+  var val = 0;
+  for (var i = 0; i < size; ++i) {
+    var b = buf[start + i] & 0xff;
+    // Accumulate the one's complement of negative numbers so small negative
+    // values do not lose precision.
+    val = val * 256 + (negative ? (~b & 0xff) : b);
   }
 
   return {status: EbmlParser.STATUS_OK,
           bytesUsed: size,
-          value: val};
+          value: negative ? -(val + 1) : val};
+};
+
+/**
+ * Static function to convert bytes to an uppercase hex string.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Number of bytes to convert.
+ * @return {string} Hex string.
+ */
+EbmlParser.toHex = function(buf, start, size) {
+  var str = '';
+  for (var i = 0; i < size; ++i) {
+    var b = buf[start + i] & 0xff;
+    str += (b < 16 ? '0' : '') + b.toString(16).toUpperCase();
+  }
+  return str;
 };
 
 /**
@@ -293,7 +390,7 @@ EbmlParser.parseFloat8 = function(buf, start) {
 };
 
 /**
- * Static function to parse string.
+ * Static function to parse string. Empty elements are the empty string.
  * @param {Uint8Array} buf Source buffer.
  * @param {number} start Starting offset.
  * @param {number} size Size left in current element.
@@ -301,7 +398,7 @@ EbmlParser.parseFloat8 = function(buf, start) {
  *     'bytesUsed' is the number of bytes read and 'value' is the string.
  */
 EbmlParser.parseString = function(buf, start, size) {
-  if (size < 1)
+  if (size < 0)
     return {status: EbmlParser.STATUS_INVALID_DATA};
 
   var val = '';
@@ -314,20 +411,156 @@ EbmlParser.parseString = function(buf, start, size) {
           value: val};
 };
 
+/**
+ * Static function to parse an UTF-8 string. Trailing null bytes are removed
+ * and empty elements are the empty string.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is the string.
+ */
+EbmlParser.parseUtf8 = function(buf, start, size) {
+  if (size < 0)
+    return {status: EbmlParser.STATUS_INVALID_DATA};
+
+  var end = start + size;
+  while (end > start && buf[end - 1] == 0)
+    --end;
+
+  var val = '';
+  var i = start;
+  while (i < end) {
+    var ch = buf[i++];
+    var extra = 0;
+    if (ch >= 0xf0) {
+      ch &= 0x07;
+      extra = 3;
+    } else if (ch >= 0xe0) {
+      ch &= 0x0f;
+      extra = 2;
+    } else if (ch >= 0xc0) {
+      ch &= 0x1f;
+      extra = 1;
+    }
+
+    if (i + extra > end)
+      return {status: EbmlParser.STATUS_INVALID_DATA,
+              reason: 'Truncated UTF-8 character'};
+
+    for (var j = 0; j < extra; ++j)
+      ch = (ch << 6) | (buf[i++] & 0x3f);
+
+    if (ch > 0xffff) {
+      // Encode as a UTF-16 surrogate pair.
+      ch -= 0x10000;
+      val += String.fromCharCode(0xd800 + (ch >> 10), 0xdc00 + (ch & 0x3ff));
+    } else {
+      val += String.fromCharCode(ch);
+    }
+  }
+
+  return {status: EbmlParser.STATUS_OK,
+          bytesUsed: size,
+          value: val};
+};
+
+/**
+ * Time of the EBML date 0, 2001-01-01T00:00:00 UTC, in milliseconds since the
+ * Unix epoch.
+ * @const
+ * @type {number}
+ */
+EbmlParser.DATE_EPOCH = 978307200000;
+
+/**
+ * Static function to parse a date. EBML dates are signed 8 byte integers of
+ * nanoseconds since 2001-01-01T00:00:00 UTC.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is a Date.
+ */
+EbmlParser.parseDate = function(buf, start, size) {
+  if (size != 8)
+    return {status: EbmlParser.STATUS_INVALID_DATA};
+
+  var res = EbmlParser.parseInt(buf, start, size);
+  return {status: EbmlParser.STATUS_OK,
+          bytesUsed: size,
+          value: new Date(EbmlParser.DATE_EPOCH + res.value / 1000000)};
+};
+
+/**
+ * Static function to parse binary data. The data is copied.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Uint8Array.
+ */
+EbmlParser.parseBinary = function(buf, start, size) {
+  return {status: EbmlParser.STATUS_OK,
+          bytesUsed: size,
+          value: new Uint8Array(buf.subarray(start, start + size))};
+};
+
+/**
+ * Lookup table for crc32. Created on first use.
+ * @private
+ */
+EbmlParser.CRC32_TABLE_ = null;
+
+/**
+ * Static function to calculate the CRC-32 (IEEE 802.3) of a range of bytes.
+ * This is the checksum stored in EBML CRC-32 elements.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Number of bytes to use.
+ * @return {number} The unsigned CRC-32 value.
+ */
+EbmlParser.crc32 = function(buf, start, size) {
+  if (!EbmlParser.CRC32_TABLE_) {
+    var table = new Uint32Array(256);
+    for (var i = 0; i < 256; ++i) {
+      var c = i;
+      for (var j = 0; j < 8; ++j)
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      table[i] = c;
+    }
+    EbmlParser.CRC32_TABLE_ = table;
+  }
+
+  var crc = 0xFFFFFFFF;
+  var end = start + size;
+  for (var i = start; i < end; ++i)
+    crc = EbmlParser.CRC32_TABLE_[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
 /**
  * Class to parse WebM elements.
  * @constructor
  */
 function WebMParser() {
   this.segmentOffset_ = -1;
+  this.segmentSize_ = -1;
   this.seekHead_ = null;
+  this.seekOffsets_ = {};
   this.infoElement_ = null;
   this.tracksElement_ = null;
   this.trackObjects_ = [];
+  this.encryptedTracks_ = {};
   this.timecodeScale_ = 1000000;
   this.duration_ = -1;
 
   this.cues_ = null;
+  this.trackCues_ = {};
+  this.chapters_ = null;
+  this.tags_ = null;
+  this.verifyCrc_ = false;
+  this.ebmlHeader_ = null;
 }
 
 /**
@@ -351,6 +584,14 @@ WebMParser.STATUS_INVALID_DATA = -1;
  */
 WebMParser.STATUS_NEED_MORE_DATA = -2;
 
+/**
+ * Return code signaling a CRC-32 element did not match the data of its
+ * parent element.
+ * @const
+ * @type {number}
+ */
+WebMParser.STATUS_CRC_MISMATCH = -3;
+
 /**
  * Static function to return version string.
  * @return {string} version.
@@ -380,6 +621,10 @@ WebMParser.createIdInfo_ = function(parseFunctionName, propertyToSet) {
     func = function(t, buf, start, size, elementStart) {
       return EbmlParser.parseUInt(buf, start, size);
     };
+  } else if (parseFunctionName == 'parseInt') {
+    func = function(t, buf, start, size, elementStart) {
+      return EbmlParser.parseInt(buf, start, size);
+    };
   } else if (parseFunctionName == 'parseFloat') {
     func = function(t, buf, start, size, elementStart) {
       return EbmlParser.parseFloat(buf, start, size);
@@ -388,9 +633,23 @@ WebMParser.createIdInfo_ = function(parseFunctionName, propertyToSet) {
     func = function(t, buf, start, size, elementStart) {
       return EbmlParser.parseString(buf, start, size);
     };
-  } else if (parseFunctionName == 'parseSimpleBlock_') {
+  } else if (parseFunctionName == 'parseUtf8') {
+    func = function(t, buf, start, size, elementStart) {
+      return EbmlParser.parseUtf8(buf, start, size);
+    };
+  } else if (parseFunctionName == 'parseBinary') {
+    func = function(t, buf, start, size, elementStart) {
+      return EbmlParser.parseBinary(buf, start, size);
+    };
+  } else if (parseFunctionName == 'parseDate') {
+    func = function(t, buf, start, size, elementStart) {
+      return EbmlParser.parseDate(buf, start, size);
+    };
+  } else if (parseFunctionName == 'parseSimpleBlock_' ||
+             parseFunctionName == 'parseBlock_' ||
+             parseFunctionName == 'parseBlockGroup_') {
     func = function(t, buf, start, size, elementStart) {
-      return t.parseSimpleBlock_(buf, start, size, elementStart);
+      return t[parseFunctionName](buf, start, size, elementStart);
     };
   } else {
     func = function(t, buf, start, size, elementStart) {
@@ -418,6 +677,17 @@ WebMParser.parseUInt_ = function(propertyName) {
   return WebMParser.createIdInfo_('parseUInt', propertyName);
 };
 
+/**
+ * Static parse function for an element that contains a signed integer.
+ * @param {string} propertyName Indicates the property to assign the parsed
+ *     value to.
+ * @return {Object} Mapping.
+ * @private
+ */
+WebMParser.parseInt_ = function(propertyName) {
+  return WebMParser.createIdInfo_('parseInt', propertyName);
+};
+
 /**
  * Static parse function for an element that contains a float.
  * @param {string} propertyName Indicates the property to assign the parsed
@@ -440,6 +710,82 @@ WebMParser.parseString_ = function(propertyName) {
   return WebMParser.createIdInfo_('parseString', propertyName);
 };
 
+/**
+ * Static parse function for an element that contains an UTF-8 string.
+ * @param {string} propertyName Indicates the property to assign the parsed
+ *     value to.
+ * @return {Object} Mapping.
+ * @private
+ */
+WebMParser.parseUtf8_ = function(propertyName) {
+  return WebMParser.createIdInfo_('parseUtf8', propertyName);
+};
+
+/**
+ * Static parse function for an element that contains binary data.
+ * @param {string} propertyName Indicates the property to assign the parsed
+ *     value to.
+ * @return {Object} Mapping.
+ * @private
+ */
+WebMParser.parseBinary_ = function(propertyName) {
+  return WebMParser.createIdInfo_('parseBinary', propertyName);
+};
+
+/**
+ * Static parse function for an element that contains a date.
+ * @param {string} propertyName Indicates the property to assign the parsed
+ *     value to.
+ * @return {Object} Mapping.
+ * @private
+ */
+WebMParser.parseDate_ = function(propertyName) {
+  return WebMParser.createIdInfo_('parseDate', propertyName);
+};
+
+/**
+ * Static parse function for a master element that is parsed with the default
+ * EbmlSchema. See parseWithSchema. The element is skipped if ebml_schema.js
+ * is not loaded.
+ * @param {string} id ID of the master element.
+ * @param {string} propertyName Indicates the property to assign the parsed
+ *     value to.
+ * @return {Object} Mapping.
+ * @private
+ */
+WebMParser.parseSchema_ = function(id, propertyName) {
+  var func = function(t, buf, start, size, elementStart) {
+    if (typeof EbmlSchema == 'undefined')
+      return {status: WebMParser.STATUS_OK, bytesUsed: size};
+    return t.parseWithSchema(buf, start, size, id);
+  };
+  return {func: func, prop: propertyName};
+};
+
+/**
+ * Key of the idInfo entry that is used for IDs that are not in the idInfo
+ * Object. See parseList_.
+ * @const
+ * @type {string}
+ * @private
+ */
+WebMParser.UNLISTED_ID_ = 'UNLISTED';
+
+/**
+ * Names of the EbmlParser functions that parse the values of each EbmlSchema
+ * element type.
+ * @private
+ */
+WebMParser.SCHEMA_PARSE_FUNCTIONS_ = {
+  'uinteger': 'parseUInt',
+  'integer': 'parseInt',
+  'float': 'parseFloat',
+  'string': 'parseString',
+  'utf-8': 'parseUtf8',
+  'date': 'parseDate',
+  'binary': 'parseBinary'
+};
+
 /**
  * Global element IDs that can appear in any element.
  * @private
@@ -460,7 +806,47 @@ WebMParser.EBML_HEADER_IDS_ = {
   '42F3': WebMParser.parseUInt_('maxSizeLength'),      // EBMLMaxSizeLength
   '4282': WebMParser.parseString_('docType'),          // EBMLDocType
   '4287': WebMParser.parseUInt_('docTypeVersion'),     // EBMLDocTypeVersion
-  '4285': WebMParser.parseUInt_('docTypeReadVersion')  // EBMLDocTypeReadVersion
+  '4285': WebMParser.parseUInt_('docTypeReadVersion'), // EBMLDocTypeReadVersion
+  '4281': WebMParser.createIdInfo_('parseDocTypeExtension_', // DocTypeExtension
+                                   'extensions')
+};
+
+/**
+ * DocTypeExtension IDs.
+ * @private
+ */
+WebMParser.DOC_TYPE_EXTENSION_IDS_ = {
+  '4283': WebMParser.parseString_('name'),   // DocTypeExtensionName
+  '4284': WebMParser.parseUInt_('version')   // DocTypeExtensionVersion
+};
+
+/**
+ * Highest EBMLDocTypeReadVersion that can be read for each supported
+ * EBMLDocType.
+ * @private
+ */
+WebMParser.SUPPORTED_DOC_TYPES_ = {
+  'webm': 4,
+  'matroska': 4
+};
+
+/**
+ * Features that may be used by a file and the EBMLDocTypeVersion they were
+ * added in.
+ * @private
+ */
+WebMParser.DOC_TYPE_FEATURES_ = {
+  'SimpleBlock': 2,
+  'CodecState': 2,
+  'StereoMode': 3,
+  'AlphaMode': 3,
+  'ChapterStringUID': 3,
+  'CodecDelay': 4,
+  'SeekPreRoll': 4,
+  'DiscardPadding': 4,
+  'Colour': 4,
+  'Projection': 4,
+  'LanguageIETF': 4
 };
 
 /**
@@ -474,10 +860,42 @@ WebMParser.SEGMENT_IDS_ = {
                                        'info'),
   '1654AE6B': WebMParser.createIdInfo_('parseTracks_',   // Tracks
                                        'tracks'),
+  '1043A770': WebMParser.createIdInfo_('parseChapters_', // Chapters
+                                       'chapters'),
+  '1254C367': WebMParser.createIdInfo_('parseTags_',     // Tags
+                                       'tags'),
+  '1941A469': WebMParser.SKIP_,                          // Attachments
   '1F43B675': null,                                      // Cluster
   '1C53BB6B': WebMParser.SKIP_                           // Cues
 };
 
+/**
+ * IDs that end an unknown-size Cluster. These are the Segment level elements
+ * and the elements that start a new Segment.
+ * @private
+ */
+WebMParser.TOP_LEVEL_IDS_ = {
+  '1A45DFA3': true,  // EBML Header
+  '18538067': true,  // Segment
+  '114D9B74': true,  // SeekHead
+  '1549A966': true,  // Info
+  '1654AE6B': true,  // Tracks
+  '1F43B675': true,  // Cluster
+  '1C53BB6B': true,  // Cues
+  '1043A770': true,  // Chapters
+  '1254C367': true,  // Tags
+  '1941A469': true   // Attachments
+};
+
+/**
+ * IDs that end an unknown-size Segment.
+ * @private
+ */
+WebMParser.SEGMENT_END_IDS_ = {
+  '1A45DFA3': true,  // EBML Header
+  '18538067': true   // Segment
+};
+
 /**
  * SeekHead IDs.
  * @private
@@ -506,7 +924,7 @@ WebMParser.INFO_IDS_ = {
   '7BA9': WebMParser.SKIP_,   // Title
   '5741': WebMParser.SKIP_,   // WritingApp
   '4D80': WebMParser.SKIP_,   // MuxingApp
-  '4461': WebMParser.SKIP_   // DateUTC
+  '4461': WebMParser.parseDate_('dateUTC')  // DateUTC
 };
 
 /**
@@ -517,6 +935,13 @@ WebMParser.TRACKS_IDS_ = {
   'AE': WebMParser.createIdInfo_('parseTrackEntry_', 'track')  // TrackEntry
 };
 
+/**
+ * TrackType value for video tracks.
+ * @const
+ * @type {number}
+ */
+WebMParser.TRACK_TYPE_VIDEO = 1;
+
 /**
  * Track IDs.
  * @private
@@ -525,110 +950,586 @@ WebMParser.TRACK_IDS_ = {
   'D7': WebMParser.parseUInt_('TrackNumber'), // TrackNumber
   '73C5': WebMParser.parseUInt_('TrackUID'), // TrackUID
   '83': WebMParser.parseUInt_('TrackType'), // TrackType
-  'B9': WebMParser.SKIP_,      // FlagEnabled
-  '88': WebMParser.SKIP_,      // FlagDefault
-  '55AA': WebMParser.SKIP_,    // FlagForced
-  '9C': WebMParser.SKIP_,      // FlagLacing
+  'B9': WebMParser.parseUInt_('FlagEnabled'),  // FlagEnabled
+  '88': WebMParser.parseUInt_('FlagDefault'),  // FlagDefault
+  '55AA': WebMParser.parseUInt_('FlagForced'), // FlagForced
+  '55AB': WebMParser.parseUInt_('FlagHearingImpaired'), // FlagHearingImpaired
+  '55AC': WebMParser.parseUInt_('FlagVisualImpaired'),  // FlagVisualImpaired
+  '55AD': WebMParser.parseUInt_('FlagTextDescriptions'), // FlagTextDescriptions
+  '55AE': WebMParser.parseUInt_('FlagOriginal'),        // FlagOriginal
+  '55AF': WebMParser.parseUInt_('FlagCommentary'),      // FlagCommentary
+  '9C': WebMParser.parseUInt_('FlagLacing'),   // FlagLacing
   '6DE7': WebMParser.SKIP_,    // MinCache
   '6DE8': WebMParser.SKIP_,    // MaxCache
-  '23E383': WebMParser.SKIP_,  // DefaultDuration
-  '23314F': WebMParser.SKIP_,  // TrackTimecodeScale
+  '23E383': WebMParser.parseUInt_('DefaultDuration'), // DefaultDuration
+  '23314F': WebMParser.parseFloat_('TrackTimecodeScale'), // TrackTimecodeScale
   '55EE': WebMParser.SKIP_,    // MaxBlockAdditionID
-  '536E': WebMParser.SKIP_,    // Name
-  '22B59C': WebMParser.SKIP_,  // Language
-  '86': WebMParser.SKIP_,      // CodecID
-  '63A2': WebMParser.SKIP_,    // CodecPrivate
-  '258688': WebMParser.SKIP_,  // CodecName
+  '41E4': WebMParser.SKIP_,    // BlockAdditionMapping
+  '536E': WebMParser.parseUtf8_('Name'),           // Name
+  '22B59C': WebMParser.parseString_('Language'),   // Language
+  '22B59D': WebMParser.parseString_('LanguageIETF'), // LanguageIETF
+  '86': WebMParser.parseString_('CodecID'),        // CodecID
+  '63A2': WebMParser.parseBinary_('CodecPrivate'), // CodecPrivate
+  '258688': WebMParser.parseUtf8_('CodecName'),    // CodecName
   '7446': WebMParser.SKIP_,    // AttachmentLink
   'AA': WebMParser.SKIP_,      // CodecDecodeAll
+  '56AA': WebMParser.parseUInt_('CodecDelay'),     // CodecDelay
+  '56BB': WebMParser.parseUInt_('SeekPreRoll'),    // SeekPreRoll
   '6FAB': WebMParser.SKIP_,    // TrackOverlay
   '6624': WebMParser.SKIP_,    // TrackTranslate
-  'E0': WebMParser.SKIP_,      // Video
-  'E1': WebMParser.SKIP_,      // Audio
+  'E0': WebMParser.createIdInfo_('parseVideo_', 'Video'), // Video
+  'E1': WebMParser.createIdInfo_('parseAudio_', 'Audio'), // Audio
   'E2': WebMParser.SKIP_,      // TrackOperation
-  '6D80': WebMParser.SKIP_     // ContentEncodings
+  '6D80': WebMParser.createIdInfo_('parseContentEncodings_', // ContentEncodings
+                                   'ContentEncodings')
 };
+// Skip the elements added by newer versions of the specification.
+WebMParser.TRACK_IDS_[WebMParser.UNLISTED_ID_] = WebMParser.SKIP_;
 
 /**
- * Cues IDs.
+ * ContentEncodings IDs.
  * @private
  */
-WebMParser.CUES_IDS_ = {
-  'BB': WebMParser.createIdInfo_('parsePointEntry_', null)  // PointEntry
+WebMParser.CONTENT_ENCODINGS_IDS_ = {
+  '6240': WebMParser.createIdInfo_('parseContentEncoding_', null) // Encoding
 };
 
 /**
- * CuePointEntry IDs.
+ * ContentEncoding IDs.
  * @private
  */
-WebMParser.POINT_ENTRY_IDS_ = {
-  'B3': WebMParser.parseUInt_('cueTime'),               // CUETIME
-  'B7': WebMParser.createIdInfo_('parseTrackPosition_', // CUETRACKPOSITION
-                                 'trackPosition')
+WebMParser.CONTENT_ENCODING_IDS_ = {
+  '5031': WebMParser.parseUInt_('ContentEncodingOrder'), // ContentEncodingOrder
+  '5032': WebMParser.parseUInt_('ContentEncodingScope'), // ContentEncodingScope
+  '5033': WebMParser.parseUInt_('ContentEncodingType'),  // ContentEncodingType
+  '5034': WebMParser.SKIP_,                              // ContentCompression
+  '5035': WebMParser.createIdInfo_('parseContentEncryption_', // Encryption
+                                   'ContentEncryption')
 };
 
 /**
- * CueTrackPositions IDs.
+ * ContentEncryption IDs.
  * @private
  */
-WebMParser.TRACK_POSITIONS_IDS_ = {
-  'F7': WebMParser.parseUInt_('cueTrack'),      // CUETRACK
-  'F1': WebMParser.parseUInt_('cueClusterPos'), // CUECLUSTERPOSITION
-  '5378': WebMParser.SKIP_                      // CUEBLOCKNUMBER
+WebMParser.CONTENT_ENCRYPTION_IDS_ = {
+  '47E1': WebMParser.parseUInt_('ContentEncAlgo'),     // ContentEncAlgo
+  '47E2': WebMParser.parseBinary_('ContentEncKeyID'),  // ContentEncKeyID
+  '47E7': WebMParser.createIdInfo_('parseAESSettings_', // ContentEncAESSettings
+                                   'ContentEncAESSettings'),
+  '47E3': WebMParser.SKIP_,                            // ContentSignature
+  '47E4': WebMParser.SKIP_,                            // ContentSigKeyID
+  '47E5': WebMParser.SKIP_,                            // ContentSigAlgo
+  '47E6': WebMParser.SKIP_                             // ContentSigHashAlgo
 };
 
 /**
- * Cluster IDs.
+ * ContentEncAESSettings IDs.
  * @private
  */
-WebMParser.CLUSTER_IDS_ = {
-  'E7': WebMParser.parseUInt_('clusterTimecode'),     // CLUSTERTIMECODE
-  'AB': WebMParser.SKIP_,                             // CLUSTERPREVSIZE
-  'A3': WebMParser.createIdInfo_('parseSimpleBlock_', // SIMPLEBLOCK
-                                 'blockInfo')
+WebMParser.AES_SETTINGS_IDS_ = {
+  // AESSettingsCipherMode
+  '47E8': WebMParser.parseUInt_('AESSettingsCipherMode')
 };
 
 /**
- * Set the Segment offset that is used by the Cues. |offset| will only be set
- * if it is greater than 0.
- * @param {number} offset Segment offset in bytes.
+ * ContentEncodingType value for encryption.
+ * @const
+ * @type {number}
  */
-WebMParser.prototype.setSegmentOffset = function(offset) {
-  if (offset > 0)
-    this.segmentOffset_ = offset;
-};
+WebMParser.CONTENT_ENCODING_TYPE_ENCRYPTION = 1;
 
 /**
- * Check if |obj| is an Array.
- * @param {Object} obj Object to check.
- * @return {boolean} Returns true if |obj| is an Array.
+ * ContentEncAlgo value for AES.
+ * @const
+ * @type {number}
+ */
+WebMParser.CONTENT_ENC_ALGO_AES = 5;
+
+/**
+ * Video IDs.
  * @private
  */
-WebMParser.prototype.isList_ = function(obj) {
-  return ((typeof obj === 'object') &&
-          (obj instanceof Array));
+WebMParser.VIDEO_IDS_ = {
+  '9A': WebMParser.parseUInt_('FlagInterlaced'),    // FlagInterlaced
+  '9D': WebMParser.parseUInt_('FieldOrder'),        // FieldOrder
+  '53B8': WebMParser.parseUInt_('StereoMode'),      // StereoMode
+  '53B9': WebMParser.SKIP_,                         // OldStereoMode
+  '53C0': WebMParser.parseUInt_('AlphaMode'),       // AlphaMode
+  'B0': WebMParser.parseUInt_('PixelWidth'),        // PixelWidth
+  'BA': WebMParser.parseUInt_('PixelHeight'),       // PixelHeight
+  '54AA': WebMParser.parseUInt_('PixelCropBottom'), // PixelCropBottom
+  '54BB': WebMParser.parseUInt_('PixelCropTop'),    // PixelCropTop
+  '54CC': WebMParser.parseUInt_('PixelCropLeft'),   // PixelCropLeft
+  '54DD': WebMParser.parseUInt_('PixelCropRight'),  // PixelCropRight
+  '54B0': WebMParser.parseUInt_('DisplayWidth'),    // DisplayWidth
+  '54BA': WebMParser.parseUInt_('DisplayHeight'),   // DisplayHeight
+  '54B2': WebMParser.parseUInt_('DisplayUnit'),     // DisplayUnit
+  '54B3': WebMParser.SKIP_,                         // AspectRatioType
+  '2EB524': WebMParser.SKIP_,                       // ColourSpace
+  '2FB523': WebMParser.SKIP_,                       // GammaValue
+  '2383E3': WebMParser.parseFloat_('FrameRate'),    // FrameRate
+  '55B0': WebMParser.createIdInfo_('parseColour_', 'Colour'), // Colour
+  '7670': WebMParser.parseSchema_('7670', 'Projection') // Projection
 };
+WebMParser.VIDEO_IDS_[WebMParser.UNLISTED_ID_] = WebMParser.SKIP_;
 
 /**
- * Parses a WebM master element. Entire list needs to be in |buf| and within
- * the specified size. Returns an Object with values of the parsed list
- * according to |idInfo|.
- * @param {Object} idInfo Mapping of IDs to parsing functions.
- * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
- * @param {Object} obj Starting Object or Array.
- * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is the Object of
- *     parsed values.
+ * Colour IDs.
  * @private
  */
-WebMParser.prototype.parseList_ = function(idInfo, buf, start, size, obj) {
-  var curStart = start;
-  var curSize = size;
+WebMParser.COLOUR_IDS_ = {
+  '55B1': WebMParser.parseUInt_('MatrixCoefficients'),      // MatrixCoeffs
+  '55B2': WebMParser.parseUInt_('BitsPerChannel'),          // BitsPerChannel
+  '55B3': WebMParser.parseUInt_('ChromaSubsamplingHorz'),   // ChromaSubHorz
+  '55B4': WebMParser.parseUInt_('ChromaSubsamplingVert'),   // ChromaSubVert
+  '55B5': WebMParser.parseUInt_('CbSubsamplingHorz'),       // CbSubHorz
+  '55B6': WebMParser.parseUInt_('CbSubsamplingVert'),       // CbSubVert
+  '55B7': WebMParser.parseUInt_('ChromaSitingHorz'),        // ChromaSitingHorz
+  '55B8': WebMParser.parseUInt_('ChromaSitingVert'),        // ChromaSitingVert
+  '55B9': WebMParser.parseUInt_('Range'),                   // Range
+  '55BA': WebMParser.parseUInt_('TransferCharacteristics'), // Transfer
+  '55BB': WebMParser.parseUInt_('Primaries'),               // Primaries
+  '55BC': WebMParser.parseUInt_('MaxCLL'),                  // MaxCLL
+  '55BD': WebMParser.parseUInt_('MaxFALL'),                 // MaxFALL
+  '55D0': WebMParser.createIdInfo_('parseMasteringMetadata_', // Mastering
+                                   'MasteringMetadata')
+};
 
-  while (curSize > 0) {
-    var res = EbmlParser.parseElementHeader(buf, curStart, curSize);
+/**
+ * MasteringMetadata IDs.
+ * @private
+ */
+WebMParser.MASTERING_METADATA_IDS_ = {
+  '55D1': WebMParser.parseFloat_('PrimaryRChromaticityX'),
+  '55D2': WebMParser.parseFloat_('PrimaryRChromaticityY'),
+  '55D3': WebMParser.parseFloat_('PrimaryGChromaticityX'),
+  '55D4': WebMParser.parseFloat_('PrimaryGChromaticityY'),
+  '55D5': WebMParser.parseFloat_('PrimaryBChromaticityX'),
+  '55D6': WebMParser.parseFloat_('PrimaryBChromaticityY'),
+  '55D7': WebMParser.parseFloat_('WhitePointChromaticityX'),
+  '55D8': WebMParser.parseFloat_('WhitePointChromaticityY'),
+  '55D9': WebMParser.parseFloat_('LuminanceMax'),
+  '55DA': WebMParser.parseFloat_('LuminanceMin')
+};
+
+/**
+ * TransferCharacteristics value for SMPTE ST 2084 (PQ).
+ * @const
+ * @type {number}
+ */
+WebMParser.TRANSFER_SMPTE_ST_2084 = 16;
+
+/**
+ * TransferCharacteristics value for ARIB STD-B67 (HLG).
+ * @const
+ * @type {number}
+ */
+WebMParser.TRANSFER_ARIB_STD_B67 = 18;
+
+/**
+ * Colour value for unspecified MatrixCoefficients, TransferCharacteristics
+ * and Primaries.
+ * @const
+ * @type {number}
+ * @private
+ */
+WebMParser.COLOUR_UNSPECIFIED_ = 2;
+
+/**
+ * Colour Range value for full range.
+ * @const
+ * @type {number}
+ * @private
+ */
+WebMParser.RANGE_FULL_ = 2;
+
+/**
+ * Codec strings of the codecs that do not have parameters, by CodecID.
+ * @private
+ */
+WebMParser.CODEC_STRINGS_ = {
+  'V_VP8': 'vp8',
+  'A_VORBIS': 'vorbis',
+  'A_OPUS': 'opus'
+};
+
+/**
+ * VP9 CodecPrivate feature IDs.
+ * @private
+ */
+WebMParser.VP9_FEATURES_ = {
+  1: 'profile',
+  2: 'level',
+  3: 'bitDepth',
+  4: 'chromaSubsampling'
+};
+
+/**
+ * VP9 levels with the maximum luma picture size and the maximum luma sample
+ * rate of each level. Used when the CodecPrivate does not have the level.
+ * @private
+ */
+WebMParser.VP9_LEVELS_ = [
+  {level: 10, pictureSize: 36864, sampleRate: 829440},
+  {level: 11, pictureSize: 73728, sampleRate: 2764800},
+  {level: 20, pictureSize: 122880, sampleRate: 4608000},
+  {level: 21, pictureSize: 245760, sampleRate: 9216000},
+  {level: 30, pictureSize: 552960, sampleRate: 20736000},
+  {level: 31, pictureSize: 983040, sampleRate: 36864000},
+  {level: 40, pictureSize: 2228224, sampleRate: 83558400},
+  {level: 41, pictureSize: 2228224, sampleRate: 160432128},
+  {level: 50, pictureSize: 8912896, sampleRate: 311951360},
+  {level: 51, pictureSize: 8912896, sampleRate: 588251136},
+  {level: 52, pictureSize: 8912896, sampleRate: 1176502272},
+  {level: 60, pictureSize: 35651584, sampleRate: 1176502272},
+  {level: 61, pictureSize: 35651584, sampleRate: 2353004544},
+  {level: 62, pictureSize: 35651584, sampleRate: 4706009088}
+];
+
+/**
+ * Audio IDs.
+ * @private
+ */
+WebMParser.AUDIO_IDS_ = {
+  'B5': WebMParser.parseFloat_('SamplingFrequency'),       // SamplingFrequency
+  '78B5': WebMParser.parseFloat_('OutputSamplingFrequency'), // OutputSampling
+  '9F': WebMParser.parseUInt_('Channels'),                  // Channels
+  '7D7B': WebMParser.SKIP_,                                 // ChannelPositions
+  '6264': WebMParser.parseUInt_('BitDepth'),                // BitDepth
+  '52F1': WebMParser.SKIP_                                  // Emphasis
+};
+WebMParser.AUDIO_IDS_[WebMParser.UNLISTED_ID_] = WebMParser.SKIP_;
+
+/**
+ * Chapters IDs.
+ * @private
+ */
+WebMParser.CHAPTERS_IDS_ = {
+  '45B9': WebMParser.createIdInfo_('parseEditionEntry_', null) // EditionEntry
+};
+
+/**
+ * EditionEntry IDs.
+ * @private
+ */
+WebMParser.EDITION_ENTRY_IDS_ = {
+  '45BC': WebMParser.parseUInt_('uid'),                        // EditionUID
+  '45BD': WebMParser.parseUInt_('hidden'),                     // FlagHidden
+  '45DB': WebMParser.parseUInt_('isDefault'),                  // FlagDefault
+  '45DD': WebMParser.parseUInt_('ordered'),                    // FlagOrdered
+  'B6': WebMParser.createIdInfo_('parseChapterAtom_', 'chapters') // Atom
+};
+
+/**
+ * ChapterAtom IDs.
+ * @private
+ */
+WebMParser.CHAPTER_ATOM_IDS_ = {
+  '73C4': WebMParser.parseUInt_('uid'),                  // ChapterUID
+  '5654': WebMParser.parseUtf8_('stringUid'),            // ChapterStringUID
+  '91': WebMParser.parseUInt_('startTimecode'),          // ChapterTimeStart
+  '92': WebMParser.parseUInt_('endTimecode'),            // ChapterTimeEnd
+  '98': WebMParser.parseUInt_('hidden'),                 // ChapterFlagHidden
+  '4598': WebMParser.parseUInt_('enabled'),              // ChapterFlagEnabled
+  '6E67': WebMParser.SKIP_,                              // ChapterSegmentUID
+  '6EBC': WebMParser.SKIP_,                            // ChapterSegmentEdition
+  '63C3': WebMParser.SKIP_,                              // ChapterPhysicalEquiv
+  '8F': WebMParser.SKIP_,                                // ChapterTrack
+  '80': WebMParser.createIdInfo_('parseChapterDisplay_', // ChapterDisplay
+                                 'displays'),
+  '6944': WebMParser.SKIP_,                              // ChapProcess
+  'B6': WebMParser.createIdInfo_('parseChapterAtom_',    // ChapterAtom
+                                 'chapters')
+};
+
+/**
+ * ChapterDisplay IDs.
+ * @private
+ */
+WebMParser.CHAPTER_DISPLAY_IDS_ = {
+  '85': WebMParser.parseUtf8_('title'),             // ChapString
+  '437C': WebMParser.parseString_('languages'),     // ChapLanguage
+  '437D': WebMParser.parseString_('languagesIETF'), // ChapLanguageIETF
+  '437E': WebMParser.parseString_('countries')      // ChapCountry
+};
+
+/**
+ * Tags IDs.
+ * @private
+ */
+WebMParser.TAGS_IDS_ = {
+  '7373': WebMParser.createIdInfo_('parseTag_', null) // Tag
+};
+
+/**
+ * Tag IDs.
+ * @private
+ */
+WebMParser.TAG_IDS_ = {
+  '63C0': WebMParser.createIdInfo_('parseTagTargets_', 'targets'), // Targets
+  '67C8': WebMParser.createIdInfo_('parseSimpleTag_', 'simpleTags') // SimpleTag
+};
+
+/**
+ * Targets IDs.
+ * @private
+ */
+WebMParser.TAG_TARGETS_IDS_ = {
+  '68CA': WebMParser.parseUInt_('typeValue'),       // TargetTypeValue
+  '63CA': WebMParser.parseString_('type'),          // TargetType
+  '63C5': WebMParser.parseUInt_('trackUids'),       // TagTrackUID
+  '63C9': WebMParser.parseUInt_('editionUids'),     // TagEditionUID
+  '63C4': WebMParser.parseUInt_('chapterUids'),     // TagChapterUID
+  '63C6': WebMParser.parseUInt_('attachmentUids')   // TagAttachmentUID
+};
+
+/**
+ * SimpleTag IDs.
+ * @private
+ */
+WebMParser.SIMPLE_TAG_IDS_ = {
+  '45A3': WebMParser.parseUtf8_('name'),                            // TagName
+  '447A': WebMParser.parseString_('language'),                      // TagLang
+  '447B': WebMParser.parseString_('languageIETF'),              // TagLangIETF
+  '4484': WebMParser.parseUInt_('isDefault'),                    // TagDefault
+  // Early versions of libmatroska wrote TagDefault with the ID 0x44B4. The
+  // Matroska specification keeps it as TagDefaultBogus.
+  '44B4': WebMParser.parseUInt_('isDefault'),              // TagDefaultBogus
+  '4487': WebMParser.parseUtf8_('value'),                         // TagString
+  '4485': WebMParser.parseBinary_('binary'),                      // TagBinary
+  '67C8': WebMParser.createIdInfo_('parseSimpleTag_', 'simpleTags') // SimpleTag
+};
+
+/**
+ * AttachedFile IDs. FileData is not parsed so the attachment data does not
+ * need to be downloaded to list the attachments.
+ * @private
+ */
+WebMParser.ATTACHED_FILE_IDS_ = {
+  '467E': WebMParser.parseUtf8_('description'),  // FileDescription
+  '466E': WebMParser.parseUtf8_('name'),         // FileName
+  '4660': WebMParser.parseString_('mimeType'),   // FileMimeType
+  '465C': WebMParser.SKIP_,                      // FileData
+  '46AE': WebMParser.parseUInt_('uid'),          // FileUID
+  '4675': WebMParser.SKIP_,                      // FileReferral
+  '4661': WebMParser.SKIP_,                      // FileUsedStartTime
+  '4662': WebMParser.SKIP_                       // FileUsedEndTime
+};
+
+/**
+ * Cues IDs.
+ * @private
+ */
+WebMParser.CUES_IDS_ = {
+  'BB': WebMParser.createIdInfo_('parsePointEntry_', null)  // PointEntry
+};
+
+/**
+ * CuePointEntry IDs.
+ * @private
+ */
+WebMParser.POINT_ENTRY_IDS_ = {
+  'B3': WebMParser.parseUInt_('cueTime'),               // CUETIME
+  'B7': WebMParser.createIdInfo_('parseTrackPosition_', // CUETRACKPOSITION
+                                 'trackPositions')
+};
+
+/**
+ * CueTrackPositions IDs.
+ * @private
+ */
+WebMParser.TRACK_POSITIONS_IDS_ = {
+  'F7': WebMParser.parseUInt_('cueTrack'),              // CUETRACK
+  'F1': WebMParser.parseUInt_('cueClusterPos'),         // CUECLUSTERPOSITION
+  'F0': WebMParser.parseUInt_('cueRelativePosition'),   // CUERELATIVEPOSITION
+  'B2': WebMParser.parseUInt_('cueDuration'),           // CUEDURATION
+  '5378': WebMParser.parseUInt_('cueBlockNumber'),      // CUEBLOCKNUMBER
+  'EA': WebMParser.SKIP_,                               // CUECODECSTATE
+  'DB': WebMParser.SKIP_                                // CUEREFERENCE
+};
+
+/**
+ * Cluster IDs.
+ * @private
+ */
+WebMParser.CLUSTER_IDS_ = {
+  'E7': WebMParser.parseUInt_('clusterTimecode'),     // CLUSTERTIMECODE
+  'A7': WebMParser.SKIP_,                             // CLUSTERPOSITION
+  'AB': WebMParser.SKIP_,                             // CLUSTERPREVSIZE
+  'A3': WebMParser.createIdInfo_('parseSimpleBlock_', // SIMPLEBLOCK
+                                 'blockInfo'),
+  'A0': WebMParser.createIdInfo_('parseBlockGroup_',  // BLOCKGROUP
+                                 'blockInfo')
+};
+
+/**
+ * BlockGroup IDs.
+ * @private
+ */
+WebMParser.BLOCK_GROUP_IDS_ = {
+  'A1': WebMParser.createIdInfo_('parseBlock_', 'block'), // BLOCK
+  '9B': WebMParser.parseUInt_('duration'),                // BLOCKDURATION
+  'FB': WebMParser.parseInt_('references'),               // REFERENCEBLOCK
+  '75A2': WebMParser.parseInt_('discardPadding'),         // DISCARDPADDING
+  '75A1': WebMParser.SKIP_,                               // BLOCKADDITIONS
+  'FA': WebMParser.SKIP_,                                 // REFERENCEPRIORITY
+  'FD': WebMParser.SKIP_,                                 // REFERENCEVIRTUAL
+  'A4': WebMParser.SKIP_,                                 // CODECSTATE
+  '8E': WebMParser.SKIP_                                  // SLICES
+};
+
+/**
+ * Set the Segment offset that is used by the Cues. |offset| will only be set
+ * if it is greater than 0.
+ * @param {number} offset Segment offset in bytes.
+ */
+WebMParser.prototype.setSegmentOffset = function(offset) {
+  if (offset > 0)
+    this.segmentOffset_ = offset;
+};
+
+/**
+ * Enables or disables CRC-32 verification. If enabled, master elements that
+ * start with a CRC-32 element are checked against the checksum and
+ * STATUS_CRC_MISMATCH is returned if the data does not match.
+ * @param {boolean} verify Enable CRC-32 verification.
+ */
+WebMParser.prototype.setVerifyCrc = function(verify) {
+  this.verifyCrc_ = verify;
+};
+
+/**
+ * Returns true if CRC-32 verification is enabled.
+ * @return {boolean} CRC-32 verification is enabled.
+ */
+WebMParser.prototype.getVerifyCrc = function() {
+  return this.verifyCrc_;
+};
+
+/**
+ * Reads a CRC-32 element that is the first child of a master element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset of the CRC-32 data.
+ * @param {number} size Size of the CRC-32 data.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'value' is an Object. 'value.crc' is the stored checksum and
+ *     'value.dataStart' is the offset of the data the checksum covers.
+ * @private
+ */
+WebMParser.prototype.readCrc_ = function(buf, start, size) {
+  if (size != 4) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Invalid CRC-32 size:' + size};
+  }
+
+  // The checksum is stored in little endian order.
+  var crc = (buf[start] | (buf[start + 1] << 8) | (buf[start + 2] << 16) |
+             (buf[start + 3] << 24)) >>> 0;
+  return {status: WebMParser.STATUS_OK,
+          value: {crc: crc, dataStart: start + size}};
+};
+
+/**
+ * Checks the data of a master element against a CRC-32 read by readCrc_.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {Object} crcInfo Object returned from readCrc_ or null if the
+ *     element does not have a CRC-32.
+ * @param {number} end Ending offset of the master element data.
+ * @return {Object} Status object. Returns STATUS_CRC_MISMATCH if the
+ *     checksums do not match.
+ * @private
+ */
+WebMParser.prototype.checkCrc_ = function(buf, crcInfo, end) {
+  if (!crcInfo)
+    return {status: WebMParser.STATUS_OK};
+
+  var crc = EbmlParser.crc32(buf, crcInfo.dataStart, end - crcInfo.dataStart);
+  if (crc != crcInfo.crc) {
+    return {status: WebMParser.STATUS_CRC_MISMATCH,
+            reason: 'CRC-32 mismatch. stored:' + crcInfo.crc.toString(16) +
+                    ' calculated:' + crc.toString(16)};
+  }
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Checks the CRC-32 of a complete element. If CRC-32 verification is disabled
+ * or the element does not start with a CRC-32 element the check passes.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset of the element header.
+ * @param {number} size Size of the element including the header. Elements of
+ *     unknown size end at |start| + |size|.
+ * @return {Object} Status object. Returns STATUS_CRC_MISMATCH if the
+ *     checksums do not match.
+ */
+WebMParser.prototype.checkElementCrc = function(buf, start, size) {
+  if (!this.verifyCrc_)
+    return {status: WebMParser.STATUS_OK};
+
+  var res = EbmlParser.parseElementHeader(buf, start, size);
+  if (res.status != EbmlParser.STATUS_OK)
+    return res;
+
+  var dataStart = start + res.bytesUsed;
+  var end = start + size;
+  if (res.elementSize != EbmlParser.UNKNOWN_SIZE)
+    end = Math.min(end, dataStart + res.elementSize);
+
+  res = EbmlParser.parseElementHeader(buf, dataStart, end - dataStart);
+  if (res.status != EbmlParser.STATUS_OK || res.id != 0xBF)
+    return {status: WebMParser.STATUS_OK};
+
+  var crcStart = dataStart + res.bytesUsed;
+  if (crcStart + res.elementSize > end) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'CRC-32 element is past the end of its parent.'};
+  }
+
+  res = this.readCrc_(buf, crcStart, res.elementSize);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+  return this.checkCrc_(buf, res.value, end);
+};
+
+/**
+ * Check if |obj| is an Array.
+ * @param {Object} obj Object to check.
+ * @return {boolean} Returns true if |obj| is an Array.
+ * @private
+ */
+WebMParser.prototype.isList_ = function(obj) {
+  return ((typeof obj === 'object') &&
+          (obj instanceof Array));
+};
+
+/**
+ * Parses a WebM master element. Entire list needs to be in |buf| and within
+ * the specified size. Returns an Object with values of the parsed list
+ * according to |idInfo|.
+ * @param {Object} idInfo Mapping of IDs to parsing functions. The
+ *     UNLISTED_ID_ entry, if set, is used for IDs that are not listed. An
+ *     element is skipped if its parsing function returns no 'value'.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @param {Object} obj Starting Object or Array.
+ * @param {Object} opt_endIds Optional set of IDs that end the list. Used for
+ *     master elements of unknown size. Parsing stops right before these IDs.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is the Object of
+ *     parsed values. If CRC-32 verification is enabled and the list starts
+ *     with a CRC-32 element that does not match, 'status' is
+ *     STATUS_CRC_MISMATCH.
+ * @private
+ */
+WebMParser.prototype.parseList_ = function(idInfo, buf, start, size, obj,
+                                           opt_endIds) {
+  var curStart = start;
+  var curSize = size;
+  var crcInfo = null;
+
+  while (curSize > 0) {
+    var res = EbmlParser.parseElementHeader(buf, curStart, curSize);
 
     if (res.status != EbmlParser.STATUS_OK)
       return res;
@@ -644,10 +1545,22 @@ WebMParser.prototype.parseList_ = function(idInfo, buf, start, size, obj) {
     var idInfoKey = res.id.toString(16).toUpperCase();
     var info = null;
 
+    if (opt_endIds && (idInfoKey in opt_endIds)) {
+      var crcRes = this.checkCrc_(buf, crcInfo, elementOffset);
+      if (crcRes.status != WebMParser.STATUS_OK)
+        return crcRes;
+
+      return {status: WebMParser.STATUS_OK,
+              bytesUsed: elementOffset - start,
+              value: obj};
+    }
+
     if (idInfoKey in WebMParser.GLOBAL_IDS_) {
       info = WebMParser.GLOBAL_IDS_[idInfoKey];
     } else if (idInfoKey in idInfo) {
       info = idInfo[idInfoKey];
+    } else if (WebMParser.UNLISTED_ID_ in idInfo) {
+      info = idInfo[WebMParser.UNLISTED_ID_];
     } else {
       return {status: WebMParser.STATUS_INVALID_DATA,
               reason: 'No idInfo for ID ' + webmGetIdName(res.id)};
@@ -661,11 +1574,25 @@ WebMParser.prototype.parseList_ = function(idInfo, buf, start, size, obj) {
               value: obj};
     }
 
+    if (elementSize == EbmlParser.UNKNOWN_SIZE) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Unknown size not supported for ID ' +
+                      webmGetIdName(res.id)};
+    }
+
     if (elementSize > curSize) {
       return {status: WebMParser.STATUS_NEED_MORE_DATA,
               bytesNeeded: elementSize - curSize};
     }
 
+    // The CRC-32 element must be the first child of its parent.
+    if (this.verifyCrc_ && res.id == 0xBF && elementOffset == start) {
+      var crcRes = this.readCrc_(buf, dataOffset, elementSize);
+      if (crcRes.status != WebMParser.STATUS_OK)
+        return crcRes;
+      crcInfo = crcRes.value;
+    }
+
     var parseFunction = info.func;
     var propertyName = info.prop;
 
@@ -685,7 +1612,9 @@ WebMParser.prototype.parseList_ = function(idInfo, buf, start, size, obj) {
             buf.subarray(elementOffset, nextElementOffset)));
       }
 
-      if ((propertyName === null) && this.isList_(obj)) {
+      if (!('value' in res)) {
+        // Skipped by the parsing function.
+      } else if ((propertyName === null) && this.isList_(obj)) {
         obj.push(res.value);
       } else if ((propertyName in obj) &&
                  this.isList_(obj[propertyName])) {
@@ -701,748 +1630,3342 @@ WebMParser.prototype.parseList_ = function(idInfo, buf, start, size, obj) {
     curSize -= elementSize;
   }
 
+  var crcRes = this.checkCrc_(buf, crcInfo, start + size);
+  if (crcRes.status != WebMParser.STATUS_OK)
+    return crcRes;
+
   return {status: WebMParser.STATUS_OK,
           bytesUsed: size - curSize,
           value: obj};
 };
 
 /**
- * Parses a WebM element. Returns an Uint8Array with the element's data.
+ * Finds the end of a master element of unknown size. The element ends right
+ * before the first child element with an ID in |endIds| or at the end of the
+ * data. If the data ends inside a child element, 'status' is
+ * WebMParser.STATUS_NEED_MORE_DATA.
  * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
- * @param {number} id WEbM element id.
+ * @param {number} start Starting offset of the element's data.
+ * @param {number} size Size left in |buf|.
+ * @param {Object} endIds Set of IDs that end the element.
+ * @param {boolean} endOfData True if there is no more data after |size|.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is an Uint8Array of
- *     the element's data.
+ *     'bytesUsed' is the size of the element's data.
+ * @private
  */
-WebMParser.prototype.parseElement = function(buf, start, size, id) {
-  var res = EbmlParser.parseElementHeader(buf, start, size);
-  if (res.status != EbmlParser.STATUS_OK)
-    return res;
-
-  if (res.id != id) {
-    return {status: WebMParser.STATUS_INVALID_DATA,
-            reason: 'Unexpected id : ' + webmGetIdName(res.id)};
-  }
+WebMParser.prototype.findUnknownSizeEnd_ = function(buf, start, size, endIds,
+                                                    endOfData) {
+  var curStart = start;
+  var curSize = size;
 
-  var elementSize = res.bytesUsed + res.elementSize;
-  if (elementSize > size) {
-    return {status: WebMParser.STATUS_NEED_MORE_DATA,
-            bytesNeeded: elementSize - size};
-  }
+  while (true) {
+    if (curSize <= 0) {
+      if (endOfData)
+        return {status: WebMParser.STATUS_OK, bytesUsed: curStart - start};
+      return {status: WebMParser.STATUS_NEED_MORE_DATA,
+              bytesNeeded: EbmlParser.MAX_ELEMENT_HEADER_SIZE};
+    }
 
-  var end = start + elementSize;
-  var element = new Uint8Array(buf.subarray(start, end));
+    var res = EbmlParser.parseElementHeader(buf, curStart, curSize);
+    if (res.status != EbmlParser.STATUS_OK)
+      return res;
 
-  return {status: WebMParser.STATUS_OK,
-          bytesUsed: elementSize,
-          value: element};
-};
+    if (res.id.toString(16).toUpperCase() in endIds)
+      return {status: WebMParser.STATUS_OK, bytesUsed: curStart - start};
+
+    if (res.elementSize == EbmlParser.UNKNOWN_SIZE) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Unknown size not supported for ID ' +
+                      webmGetIdName(res.id)};
+    }
+
+    // A truncated child is not part of a complete element, even at the end
+    // of the data.
+    var childSize = res.bytesUsed + res.elementSize;
+    if (childSize > curSize) {
+      return {status: WebMParser.STATUS_NEED_MORE_DATA,
+              bytesNeeded: childSize - curSize};
+    }
+
+    curStart += childSize;
+    curSize -= childSize;
+  }
+};
+
+/**
+ * Returns the idInfo Object of the children of a master element in
+ * |schema|. Master children are parsed with parseWithSchema. Children that
+ * are not in the schema are skipped.
+ * @param {EbmlSchema} schema Element schema.
+ * @param {string} parentId ID of the master element.
+ * @return {Object} Mapping of IDs to parsing functions.
+ * @private
+ */
+WebMParser.prototype.getSchemaIdInfo_ = function(schema, parentId) {
+  var idInfo = {};
+  idInfo[WebMParser.UNLISTED_ID_] = WebMParser.SKIP_;
+
+  var children = schema.getChildren(parentId);
+  for (var i = 0; i < children.length; ++i) {
+    var element = children[i];
+    var func = null;
+    if (element.type == EbmlSchema.TYPE_MASTER) {
+      func = (function(id) {
+        return function(t, buf, start, size, elementStart) {
+          return t.parseWithSchema(buf, start, size, id, schema);
+        };
+      })(element.id);
+    } else if (element.type in WebMParser.SCHEMA_PARSE_FUNCTIONS_) {
+      func = (function(element, parse) {
+        return function(t, buf, start, size, elementStart) {
+          // Empty elements have their default value.
+          if (size == 0) {
+            return {status: WebMParser.STATUS_OK, bytesUsed: 0,
+                    value: schema.getEmptyValue(element)};
+          }
+          return parse(t, buf, start, size, elementStart);
+        };
+      })(element, WebMParser.createIdInfo_(
+          WebMParser.SCHEMA_PARSE_FUNCTIONS_[element.type], null).func);
+    }
+    idInfo[element.id] = func ? {func: func, prop: element.name} :
+                                WebMParser.SKIP_;
+  }
+  return idInfo;
+};
 
 /**
- * Parses an EBML file header. Returns an Object of the EBML header data.
+ * Static function to get the schema to parse with.
+ * @param {EbmlSchema} opt_schema Optional element schema.
+ * @return {EbmlSchema} |opt_schema|, the default schema or null if
+ *     ebml_schema.js is not loaded.
+ * @private
+ */
+WebMParser.getSchema_ = function(opt_schema) {
+  if (opt_schema)
+    return opt_schema;
+  return typeof EbmlSchema != 'undefined' ? EbmlSchema.getDefault() : null;
+};
+
+/**
+ * Parses the data of a master element with an element schema. The values
+ * of the children are set on an Object by their names. Children with a
+ * default value that are not in the data are set to the default value and
+ * children that may occur more than once are lists. Master children are
+ * parsed recursively and children that are not in the schema are skipped.
  * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
+ * @param {number} start Starting offset of the element's data.
+ * @param {number} size Size of the element's data.
+ * @param {string} parentId ID of the master element, e.g. '1549A966' for
+ *     Info.
+ * @param {EbmlSchema} opt_schema Optional element schema. Defaults to
+ *     EbmlSchema.getDefault(), which needs ebml_schema.js.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is an Object with
- *     the EBML header data.
- * @private
+ *     'bytesUsed' is the number of bytes read and 'value' is the Object of
+ *     parsed values.
  */
-WebMParser.prototype.parseEBMLHeader_ = function(buf, start, size) {
-  var bytesUsed = 0;
-  var res = EbmlParser.parseElementHeader(buf, start, size);
+WebMParser.prototype.parseWithSchema = function(buf, start, size, parentId,
+                                                opt_schema) {
+  var schema = WebMParser.getSchema_(opt_schema);
+  if (!schema) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'No element schema. Load ebml_schema.js.'};
+  }
+  return this.parseList_(this.getSchemaIdInfo_(schema, parentId), buf,
+                         start, size, schema.createObject(parentId));
+};
 
+/**
+ * Parses an element including its header with an element schema. See
+ * parseWithSchema.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset of the element.
+ * @param {number} size Size left in |buf|.
+ * @param {EbmlSchema} opt_schema Optional element schema. Defaults to
+ *     EbmlSchema.getDefault(), which needs ebml_schema.js.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read, 'name' is the name of the
+ *     element and 'value' is the parsed value. The value of a master element
+ *     is the Object of its children.
+ */
+WebMParser.prototype.parseSchemaElement = function(buf, start, size,
+                                                   opt_schema) {
+  var schema = WebMParser.getSchema_(opt_schema);
+  if (!schema) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'No element schema. Load ebml_schema.js.'};
+  }
+  var res = EbmlParser.parseElementHeader(buf, start, size);
   if (res.status != EbmlParser.STATUS_OK)
     return res;
 
-  if (res.id != 0x1A45DFA3) { // HEADER
+  var element = schema.getElement(res.id);
+  if (!element) {
     return {status: WebMParser.STATUS_INVALID_DATA,
-            reason: 'Unexpected id : ' + webmGetIdName(res.id)};
+            reason: 'No schema for ID ' + webmGetIdName(res.id)};
+  }
+  if (res.elementSize == EbmlParser.UNKNOWN_SIZE) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Unknown size not supported for ID ' +
+                    webmGetIdName(res.id)};
   }
 
-  start += res.bytesUsed;
-  size -= res.bytesUsed;
-  bytesUsed += res.bytesUsed;
-
-  res = this.parseList_(WebMParser.EBML_HEADER_IDS_, buf, start,
-                        res.elementSize, {});
-
-  if (res.status != WebMParser.STATUS_OK)
-    return res;
+  var headerSize = res.bytesUsed;
+  if (headerSize + res.elementSize > size) {
+    return {status: WebMParser.STATUS_NEED_MORE_DATA,
+            bytesNeeded: headerSize + res.elementSize - size};
+  }
 
-  var header = res.value;
-  if ((header.version < 1) ||
-      (header.readVersion < 1) ||
-      (header.maxIdLength < 1) ||
-      (header.maxIdLength > 4) ||
-      (header.maxSizeLength < 1) ||
-      (header.maxSizeLength > 8) ||
-      (header.docType != 'webm') ||
-      (header.docTypeVersion != 2) ||
-      (header.docTypeReadVersion != 2)) {
+  var idInfo = this.getSchemaIdInfo_(schema, element.parent)[element.id];
+  if (!idInfo.func) {
     return {status: WebMParser.STATUS_INVALID_DATA,
-            reason: 'Invalid header values.'};
+            reason: 'Unknown type ' + element.type + ' of ' + element.name};
   }
 
-  bytesUsed += res.bytesUsed;
+  res = idInfo.func(this, buf, start + headerSize, res.elementSize, start);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
 
   return {status: WebMParser.STATUS_OK,
-          bytesUsed: bytesUsed,
-          value: header};
+          bytesUsed: headerSize + res.bytesUsed,
+          name: element.name,
+          value: res.value};
 };
 
 /**
- * Parses and returns a WebM SimpleBlock.
+ * Parses a WebM element. Returns an Uint8Array with the element's data. If
+ * the element has an unknown size the element ends at the next element that
+ * cannot be a child of the element or at the end of the data.
  * @param {Uint8Array} buf Source buffer.
  * @param {number} start Starting offset.
  * @param {number} size Size left in current element.
- * @param {number} elementStart Starting offset of the SimpleBlock.
+ * @param {number} id WEbM element id.
+ * @param {boolean} opt_endOfData Optional flag telling if there is no more
+ *     data after |size|. Only used for elements of unknown size.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is an Object with
- *     information on the SimpleBlock and the data from the SimpleBlock.
- * @private
+ *     'bytesUsed' is the number of bytes read and 'value' is an Uint8Array of
+ *     the element's data.
  */
-WebMParser.prototype.parseSimpleBlock_ = function(buf, start, size,
-                                                  elementStart) {
-  if (size < 4)
-    return {status: WebMParser.STATUS_INVALID_DATA};
+WebMParser.prototype.parseElement = function(buf, start, size, id,
+                                             opt_endOfData) {
+  var res = EbmlParser.parseElementHeader(buf, start, size);
+  if (res.status != EbmlParser.STATUS_OK)
+    return res;
 
-  if ((buf[start] & 0x80) != 0x80) {
+  if (res.id != id) {
     return {status: WebMParser.STATUS_INVALID_DATA,
-            reason: 'TrackNumber > 127 not supported'};
+            reason: 'Unexpected id : ' + webmGetIdName(res.id)};
   }
 
-  var value = {};
-  value.trackNum = buf[start] & 0x7f;
-  value.timecode = buf[start + 1] << 8 | buf[start + 2];
-  value.flags = buf[start + 3] & 0xff;
-  value.lacing = (value.flags >> 1) & 0x3;
-  value.blockOffset = elementStart;
-  value.dataOffset = start + 4;
-  value.dataSize = size - (value.dataOffset - start);
+  if (res.elementSize == EbmlParser.UNKNOWN_SIZE) {
+    var endIds = (id == 0x18538067) ? WebMParser.SEGMENT_END_IDS_ :
+                                      WebMParser.TOP_LEVEL_IDS_;
+    var headerSize = res.bytesUsed;
+    res = this.findUnknownSizeEnd_(buf, start + headerSize, size - headerSize,
+                                   endIds, !!opt_endOfData);
+    if (res.status != WebMParser.STATUS_OK)
+      return res;
+    res.elementSize = res.bytesUsed;
+    res.bytesUsed = headerSize;
+  }
+
+  var elementSize = res.bytesUsed + res.elementSize;
+  if (elementSize > size) {
+    return {status: WebMParser.STATUS_NEED_MORE_DATA,
+            bytesNeeded: elementSize - size};
+  }
+
+  var end = start + elementSize;
+  var element = new Uint8Array(buf.subarray(start, end));
 
   return {status: WebMParser.STATUS_OK,
-          bytesUsed: size,
-          value: value};
+          bytesUsed: elementSize,
+          value: element};
 };
 
 /**
- * Parses and returns a WebM SeekHead element.
- * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
- * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is an Object
- *     representing a WebM SeekHead.
- * @private
+ * Checks if the values of an EBML header can be handled by the parser. The
+ * EBMLDocType must be 'webm' or 'matroska' and the EBMLDocTypeReadVersion must
+ * not be greater than the highest version the parser can read. Files with a
+ * higher EBMLDocTypeVersion are accepted as they can be read by older readers.
+ * @param {Object} header EBML header Object.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK, the
+ *     file can be parsed. Otherwise 'reason' describes the unsupported value.
  */
-WebMParser.prototype.parseSeekHead_ = function(buf, start, size) {
-  var res = this.parseList_(WebMParser.SEEKHEAD_IDS_, buf, start, size, []);
+WebMParser.checkEbmlHeader = function(header) {
+  if (header.readVersion != 1 ||
+      (header.maxIdLength < 1) ||
+      (header.maxIdLength > 4) ||
+      (header.maxSizeLength < 1) ||
+      (header.maxSizeLength > 8)) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Unsupported EBML version. readVersion:' +
+                    header.readVersion + ' maxIdLength:' +
+                    header.maxIdLength + ' maxSizeLength:' +
+                    header.maxSizeLength};
+  }
 
-  if (res.status != WebMParser.STATUS_OK)
-    return res;
+  if (!(header.docType in WebMParser.SUPPORTED_DOC_TYPES_)) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Unsupported DocType:' + header.docType};
+  }
 
-  var entries = res.value;
-  var seekHead = {};
-  for (var i = 0; i < entries.length; i++) {
-    var entry = entries[i];
-    var name = webmGetIdName(entry.id);
-    seekHead[name] = this.segmentOffset_ + entry.position;
+  if (header.docTypeReadVersion < 1 ||
+      header.docTypeReadVersion > header.docTypeVersion ||
+      header.docTypeReadVersion >
+          WebMParser.SUPPORTED_DOC_TYPES_[header.docType]) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Unsupported DocTypeReadVersion:' +
+                    header.docTypeReadVersion + ' DocTypeVersion:' +
+                    header.docTypeVersion};
   }
 
-  res.value = seekHead;
+  return {status: WebMParser.STATUS_OK};
+};
 
-  return res;
+/**
+ * Returns the features a file may use according to its EBMLDocTypeVersion.
+ * @param {number} docTypeVersion EBMLDocTypeVersion of the file.
+ * @return {Array} List of feature names. See DOC_TYPE_FEATURES_.
+ * @private
+ */
+WebMParser.getDocTypeFeatures_ = function(docTypeVersion) {
+  var features = [];
+  for (var name in WebMParser.DOC_TYPE_FEATURES_) {
+    if (WebMParser.DOC_TYPE_FEATURES_[name] <= docTypeVersion)
+      features.push(name);
+  }
+  return features;
 };
 
 /**
- * Parses and returns a WebM SeekEntry element.
+ * Parses and returns a DocTypeExtension element of the EBML header.
  * @param {Uint8Array} buf Source buffer.
  * @param {number} start Starting offset.
  * @param {number} size Size left in current element.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is an Object
- *     representing a WebM SeekEntry.
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object with
+ *     the extension's 'name' and 'version'.
  * @private
  */
-WebMParser.prototype.parseSeekEntry_ = function(buf, start, size) {
-  return this.parseList_(WebMParser.SEEK_ENTRY_IDS_, buf, start, size, {});
+WebMParser.prototype.parseDocTypeExtension_ = function(buf, start, size) {
+  return this.parseList_(WebMParser.DOC_TYPE_EXTENSION_IDS_, buf, start, size,
+                         {name: '', version: 0});
 };
 
 /**
- * Parses and returns a WebM SegmentInfo element.
+ * Parses an EBML file header. Returns an Object of the EBML header data. The
+ * header is stored in |ebmlHeader_|.
  * @param {Uint8Array} buf Source buffer.
  * @param {number} start Starting offset.
  * @param {number} size Size left in current element.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read, 'value' is an Object
- *     representing a WebM SegmentInfo, 'storeElementFunc' gets set so the
- *     WebM SegmentInfo element data gets stored in |infoElement_|.
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object with
+ *     the EBML header data. 'value.features' is the list of features the
+ *     file declares through its EBMLDocTypeVersion followed by the names of
+ *     its DocTypeExtensions. 'value.extensions' is the list of
+ *     DocTypeExtension Objects.
  * @private
  */
-WebMParser.prototype.parseInfo_ = function(buf, start, size) {
-  var info = {timecodeScale: 1000000, duration: -1};
-  var res = this.parseList_(WebMParser.INFO_IDS_, buf, start, size, info);
+WebMParser.prototype.parseEBMLHeader_ = function(buf, start, size) {
+  var bytesUsed = 0;
+  var res = EbmlParser.parseElementHeader(buf, start, size);
 
-  if (res.status == WebMParser.STATUS_OK) {
-    var t = this;
-    res.storeElementFunc = function(buf) {t.infoElement_ = buf;};
+  if (res.status != EbmlParser.STATUS_OK)
+    return res;
+
+  if (res.id != 0x1A45DFA3) { // HEADER
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Unexpected id : ' + webmGetIdName(res.id)};
   }
 
-  return res;
+  start += res.bytesUsed;
+  size -= res.bytesUsed;
+  bytesUsed += res.bytesUsed;
+
+  // Default values from the EBML specification.
+  var header = {
+    version: 1,
+    readVersion: 1,
+    maxIdLength: 4,
+    maxSizeLength: 8,
+    docType: 'matroska',
+    docTypeVersion: 1,
+    docTypeReadVersion: 1,
+    extensions: []
+  };
+  res = this.parseList_(WebMParser.EBML_HEADER_IDS_, buf, start,
+                        res.elementSize, header);
+
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  var checkRes = WebMParser.checkEbmlHeader(header);
+  if (checkRes.status != WebMParser.STATUS_OK)
+    return checkRes;
+
+  header.features = WebMParser.getDocTypeFeatures_(header.docTypeVersion);
+  for (var i = 0; i < header.extensions.length; ++i)
+    header.features.push(header.extensions[i].name);
+  this.ebmlHeader_ = header;
+  bytesUsed += res.bytesUsed;
+
+  return {status: WebMParser.STATUS_OK,
+          bytesUsed: bytesUsed,
+          value: header};
 };
 
 /**
- * Parses and returns a WebM Tracks element.
- * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
- * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read, 'value' is an Object
- *     representing a WebM Tracks, 'storeElementFunc' gets set so the
- *     WebM Tracks element data gets stored in |tracksElement_|.
- * @private
+ * No lacing.
+ * @const
+ * @type {number}
  */
-WebMParser.prototype.parseTracks_ = function(buf, start, size) {
-  var res = this.parseList_(WebMParser.TRACKS_IDS_, buf, start, size, []);
+WebMParser.LACING_NONE = 0;
 
-  if (res.status == WebMParser.STATUS_OK) {
-    var t = this;
-    res.storeElementFunc = function(buf) {t.tracksElement_ = buf;};
-  }
-  return res;
-};
+/**
+ * Xiph lacing.
+ * @const
+ * @type {number}
+ */
+WebMParser.LACING_XIPH = 1;
 
 /**
- * Parses and returns a WebM Track element.
- * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
- * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read, 'value' is an Object
- *     representing a WebM Track, 'storeElementFunc' gets set so the
- *     WebM Track element data gets stored in |trackObjects_|.
- * @private
+ * Fixed-size lacing.
+ * @const
+ * @type {number}
  */
-WebMParser.prototype.parseTrackEntry_ = function(buf, start, size) {
-  var track = {
-    TrackNumber: 0,
-    TrackUID: 0,
-    TrackType: 0
-  };
-  var res = this.parseList_(WebMParser.TRACK_IDS_, buf, start, size, track);
+WebMParser.LACING_FIXED = 2;
 
-  if (res.status == WebMParser.STATUS_OK) {
-    var t = this;
-    res.storeElementFunc = function(buf) {
-      var node = {
-        track: res.value,
-        buf: buf
-      };
-      t.trackObjects_.push(node);
-    };
-  }
-  return res;
-};
+/**
+ * EBML lacing.
+ * @const
+ * @type {number}
+ */
+WebMParser.LACING_EBML = 3;
 
 /**
- * Parses and returns a WebM CuePoint element. |segmentOffset_| must be set
- * before calling this function.
+ * Parses the lace headers of a Block and returns the frames in the Block.
  * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
+ * @param {number} start Starting offset of the Block's frame data, including
+ *     the lace headers.
+ * @param {number} size Size of the Block's frame data.
+ * @param {number} lacing Lacing type from the Block flags.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is an Object
- *     representing a WebM SeekHead. 'value.cueTime' gets set to seconds from
- *     nanoseconds and 'res.value.trackPosition.cueClusterPos' is adjusted to
- *     the Segment offset.
+ *     'value' is a list of frame Objects. 'offset' is the frame's offset in
+ *     |buf| and 'size' is the size of the frame in bytes.
  * @private
  */
-WebMParser.prototype.parsePointEntry_ = function(buf, start, size) {
-  var res = this.parseList_(WebMParser.POINT_ENTRY_IDS_, buf, start, size, {});
+WebMParser.prototype.parseLacing_ = function(buf, start, size, lacing) {
+  if (lacing == WebMParser.LACING_NONE)
+    return {status: WebMParser.STATUS_OK, value: [{offset: start, size: size}]};
 
-  if (res.status != WebMParser.STATUS_OK) {
-    return res;
+  if (size < 1) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Missing lace frame count'};
   }
 
-  var time_scale = this.timecodeScale_ / 1000000000.0;
-  res.value.cueTime = res.value.cueTime * time_scale;
-  res.value.trackPosition.cueClusterPos += this.segmentOffset_;
-  return res;
+  var frameCount = buf[start] + 1;
+  var readOffset = start + 1;
+  var end = start + size;
+  var sizes = [];
+
+  if (lacing == WebMParser.LACING_XIPH) {
+    for (var i = 0; i < frameCount - 1; ++i) {
+      var frameSize = 0;
+      var b = 255;
+      while (b == 255) {
+        if (readOffset >= end) {
+          return {status: WebMParser.STATUS_INVALID_DATA,
+                  reason: 'Truncated Xiph lace size'};
+        }
+        b = buf[readOffset++];
+        frameSize += b;
+      }
+      sizes.push(frameSize);
+    }
+  } else if (lacing == WebMParser.LACING_EBML) {
+    // All-ones lace sizes are plain numbers, not the reserved unknown size.
+    var res = EbmlParser.parseNum_(buf, readOffset, end - readOffset, 8, true,
+                                   true);
+    if (res.status != EbmlParser.STATUS_OK)
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Invalid EBML lace size'};
+    readOffset += res.bytesUsed;
+    var frameSize = res.value;
+    sizes.push(frameSize);
+
+    for (var i = 1; i < frameCount - 1; ++i) {
+      res = EbmlParser.parseNum_(buf, readOffset, end - readOffset, 8, true,
+                                 true);
+      if (res.status != EbmlParser.STATUS_OK)
+        return {status: WebMParser.STATUS_INVALID_DATA,
+                reason: 'Invalid EBML lace size'};
+      // Lace sizes after the first are signed differences from the previous
+      // size.
+      var bias = Math.pow(2, 7 * res.bytesUsed - 1) - 1;
+      readOffset += res.bytesUsed;
+      frameSize += res.value - bias;
+      sizes.push(frameSize);
+    }
+  } else if (lacing == WebMParser.LACING_FIXED) {
+    var dataSize = end - readOffset;
+    if (dataSize % frameCount != 0) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Fixed lace size does not divide the frame data'};
+    }
+    for (var i = 0; i < frameCount - 1; ++i)
+      sizes.push(dataSize / frameCount);
+  }
+
+  var frames = [];
+  var frameOffset = readOffset;
+  for (var i = 0; i < sizes.length; ++i) {
+    if (sizes[i] < 0 || frameOffset + sizes[i] > end) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Invalid lace frame size'};
+    }
+    frames.push({offset: frameOffset, size: sizes[i]});
+    frameOffset += sizes[i];
+  }
+  frames.push({offset: frameOffset, size: end - frameOffset});
+
+  return {status: WebMParser.STATUS_OK, value: frames};
 };
 
 /**
- * Parses and returns a WebM CueTrackPositions element.
+ * Parses the header and frames of a WebM SimpleBlock or Block. SimpleBlocks
+ * and Blocks share the same layout, only the meaning of the flags differ.
+ * The header is the TrackNumber as an EBML variable length integer, a signed
+ * 16 bit relative timecode and one byte of flags.
  * @param {Uint8Array} buf Source buffer.
  * @param {number} start Starting offset.
  * @param {number} size Size left in current element.
+ * @param {number} elementStart Starting offset of the block element.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read and 'value' is an Object
- *     representing a WebM CueTrackPositions.
- * @private
- */
-WebMParser.prototype.parseTrackPosition_ = function(buf, start, size) {
-  return this.parseList_(WebMParser.TRACK_POSITIONS_IDS_, buf, start, size, {});
-};
-
-/**
- * Parses and a WebM Cues element. The list of CuePoints is stored in |cues_|.
- * The function will add a seek entry for a Cues element if one was not
- * previously added.
- * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
- * @param {number} offset Start offset of the Cues element.
- * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read.
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object with
+ *     information on the block and the data from the block. 'value.headerSize'
+ *     is the size of the block header in bytes.
  * @private
  */
-WebMParser.prototype.parseCues_ = function(buf, start, size, offset) {
-  var readSize = size;
-  var readOffset = start;
-  var res = EbmlParser.parseElementHeader(buf, readOffset, readSize);
+WebMParser.prototype.parseBlockHeader_ = function(buf, start, size,
+                                                  elementStart) {
+  // The TrackNumber has no reserved value, e.g. 0xFF is track 127.
+  var res = EbmlParser.parseNum_(buf, start, size, 8, true, true);
   if (res.status != EbmlParser.STATUS_OK) {
-    return res;
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Invalid block TrackNumber'};
   }
 
-  readOffset += res.bytesUsed;
-  readSize -= res.bytesUsed;
+  var headerSize = res.bytesUsed + 3;
+  if (size < headerSize)
+    return {status: WebMParser.STATUS_INVALID_DATA};
 
-  res = this.parseList_(WebMParser.CUES_IDS_, buf, readOffset, readSize, []);
-  if (res.status != WebMParser.STATUS_OK) {
+  var value = {};
+  value.trackNum = res.value;
+  value.timecode = EbmlParser.parseInt(buf, start + res.bytesUsed, 2).value;
+  value.flags = buf[start + res.bytesUsed + 2] & 0xff;
+  value.lacing = (value.flags >> 1) & 0x3;
+  value.blockOffset = elementStart;
+  value.headerSize = headerSize;
+  value.dataOffset = start + headerSize;
+  value.dataSize = size - headerSize;
+
+  res = this.parseLacing_(buf, value.dataOffset, value.dataSize,
+                          value.lacing);
+  if (res.status != WebMParser.STATUS_OK)
     return res;
-  }
+  value.frames = res.value;
 
-  this.cues_ = res.value;
+  return {status: WebMParser.STATUS_OK,
+          bytesUsed: size,
+          value: value};
+};
 
-  if (this.seekHead_ == null)
-    this.seekHead_ = {};
+/**
+ * Signal byte flag telling the frame is encrypted.
+ * @const
+ * @type {number}
+ */
+WebMParser.SIGNAL_ENCRYPTED = 0x01;
 
-  if (!('CUES' in this.seekHead_)) {
-    this.seekHead_['CUES'] = offset;
-  }
+/**
+ * Signal byte flag telling the encrypted frame is partitioned.
+ * @const
+ * @type {number}
+ */
+WebMParser.SIGNAL_PARTITIONED = 0x02;
 
-  return {status: WebMParser.STATUS_OK, bytesUsed: readOffset - start};
-};
+/**
+ * Size of the initialization vector of an encrypted frame in bytes.
+ * @const
+ * @type {number}
+ */
+WebMParser.IV_SIZE = 8;
 
 /**
- * This function parses all of the Segment header elements. |seekHead_|,
- * |timecodeScale_|, and SeekHead Cluster entry are set in this function.
- * |segmentOffset_| will be set if it has not been set already.
+ * Parses the encryption header of a frame from an encrypted track. The frame
+ * starts with a signal byte. Encrypted frames then have an 8 byte IV and,
+ * if partitioned, the number of partitions and the 4 byte partition offsets.
+ * The partitions split the frame data into alternating clear and encrypted
+ * ranges starting with a clear range.
  * @param {Uint8Array} buf Source buffer.
- * @param {number} start Starting offset.
- * @param {number} size Size left in current element.
- * @param {number} bufOffset Start offset for |buf|.
+ * @param {number} start Starting offset of the frame.
+ * @param {number} size Size of the frame.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'bytesUsed' is the number of bytes read.
+ *     'value' is an Object. 'encrypted' is true if the frame is encrypted,
+ *     'iv' is an Uint8Array with the IV or null, 'partitions' is the list of
+ *     partition offsets, 'subsamples' is a list of Objects with 'clearBytes'
+ *     and 'encryptedBytes', 'dataOffset' and 'dataSize' are the offset and
+ *     size of the frame data after the encryption header.
+ * @private
  */
-WebMParser.prototype.parseSegmentHeaders = function(buf, start, size,
-                                                    bufOffset) {
-  var readOffset = start;
-
-  this.log('parseSegmentHeaders start=' + start + ' size=' + size +
-           ' bufOffset=' + bufOffset);
-  var res = EbmlParser.parseElementHeader(buf, readOffset, size);
-  if (res.status != EbmlParser.STATUS_OK) {
-    return res;
-  }
-
-  if (res.id != 0x18538067) { // SEGMENT
+WebMParser.prototype.parseEncryptedFrame_ = function(buf, start, size) {
+  if (size < 1) {
     return {status: WebMParser.STATUS_INVALID_DATA,
-            reason: 'Unexpected element ID. Expected a Segment ID'};
+            reason: 'Missing encryption signal byte'};
   }
 
-  readOffset += res.bytesUsed;
-  if (this.segmentOffset_ == -1)
-    this.segmentOffset_ = readOffset;
+  var signal = buf[start];
+  var value = {encrypted: (signal & WebMParser.SIGNAL_ENCRYPTED) != 0,
+               iv: null,
+               partitions: [],
+               subsamples: []};
+  var readOffset = start + 1;
+  var end = start + size;
 
-  res = this.parseList_(WebMParser.SEGMENT_IDS_, buf, readOffset,
-                        size - res.bytesUsed, {});
+  if (value.encrypted) {
+    if (readOffset + WebMParser.IV_SIZE > end) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Truncated encryption IV'};
+    }
+    value.iv = new Uint8Array(
+        buf.subarray(readOffset, readOffset + WebMParser.IV_SIZE));
+    readOffset += WebMParser.IV_SIZE;
 
-  if (res.status != WebMParser.STATUS_OK) {
-    return res;
+    if (signal & WebMParser.SIGNAL_PARTITIONED) {
+      if (readOffset >= end) {
+        return {status: WebMParser.STATUS_INVALID_DATA,
+                reason: 'Missing partition count'};
+      }
+      var count = buf[readOffset++];
+      if (readOffset + count * 4 > end) {
+        return {status: WebMParser.STATUS_INVALID_DATA,
+                reason: 'Truncated partition offsets'};
+      }
+      for (var i = 0; i < count; ++i) {
+        value.partitions.push(
+            EbmlParser.parseUInt(buf, readOffset, 4).value);
+        readOffset += 4;
+      }
+    }
   }
 
-  readOffset += res.bytesUsed;
-
-  this.seekHead_ = res.value.seekHead;
-  this.seekHead_['CLUSTER'] = readOffset + bufOffset;
+  value.dataOffset = readOffset;
+  value.dataSize = end - readOffset;
 
-  this.timecodeScale_ = res.value.info.timecodeScale;
-  var timeScale = this.timecodeScale_ / 1000000000.0;
-  if (res.value.info.duration > 0 && this.duration_ == -1)
-    this.duration_ = res.value.info.duration * timeScale;
+  if (value.encrypted && value.partitions.length == 0) {
+    value.subsamples.push({clearBytes: 0, encryptedBytes: value.dataSize});
+  } else if (value.encrypted) {
+    var boundaries = [0].concat(value.partitions, [value.dataSize]);
+    for (var i = 1; i < boundaries.length; ++i) {
+      if (boundaries[i] < boundaries[i - 1]) {
+        return {status: WebMParser.STATUS_INVALID_DATA,
+                reason: 'Invalid partition offsets'};
+      }
+    }
+    for (var i = 0; i + 1 < boundaries.length; i += 2) {
+      var clear = boundaries[i + 1] - boundaries[i];
+      var encrypted = (i + 2 < boundaries.length) ?
+          boundaries[i + 2] - boundaries[i + 1] : 0;
+      value.subsamples.push({clearBytes: clear, encryptedBytes: encrypted});
+    }
+  }
 
-  return {status: WebMParser.STATUS_OK, bytesUsed: readOffset - start};
+  return {status: WebMParser.STATUS_OK, value: value};
 };
 
 /**
- * Returns the SeekHead Object.
- * @return {object} SeekHead Object.
+ * Parses and returns a WebM SimpleBlock.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @param {number} elementStart Starting offset of the SimpleBlock.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object with
+ *     information on the SimpleBlock and the data from the SimpleBlock.
+ *     'value.frames' is the list of frames in the SimpleBlock with their
+ *     offsets and sizes.
+ * @private
  */
-WebMParser.prototype.getSeekHead = function() {
-  return this.seekHead_;
-};
+WebMParser.prototype.parseSimpleBlock_ = function(buf, start, size,
+                                                  elementStart) {
+  var res = this.parseBlockHeader_(buf, start, size, elementStart);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
 
-/**
- * Returns a buffer containing the SegmentInfo element. The buffer includes
- * the element header.
- * @return {Uint8Array} SegmentInfo buffer.
- */
-WebMParser.prototype.getInfo = function() {
-  return this.infoElement_;
+  res.value.keyframe = (res.value.flags & 0x80) == 0x80;
+  return res;
 };
 
 /**
- * Returns a buffer containing the Tracks element. The buffer includes the
- * element header.
- * @return {Uint8Array} Tracks buffer.
+ * Parses and returns a WebM Block. Only valid inside of a BlockGroup.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @param {number} elementStart Starting offset of the Block.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object with
+ *     information on the Block and the data from the Block.
+ * @private
  */
-WebMParser.prototype.getTracks = function() {
-  return this.tracksElement_;
+WebMParser.prototype.parseBlock_ = function(buf, start, size, elementStart) {
+  return this.parseBlockHeader_(buf, start, size, elementStart);
 };
 
 /**
- * Return an object which contains the track number, uid, type, and buffer
- * containing a track element which includes the element header.
- * @param {number} index Index into the |trackObjects_| array.
- * @return {Object} Track Object or null.
+ * Parses and returns a WebM BlockGroup. The returned Object has the same
+ * format as a SimpleBlock. 'blockOffset' is the starting offset of the
+ * BlockGroup. A BlockGroup is a keyframe if it has no ReferenceBlock.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @param {number} elementStart Starting offset of the BlockGroup.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object with
+ *     information on the Block. 'value.duration' is the BlockDuration in
+ *     timecode units or -1 if not set, 'value.references' is the list of
+ *     ReferenceBlock relative timecodes, and 'value.discardPadding' is the
+ *     DiscardPadding in nanoseconds.
+ * @private
  */
-WebMParser.prototype.getTrackObject = function(index) {
-  if (index < 0 || index >= this.trackObjects_.length)
-    return null;
+WebMParser.prototype.parseBlockGroup_ = function(buf, start, size,
+                                                 elementStart) {
+  var group = {references: [], duration: -1, discardPadding: 0};
+  var res = this.parseList_(WebMParser.BLOCK_GROUP_IDS_, buf, start, size,
+                            group);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
 
-  return this.trackObjects_[index];
-};
+  var value = group.block;
+  if (!value) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'BlockGroup does not contain a Block'};
+  }
 
-/**
- * Return the number of track objects.
- * @return {number} Number of track objects.
- */
-WebMParser.prototype.getTrackObjectLength = function() {
-  return this.trackObjects_.length;
-};
+  value.blockOffset = elementStart;
+  value.isBlockGroup = true;
+  value.keyframe = group.references.length == 0;
+  value.references = group.references;
+  value.duration = group.duration;
+  value.discardPadding = group.discardPadding;
 
-/**
- * Returns the file offset of the first Cluster form the SeekHead.
- * @return {number} File offset or -1 if there is no entry.
- */
-WebMParser.prototype.getFirstClusterOffset = function() {
-  if (!this.seekHead_['CLUSTER']) {
-    return -1;
-  }
-  return this.seekHead_['CLUSTER'];
+  return {status: WebMParser.STATUS_OK,
+          bytesUsed: res.bytesUsed,
+          value: value};
 };
 
 /**
- * Removes cue elements after the first cue element in the same cluster.
+ * Parses and returns a WebM SeekHead element. The SeekHead Object maps each
+ * element name to the offset of its last SeekEntry. The offsets of all of
+ * the SeekEntries are stored in |seekOffsets_|, see getSeekOffsets.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'value' is true on success.
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM SeekHead.
+ * @private
  */
-WebMParser.prototype.squishCues = function() {
-  if (this.cues_ == null) {
-    return {status: WebMParser.STATUS_INVALID_DATA,
-            reason: 'Cues is not valid.'};
-  }
+WebMParser.prototype.parseSeekHead_ = function(buf, start, size) {
+  var res = this.parseList_(WebMParser.SEEKHEAD_IDS_, buf, start, size, []);
 
-  for (var i = 0; i < this.cues_.length - 1; ++i) {
-    var cueCurr = this.cues_[i];
-    var cueNext = this.cues_[i + 1];
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
 
-    if (cueCurr.trackPosition.cueClusterPos ==
-        cueNext.trackPosition.cueClusterPos) {
-      this.cues_.splice(i + 1, 1);
+  var entries = res.value;
+  var seekHead = {};
+  this.seekOffsets_ = {};
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    var name = webmGetIdName(entry.id);
+    seekHead[name] = this.segmentOffset_ + entry.position;
 
-      // Check this element again.
-      --i;
-    }
+    if (!(name in this.seekOffsets_))
+      this.seekOffsets_[name] = [];
+    this.seekOffsets_[name].push(seekHead[name]);
   }
 
-  return {status: WebMParser.STATUS_OK, value: true};
+  res.value = seekHead;
+
+  return res;
 };
 
 /**
- * Returns the Cues array.
- * @return {Array} Array of CuePoint elements.
+ * Parses and returns a WebM SeekEntry element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM SeekEntry.
+ * @private
  */
-WebMParser.prototype.getCues = function() {
-  return this.cues_;
+WebMParser.prototype.parseSeekEntry_ = function(buf, start, size) {
+  return this.parseList_(WebMParser.SEEK_ENTRY_IDS_, buf, start, size, {});
 };
 
 /**
- * Set the WebM duration.
- * @param {number} duration Duration of the file in seconds.
+ * Parses and returns a WebM SegmentInfo element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read, 'value' is an Object
+ *     representing a WebM SegmentInfo, 'storeElementFunc' gets set so the
+ *     WebM SegmentInfo element data gets stored in |infoElement_|.
+ * @private
  */
-WebMParser.prototype.setDuration = function(duration) {
-  this.duration_ = duration;
+WebMParser.prototype.parseInfo_ = function(buf, start, size) {
+  var info = {timecodeScale: 1000000, duration: -1};
+  var res = this.parseList_(WebMParser.INFO_IDS_, buf, start, size, info);
+
+  if (res.status == WebMParser.STATUS_OK) {
+    var t = this;
+    res.storeElementFunc = function(buf) {t.infoElement_ = buf;};
+  }
+
+  return res;
 };
 
 /**
- * Class to handle WebM files.
- * @param {string} url Link to WebM file.
- * @param {function} opt_log Optional logging function for this class.
- * @constructor
- */
-function WebMFileParser(url, opt_log) {
-  if (opt_log)
-    this.log = opt_log;
+ * Parses and returns a WebM Tracks element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read, 'value' is an Object
+ *     representing a WebM Tracks, 'storeElementFunc' gets set so the
+ *     WebM Tracks element data gets stored in |tracksElement_|.
+ * @private
+ */
+WebMParser.prototype.parseTracks_ = function(buf, start, size) {
+  var res = this.parseList_(WebMParser.TRACKS_IDS_, buf, start, size, []);
+
+  if (res.status == WebMParser.STATUS_OK) {
+    var t = this;
+    res.storeElementFunc = function(buf) {t.tracksElement_ = buf;};
+
+    // The Cues may have been parsed before the Tracks.
+    this.updateCueTimes_();
+  }
+  return res;
+};
+
+/**
+ * Parses and returns a WebM Track element. Elements that are not in the Track
+ * element are set to their default values.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read, 'value' is an Object
+ *     representing a WebM Track, 'storeElementFunc' gets set so the
+ *     WebM Track element data gets stored in |trackObjects_|.
+ * @private
+ */
+WebMParser.prototype.parseTrackEntry_ = function(buf, start, size) {
+  var track = {
+    TrackNumber: 0,
+    TrackUID: 0,
+    TrackType: 0,
+    FlagEnabled: 1,
+    FlagDefault: 1,
+    FlagForced: 0,
+    FlagLacing: 1,
+    DefaultDuration: 0,
+    TrackTimecodeScale: 1.0,
+    Name: '',
+    Language: 'eng',
+    CodecID: '',
+    CodecPrivate: null,
+    CodecDelay: 0,
+    SeekPreRoll: 0
+  };
+  var res = this.parseList_(WebMParser.TRACK_IDS_, buf, start, size, track);
+
+  if (res.status == WebMParser.STATUS_OK) {
+    var video = res.value.Video;
+    if (video && !video.FrameRate && res.value.DefaultDuration)
+      video.FrameRate = 1000000000.0 / res.value.DefaultDuration;
+
+    var t = this;
+    res.storeElementFunc = function(buf) {
+      var node = {
+        track: res.value,
+        buf: buf
+      };
+      t.trackObjects_.push(node);
+      t.encryptedTracks_[res.value.TrackNumber] =
+          WebMParser.getTrackKeyIds_(res.value).length > 0;
+    };
+  }
+  return res;
+};
+
+/**
+ * Parses and returns a WebM ContentEncodings element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is a list of
+ *     ContentEncoding Objects.
+ * @private
+ */
+WebMParser.prototype.parseContentEncodings_ = function(buf, start, size) {
+  return this.parseList_(WebMParser.CONTENT_ENCODINGS_IDS_, buf, start, size,
+                         []);
+};
+
+/**
+ * Parses and returns a WebM ContentEncoding element. Elements that are not in
+ * the ContentEncoding element are set to their default values.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM ContentEncoding element.
+ * @private
+ */
+WebMParser.prototype.parseContentEncoding_ = function(buf, start, size) {
+  var encoding = {
+    ContentEncodingOrder: 0,
+    ContentEncodingScope: 1,
+    ContentEncodingType: 0
+  };
+  return this.parseList_(WebMParser.CONTENT_ENCODING_IDS_, buf, start, size,
+                         encoding);
+};
+
+/**
+ * Parses and returns a WebM ContentEncryption element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM ContentEncryption element.
+ * @private
+ */
+WebMParser.prototype.parseContentEncryption_ = function(buf, start, size) {
+  var encryption = {ContentEncAlgo: 0, ContentEncKeyID: null};
+  return this.parseList_(WebMParser.CONTENT_ENCRYPTION_IDS_, buf, start, size,
+                         encryption);
+};
+
+/**
+ * Parses and returns a WebM ContentEncAESSettings element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM ContentEncAESSettings element.
+ * @private
+ */
+WebMParser.prototype.parseAESSettings_ = function(buf, start, size) {
+  return this.parseList_(WebMParser.AES_SETTINGS_IDS_, buf, start, size, {});
+};
+
+/**
+ * Parses and returns a WebM Video element. If the display size is not set it
+ * is set to the pixel size minus the crop values.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM Video element.
+ * @private
+ */
+WebMParser.prototype.parseVideo_ = function(buf, start, size) {
+  var video = {
+    FlagInterlaced: 0,
+    StereoMode: 0,
+    AlphaMode: 0,
+    PixelWidth: 0,
+    PixelHeight: 0,
+    PixelCropBottom: 0,
+    PixelCropTop: 0,
+    PixelCropLeft: 0,
+    PixelCropRight: 0,
+    DisplayUnit: 0,
+    FrameRate: 0
+  };
+  var res = this.parseList_(WebMParser.VIDEO_IDS_, buf, start, size, video);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  if (!('DisplayWidth' in video)) {
+    video.DisplayWidth =
+        video.PixelWidth - video.PixelCropLeft - video.PixelCropRight;
+  }
+  if (!('DisplayHeight' in video)) {
+    video.DisplayHeight =
+        video.PixelHeight - video.PixelCropTop - video.PixelCropBottom;
+  }
+  return res;
+};
+
+/**
+ * Parses and returns a WebM Colour element. Elements that are not in the
+ * Colour element are set to their default values.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM Colour element.
+ * @private
+ */
+WebMParser.prototype.parseColour_ = function(buf, start, size) {
+  var colour = {
+    MatrixCoefficients: 2,
+    BitsPerChannel: 0,
+    ChromaSitingHorz: 0,
+    ChromaSitingVert: 0,
+    Range: 0,
+    TransferCharacteristics: 2,
+    Primaries: 2
+  };
+  return this.parseList_(WebMParser.COLOUR_IDS_, buf, start, size, colour);
+};
+
+/**
+ * Parses and returns a WebM MasteringMetadata element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM MasteringMetadata element.
+ * @private
+ */
+WebMParser.prototype.parseMasteringMetadata_ = function(buf, start, size) {
+  return this.parseList_(WebMParser.MASTERING_METADATA_IDS_, buf, start, size,
+                         {});
+};
+
+/**
+ * Parses and returns a WebM Audio element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM Audio element.
+ * @private
+ */
+WebMParser.prototype.parseAudio_ = function(buf, start, size) {
+  var audio = {
+    SamplingFrequency: 8000.0,
+    Channels: 1,
+    BitDepth: 0
+  };
+  var res = this.parseList_(WebMParser.AUDIO_IDS_, buf, start, size, audio);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  if (!('OutputSamplingFrequency' in audio))
+    audio.OutputSamplingFrequency = audio.SamplingFrequency;
+  return res;
+};
+
+/**
+ * Parses and returns a WebM Chapters element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is a list of
+ *     EditionEntry Objects. See parseEditionEntry_.
+ * @private
+ */
+WebMParser.prototype.parseChapters_ = function(buf, start, size) {
+  return this.parseList_(WebMParser.CHAPTERS_IDS_, buf, start, size, []);
+};
+
+/**
+ * Parses and returns a WebM EditionEntry element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM EditionEntry. 'value.chapters' is the list of
+ *     chapter Objects. See parseChapterAtom_.
+ * @private
+ */
+WebMParser.prototype.parseEditionEntry_ = function(buf, start, size) {
+  var edition = {
+    uid: 0,
+    hidden: false,
+    isDefault: false,
+    ordered: false,
+    chapters: []
+  };
+  var res = this.parseList_(WebMParser.EDITION_ENTRY_IDS_, buf, start, size,
+                            edition);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  edition.hidden = !!edition.hidden;
+  edition.isDefault = !!edition.isDefault;
+  edition.ordered = !!edition.ordered;
+  return res;
+};
+
+/**
+ * Parses and returns a WebM ChapterAtom element. 'startTime' and 'endTime' are
+ * set in seconds. 'endTime' is -1 if the chapter does not have an end time.
+ * 'title' and 'language' are taken from the first ChapterDisplay.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM ChapterAtom. 'value.chapters' is the list of nested
+ *     chapter Objects.
+ * @private
+ */
+WebMParser.prototype.parseChapterAtom_ = function(buf, start, size) {
+  var chapter = {
+    uid: 0,
+    startTimecode: 0,
+    endTimecode: -1,
+    hidden: false,
+    enabled: true,
+    displays: [],
+    chapters: []
+  };
+  var res = this.parseList_(WebMParser.CHAPTER_ATOM_IDS_, buf, start, size,
+                            chapter);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  // Chapter times are in nanoseconds and do not use the TimecodeScale.
+  chapter.startTime = chapter.startTimecode / 1000000000.0;
+  chapter.endTime = chapter.endTimecode == -1 ?
+      -1 : chapter.endTimecode / 1000000000.0;
+  chapter.hidden = !!chapter.hidden;
+  chapter.enabled = !!chapter.enabled;
+
+  var display = chapter.displays[0];
+  chapter.title = display ? display.title : '';
+  chapter.language = display ? display.languages[0] : 'eng';
+  return res;
+};
+
+/**
+ * Parses and returns a WebM ChapterDisplay element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM ChapterDisplay.
+ * @private
+ */
+WebMParser.prototype.parseChapterDisplay_ = function(buf, start, size) {
+  var display = {title: '', languages: [], languagesIETF: [], countries: []};
+  var res = this.parseList_(WebMParser.CHAPTER_DISPLAY_IDS_, buf, start, size,
+                            display);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  if (display.languages.length == 0)
+    display.languages.push('eng');
+  return res;
+};
+
+/**
+ * Parses a WebM Chapters element including the element header. The list of
+ * editions is stored in |chapters_|.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read.
+ * @private
+ */
+WebMParser.prototype.parseChaptersElement_ = function(buf, start, size) {
+  var res = EbmlParser.parseElementHeader(buf, start, size);
+  if (res.status != EbmlParser.STATUS_OK)
+    return res;
+
+  var headerSize = res.bytesUsed;
+  res = this.parseChapters_(buf, start + headerSize, res.elementSize);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  this.chapters_ = res.value;
+  return {status: WebMParser.STATUS_OK, bytesUsed: headerSize + res.bytesUsed};
+};
+
+/**
+ * Parses and returns a WebM Tags element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is a list of Tag
+ *     Objects. See parseTag_.
+ * @private
+ */
+WebMParser.prototype.parseTags_ = function(buf, start, size) {
+  return this.parseList_(WebMParser.TAGS_IDS_, buf, start, size, []);
+};
+
+/**
+ * Parses and returns a WebM Tag element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM Tag. 'value.targets' is the Targets Object and
+ *     'value.simpleTags' is the list of SimpleTag Objects.
+ * @private
+ */
+WebMParser.prototype.parseTag_ = function(buf, start, size) {
+  var tag = {targets: null, simpleTags: []};
+  var res = this.parseList_(WebMParser.TAG_IDS_, buf, start, size, tag);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  if (!tag.targets)
+    tag.targets = this.parseTagTargets_(buf, start, 0).value;
+  return res;
+};
+
+/**
+ * Parses and returns a WebM Targets element. A target without any UIDs
+ * applies to the whole Segment.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM Targets.
+ * @private
+ */
+WebMParser.prototype.parseTagTargets_ = function(buf, start, size) {
+  var targets = {
+    typeValue: 50,
+    type: '',
+    trackUids: [],
+    editionUids: [],
+    chapterUids: [],
+    attachmentUids: []
+  };
+  return this.parseList_(WebMParser.TAG_TARGETS_IDS_, buf, start, size,
+                         targets);
+};
+
+/**
+ * Parses and returns a WebM SimpleTag element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM SimpleTag. 'value.simpleTags' is the list of nested
+ *     SimpleTag Objects.
+ * @private
+ */
+WebMParser.prototype.parseSimpleTag_ = function(buf, start, size) {
+  var simpleTag = {
+    name: '',
+    language: 'und',
+    isDefault: 1,
+    value: null,
+    binary: null,
+    simpleTags: []
+  };
+  var res = this.parseList_(WebMParser.SIMPLE_TAG_IDS_, buf, start, size,
+                            simpleTag);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  simpleTag.isDefault = !!simpleTag.isDefault;
+  return res;
+};
+
+/**
+ * Parses a WebM Tags element including the element header. The Tags are
+ * added to the list of Tags in |tags_|, as a Segment may have more than one
+ * Tags element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read.
+ * @private
+ */
+WebMParser.prototype.parseTagsElement_ = function(buf, start, size) {
+  var res = EbmlParser.parseElementHeader(buf, start, size);
+  if (res.status != EbmlParser.STATUS_OK)
+    return res;
+
+  var headerSize = res.bytesUsed;
+  res = this.parseTags_(buf, start + headerSize, res.elementSize);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  this.tags_ = (this.tags_ || []).concat(res.value);
+  return {status: WebMParser.STATUS_OK, bytesUsed: headerSize + res.bytesUsed};
+};
+
+/**
+ * Parses and returns a WebM CuePoint element. |segmentOffset_| must be set
+ * before calling this function.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM CuePoint. 'value.cueTimecode' is the CueTime and
+ *     'value.cueTime' gets set to seconds, see updateCueTimes_.
+ *     'value.trackPositions' is the list of CueTrackPositions with
+ *     'cueClusterPos' adjusted to the Segment offset and 'cueDuration' set to
+ *     seconds. 'value.trackPosition' is the first CueTrackPositions.
+ * @private
+ */
+WebMParser.prototype.parsePointEntry_ = function(buf, start, size) {
+  var res = this.parseList_(WebMParser.POINT_ENTRY_IDS_, buf, start, size,
+                            {trackPositions: []});
+
+  if (res.status != WebMParser.STATUS_OK) {
+    return res;
+  }
+
+  var positions = res.value.trackPositions;
+  if (positions.length == 0) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'CuePoint does not contain a CueTrackPositions'};
+  }
+
+  var time_scale = this.timecodeScale_ / 1000000000.0;
+  res.value.cueTimecode = res.value.cueTime;
+  res.value.cueTime = this.getCueTime_(res.value.cueTimecode,
+                                       positions[0].cueTrack);
+  for (var i = 0; i < positions.length; ++i) {
+    positions[i].cueClusterPos += this.segmentOffset_;
+    if (positions[i].cueDuration != -1)
+      positions[i].cueDuration *= time_scale;
+  }
+  res.value.trackPosition = positions[0];
+  return res;
+};
+
+/**
+ * Parses and returns a WebM CueTrackPositions element.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read and 'value' is an Object
+ *     representing a WebM CueTrackPositions. 'cueRelativePosition' and
+ *     'cueDuration' are -1 if they are not set.
+ * @private
+ */
+WebMParser.prototype.parseTrackPosition_ = function(buf, start, size) {
+  var trackPosition = {
+    cueRelativePosition: -1,
+    cueDuration: -1,
+    cueBlockNumber: 1
+  };
+  return this.parseList_(WebMParser.TRACK_POSITIONS_IDS_, buf, start, size,
+                         trackPosition);
+};
+
+/**
+ * Parses and a WebM Cues element. The list of CuePoints is stored in |cues_|.
+ * The function will add a seek entry for a Cues element if one was not
+ * previously added.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @param {number} offset Start offset of the Cues element.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read.
+ * @private
+ */
+WebMParser.prototype.parseCues_ = function(buf, start, size, offset) {
+  var readSize = size;
+  var readOffset = start;
+  var res = EbmlParser.parseElementHeader(buf, readOffset, readSize);
+  if (res.status != EbmlParser.STATUS_OK) {
+    return res;
+  }
+
+  readOffset += res.bytesUsed;
+  readSize -= res.bytesUsed;
+
+  res = this.parseList_(WebMParser.CUES_IDS_, buf, readOffset, readSize, []);
+  if (res.status != WebMParser.STATUS_OK) {
+    return res;
+  }
+
+  this.cues_ = res.value;
+  this.trackCues_ = {};
+  this.updateCueTimes_();
+
+  if (this.seekHead_ == null)
+    this.seekHead_ = {};
+
+  if (!('CUES' in this.seekHead_)) {
+    this.seekHead_['CUES'] = offset;
+  }
+
+  return {status: WebMParser.STATUS_OK, bytesUsed: readOffset - start};
+};
+
+/**
+ * This function parses all of the Segment header elements. |seekHead_|,
+ * |timecodeScale_|, and SeekHead Cluster entry are set in this function.
+ * |segmentOffset_| will be set if it has not been set already.
+ * @param {Uint8Array} buf Source buffer.
+ * @param {number} start Starting offset.
+ * @param {number} size Size left in current element.
+ * @param {number} bufOffset Start offset for |buf|.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'bytesUsed' is the number of bytes read.
+ */
+WebMParser.prototype.parseSegmentHeaders = function(buf, start, size,
+                                                    bufOffset) {
+  var readOffset = start;
+
+  this.log('parseSegmentHeaders start=' + start + ' size=' + size +
+           ' bufOffset=' + bufOffset);
+  var res = EbmlParser.parseElementHeader(buf, readOffset, size);
+  if (res.status != EbmlParser.STATUS_OK) {
+    return res;
+  }
+
+  if (res.id != 0x18538067) { // SEGMENT
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Unexpected element ID. Expected a Segment ID'};
+  }
+
+  readOffset += res.bytesUsed;
+  if (this.segmentOffset_ == -1)
+    this.segmentOffset_ = readOffset;
+  this.segmentSize_ = res.elementSize;
+
+  res = this.parseList_(WebMParser.SEGMENT_IDS_, buf, readOffset,
+                        size - res.bytesUsed, {tags: []});
+
+  if (res.status != WebMParser.STATUS_OK) {
+    return res;
+  }
+
+  if (!res.value.info) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Segment does not contain an Info element'};
+  }
+
+  readOffset += res.bytesUsed;
+
+  // Live streams usually do not have a SeekHead.
+  this.seekHead_ = res.value.seekHead || {};
+  this.seekHead_['CLUSTER'] = readOffset + bufOffset;
+
+  if (res.value.chapters)
+    this.chapters_ = res.value.chapters;
+  // A Segment may have more than one Tags element. Each one is a list of Tag
+  // Objects.
+  var tagsList = res.value.tags;
+  if (tagsList.length > 0)
+    this.tags_ = Array.prototype.concat.apply([], tagsList);
+
+  this.setInfo_(res.value.info);
+  return {status: WebMParser.STATUS_OK, bytesUsed: readOffset - start};
+};
+
+/**
+ * Sets |timecodeScale_| and |duration_| from a parsed Info element.
+ * |duration_| is only set if it has not been set already.
+ * @param {Object} info Info Object returned from parseInfo_.
+ * @private
+ */
+WebMParser.prototype.setInfo_ = function(info) {
+  this.timecodeScale_ = info.timecodeScale;
+  var timeScale = this.timecodeScale_ / 1000000000.0;
+  if (info.duration > 0 && this.duration_ == -1)
+    this.duration_ = info.duration * timeScale;
+  this.updateCueTimes_();
+};
+
+/**
+ * Returns the time of a Block with the per track timing applied. The
+ * absolute timecode of the Block is scaled by the track's TrackTimecodeScale
+ * and the track's CodecDelay is subtracted. Unlike the times of the
+ * CuePoints the result is not clamped, so the first Blocks of a track with a
+ * CodecDelay may have a negative time. Those samples are meant to be
+ * decoded and then discarded.
+ * @param {number} trackNum Track number of the Block.
+ * @param {number} clusterTimecode Timecode of the Cluster.
+ * @param {number} timecode Relative timecode of the Block.
+ * @return {number} Time in seconds. May be negative.
+ */
+WebMParser.prototype.getBlockTime = function(trackNum, clusterTimecode,
+                                             timecode) {
+  var track = this.findTrack_(trackNum);
+  var timeScale = this.timecodeScale_ / 1000000000.0;
+  if (!track)
+    return (clusterTimecode + timecode) * timeScale;
+
+  return (clusterTimecode + timecode) * track.TrackTimecodeScale * timeScale -
+         track.CodecDelay / 1000000000.0;
+};
+
+/**
+ * Returns the duration of a Block scaled by the track's TrackTimecodeScale.
+ * @param {number} trackNum Track number of the Block.
+ * @param {number} duration BlockDuration of the Block.
+ * @return {number} Duration in seconds.
+ */
+WebMParser.prototype.getBlockDuration = function(trackNum, duration) {
+  var track = this.findTrack_(trackNum);
+  var timeScale = this.timecodeScale_ / 1000000000.0;
+  if (track)
+    timeScale *= track.TrackTimecodeScale;
+  return duration * timeScale;
+};
+
+/**
+ * Returns the time of a CuePoint. The CodecDelay of |trackNum| is subtracted
+ * from the CueTime.
+ * @param {number} cueTimecode CueTime of the CuePoint.
+ * @param {number} trackNum Track number of the CueTrackPositions.
+ * @return {number} Time in seconds.
+ * @private
+ */
+WebMParser.prototype.getCueTime_ = function(cueTimecode, trackNum) {
+  var time = cueTimecode * this.timecodeScale_ / 1000000000.0;
+  var track = this.findTrack_(trackNum);
+  if (track)
+    time -= track.CodecDelay / 1000000000.0;
+  return Math.max(time, 0);
+};
+
+/**
+ * Sets 'cueTime' of all of the CuePoints from 'cueTimecode'. Called when the
+ * TimecodeScale or the Tracks change as the Cues may be parsed first.
+ * @private
+ */
+WebMParser.prototype.updateCueTimes_ = function() {
+  if (this.cues_ == null)
+    return;
+
+  for (var i = 0; i < this.cues_.length; ++i) {
+    var cue = this.cues_[i];
+    cue.cueTime = this.getCueTime_(cue.cueTimecode,
+                                   cue.trackPosition.cueTrack);
+  }
+  this.trackCues_ = {};
+};
+
+/**
+ * Returns the SeekPreRoll, the time decoding must start before a seek point
+ * for the output to be correct, e.g. for Opus.
+ * @param {number} opt_trackNumber Optional track number. If not set the
+ *     largest SeekPreRoll of all of the tracks is returned.
+ * @return {number} SeekPreRoll in seconds.
+ */
+WebMParser.prototype.getSeekPreRoll = function(opt_trackNumber) {
+  var seekPreRoll = 0;
+  for (var i = 0; i < this.trackObjects_.length; ++i) {
+    var track = this.trackObjects_[i].track;
+    if (opt_trackNumber && track.TrackNumber != opt_trackNumber)
+      continue;
+    seekPreRoll = Math.max(seekPreRoll, track.SeekPreRoll);
+  }
+  return seekPreRoll / 1000000000.0;
+};
+
+/**
+ * Static function to get the RFC 6381 codec string of a track, e.g. 'vp8',
+ * 'vp09.00.10.08', 'av01.0.04M.08' or 'opus'. The VP9 and AV1 parameters
+ * are read from the CodecPrivate and the Colour element of the track.
+ * @param {Object} track Track Object. See parseTrackEntry_.
+ * @return {string} Codec string or an empty string if the codec is not
+ *     supported or its parameters cannot be derived.
+ */
+WebMParser.getCodecString = function(track) {
+  if (track.CodecID in WebMParser.CODEC_STRINGS_)
+    return WebMParser.CODEC_STRINGS_[track.CodecID];
+  if (track.CodecID == 'V_VP9')
+    return WebMParser.getVp9CodecString_(track);
+  if (track.CodecID == 'V_AV1')
+    return WebMParser.getAv1CodecString_(track);
+  return '';
+};
+
+/**
+ * Static function to format |value| as a decimal number with at least
+ * |digits| digits.
+ * @param {number} value Value to format.
+ * @param {number} digits Minimum number of digits.
+ * @return {string} Formatted value.
+ * @private
+ */
+WebMParser.padNumber_ = function(value, digits) {
+  var str = value.toString();
+  while (str.length < digits)
+    str = '0' + str;
+  return str;
+};
+
+/**
+ * Static function to get the colour fields of a VP9 or AV1 codec string.
+ * Unspecified values are written as BT.709.
+ * @param {Object} colour Colour Object.
+ * @param {number} rangeDigits Number of digits of the full range flag.
+ * @return {string} Primaries, TransferCharacteristics, MatrixCoefficients
+ *     and the full range flag separated by periods.
+ * @private
+ */
+WebMParser.getColourCodecString_ = function(colour, rangeDigits) {
+  var values = [colour.Primaries, colour.TransferCharacteristics,
+                colour.MatrixCoefficients];
+  var str = '';
+  for (var i = 0; i < values.length; ++i) {
+    var value = values[i];
+    if (value == WebMParser.COLOUR_UNSPECIFIED_)
+      value = 1;
+    str += WebMParser.padNumber_(value, 2) + '.';
+  }
+  var fullRange = colour.Range == WebMParser.RANGE_FULL_ ? 1 : 0;
+  return str + WebMParser.padNumber_(fullRange, rangeDigits);
+};
+
+/**
+ * Static function to get the codec string of a VP9 track. The profile,
+ * level, bit depth and chroma subsampling are read from the CodecPrivate.
+ * Missing values are derived from the Colour element, the frame size and the
+ * frame rate from the DefaultDuration or FrameRate. The colour fields are
+ * added if the track has a Colour element.
+ * @param {Object} track Track Object.
+ * @return {string} Codec string.
+ * @private
+ */
+WebMParser.getVp9CodecString_ = function(track) {
+  var features = {};
+  var codecPrivate = track.CodecPrivate;
+  if (codecPrivate) {
+    var i = 0;
+    while (i + 2 <= codecPrivate.length) {
+      var id = codecPrivate[i];
+      var length = codecPrivate[i + 1];
+      if (i + 2 + length > codecPrivate.length)
+        break;
+      if (id in WebMParser.VP9_FEATURES_ && length == 1)
+        features[WebMParser.VP9_FEATURES_[id]] = codecPrivate[i + 2];
+      i += 2 + length;
+    }
+  }
+
+  var video = track.Video || {};
+  var colour = video.Colour;
+  var profile = features.profile || 0;
+
+  var level = features.level;
+  if (level === undefined) {
+    // DefaultDuration is the frame duration in nanoseconds. FrameRate is
+    // deprecated and is only used without a DefaultDuration.
+    var frameRate = video.FrameRate || 0;
+    if (track.DefaultDuration)
+      frameRate = 1000000000.0 / track.DefaultDuration;
+    var pictureSize = (video.PixelWidth || 0) * (video.PixelHeight || 0);
+    var sampleRate = pictureSize * frameRate;
+    var levels = WebMParser.VP9_LEVELS_;
+    for (var j = 0; j < levels.length; ++j) {
+      level = levels[j].level;
+      if (pictureSize <= levels[j].pictureSize &&
+          sampleRate <= levels[j].sampleRate) {
+        break;
+      }
+    }
+  }
+
+  var bitDepth = features.bitDepth;
+  if (bitDepth === undefined) {
+    if (colour && colour.BitsPerChannel)
+      bitDepth = colour.BitsPerChannel;
+    else
+      bitDepth = profile < 2 ? 8 : 10;
+  }
+
+  var str = 'vp09.' + WebMParser.padNumber_(profile, 2) + '.' +
+            WebMParser.padNumber_(level, 2) + '.' +
+            WebMParser.padNumber_(bitDepth, 2);
+  if (!colour)
+    return str;
+
+  var chromaSubsampling = features.chromaSubsampling;
+  if (chromaSubsampling === undefined) {
+    chromaSubsampling = 1;
+    if ('ChromaSubsamplingHorz' in colour) {
+      if (!colour.ChromaSubsamplingHorz)
+        chromaSubsampling = 3;
+      else if (!colour.ChromaSubsamplingVert)
+        chromaSubsampling = 2;
+      else if (colour.ChromaSitingHorz == 1 && colour.ChromaSitingVert == 2)
+        chromaSubsampling = 0;
+    }
+  }
+  return str + '.' + WebMParser.padNumber_(chromaSubsampling, 2) + '.' +
+         WebMParser.getColourCodecString_(colour, 2);
+};
+
+/**
+ * Static function to get the codec string of an AV1 track. The values are
+ * read from the AV1CodecConfigurationRecord in the CodecPrivate. The colour
+ * fields are added if the track has a Colour element.
+ * @param {Object} track Track Object.
+ * @return {string} Codec string or an empty string if the CodecPrivate is
+ *     missing or invalid.
+ * @private
+ */
+WebMParser.getAv1CodecString_ = function(track) {
+  var config = track.CodecPrivate;
+  if (!config || config.length < 4 || !(config[0] & 0x80))
+    return '';
+
+  var profile = config[1] >> 5;
+  var level = config[1] & 0x1F;
+  var tier = (config[2] & 0x80) ? 'H' : 'M';
+  var highBitDepth = (config[2] >> 6) & 1;
+  var twelveBit = (config[2] >> 5) & 1;
+  var monochrome = (config[2] >> 4) & 1;
+  var subsamplingX = (config[2] >> 3) & 1;
+  var subsamplingY = (config[2] >> 2) & 1;
+  var samplePosition = (subsamplingX && subsamplingY) ? config[2] & 3 : 0;
+
+  var bitDepth = 8;
+  if (highBitDepth)
+    bitDepth = (profile == 2 && twelveBit) ? 12 : 10;
+
+  var str = 'av01.' + profile + '.' + WebMParser.padNumber_(level, 2) + tier +
+            '.' + WebMParser.padNumber_(bitDepth, 2);
+  var colour = track.Video && track.Video.Colour;
+  if (!colour)
+    return str;
+
+  return str + '.' + monochrome + '.' + subsamplingX + subsamplingY +
+         samplePosition + '.' + WebMParser.getColourCodecString_(colour, 1);
+};
+
+/**
+ * Returns the codec strings of all of the tracks.
+ * @return {string} Comma separated list of codec strings or an empty string
+ *     if the codec string of a track cannot be derived.
+ */
+WebMParser.prototype.getCodecs = function() {
+  var codecs = [];
+  for (var i = 0; i < this.trackObjects_.length; ++i) {
+    var codec = WebMParser.getCodecString(this.trackObjects_[i].track);
+    if (!codec)
+      return '';
+    codecs.push(codec);
+  }
+  return codecs.join(',');
+};
+
+/**
+ * Checks if the Segment has an unknown size, as written by live encoders.
+ * @return {boolean} Returns true if the Segment size is unknown.
+ */
+WebMParser.prototype.isSegmentSizeUnknown = function() {
+  return this.segmentSize_ == EbmlParser.UNKNOWN_SIZE;
+};
+
+/**
+ * Returns the file offset of the end of the Segment.
+ * @return {number} File offset or -1 if the Segment has not been parsed or
+ *     has an unknown size.
+ */
+WebMParser.prototype.getSegmentEndOffset = function() {
+  if (this.segmentOffset_ == -1 || this.segmentSize_ == -1 ||
+      this.isSegmentSizeUnknown()) {
+    return -1;
+  }
+  return this.segmentOffset_ + this.segmentSize_;
+};
+
+/**
+ * Returns the TimecodeScale of the Segment.
+ * @return {number} TimecodeScale in nanoseconds.
+ */
+WebMParser.prototype.getTimecodeScale = function() {
+  return this.timecodeScale_;
+};
+
+/**
+ * Returns the track Object with the track number |trackNum|.
+ * @param {number} trackNum Track number.
+ * @return {Object} Track Object or null.
+ * @private
+ */
+WebMParser.prototype.findTrack_ = function(trackNum) {
+  for (var i = 0; i < this.trackObjects_.length; ++i) {
+    if (this.trackObjects_[i].track.TrackNumber == trackNum)
+      return this.trackObjects_[i].track;
+  }
+  return null;
+};
+
+/**
+ * Returns the EBML header Object.
+ * @return {Object} EBML header Object or null if the EBML header has not been
+ *     parsed. See parseEBMLHeader_.
+ */
+WebMParser.prototype.getEbmlHeader = function() {
+  return this.ebmlHeader_;
+};
+
+/**
+ * Returns the SeekHead Object.
+ * @return {object} SeekHead Object.
+ */
+WebMParser.prototype.getSeekHead = function() {
+  return this.seekHead_;
+};
+
+/**
+ * Returns the offsets of all of the SeekEntries for an element. Unlike the
+ * SeekHead Object this includes elements that may appear more than once,
+ * e.g. Tags.
+ * @param {string} name Element name as returned by webmGetIdName. E.g.
+ *     'TAGS'.
+ * @return {Array} List of file offsets in SeekHead order.
+ */
+WebMParser.prototype.getSeekOffsets = function(name) {
+  return this.seekOffsets_[name] || [];
+};
+
+/**
+ * Returns a buffer containing the SegmentInfo element. The buffer includes
+ * the element header.
+ * @return {Uint8Array} SegmentInfo buffer.
+ */
+WebMParser.prototype.getInfo = function() {
+  return this.infoElement_;
+};
+
+/**
+ * Returns a buffer containing the Tracks element. The buffer includes the
+ * element header.
+ * @return {Uint8Array} Tracks buffer.
+ */
+WebMParser.prototype.getTracks = function() {
+  return this.tracksElement_;
+};
+
+/**
+ * Return an object which contains the track description, and buffer
+ * containing a track element which includes the element header. The track
+ * description in 'track' has the TrackEntry values such as 'TrackNumber',
+ * 'CodecID', 'CodecPrivate', 'Language', 'Name', the flags, and the 'Video'
+ * or 'Audio' values.
+ * @param {number} index Index into the |trackObjects_| array.
+ * @return {Object} Track Object or null.
+ */
+WebMParser.prototype.getTrackObject = function(index) {
+  if (index < 0 || index >= this.trackObjects_.length)
+    return null;
+
+  return this.trackObjects_[index];
+};
+
+/**
+ * Return the number of track objects.
+ * @return {number} Number of track objects.
+ */
+WebMParser.prototype.getTrackObjectLength = function() {
+  return this.trackObjects_.length;
+};
+
+/**
+ * Static function to get the encryption key IDs of a track. Only AES
+ * encryption, the one WebM uses, is supported.
+ * @param {Object} track Track Object. See parseTrackEntry_.
+ * @return {Array} List of Uint8Array key IDs.
+ * @private
+ */
+WebMParser.getTrackKeyIds_ = function(track) {
+  var keyIds = [];
+  var encodings = track.ContentEncodings || [];
+  for (var i = 0; i < encodings.length; ++i) {
+    var encryption = encodings[i].ContentEncryption;
+    if (encodings[i].ContentEncodingType !=
+            WebMParser.CONTENT_ENCODING_TYPE_ENCRYPTION ||
+        !encryption ||
+        encryption.ContentEncAlgo != WebMParser.CONTENT_ENC_ALGO_AES ||
+        !encryption.ContentEncKeyID) {
+      continue;
+    }
+    keyIds.push(encryption.ContentEncKeyID);
+  }
+  return keyIds;
+};
+
+/**
+ * Returns the encryption key IDs of all of the tracks.
+ * @return {Array} List of Objects. 'trackNumber' is the track number and
+ *     'keyId' is an Uint8Array with the key ID.
+ */
+WebMParser.prototype.getKeyIds = function() {
+  var keyIds = [];
+  for (var i = 0; i < this.trackObjects_.length; ++i) {
+    var track = this.trackObjects_[i].track;
+    var trackKeyIds = WebMParser.getTrackKeyIds_(track);
+    for (var j = 0; j < trackKeyIds.length; ++j)
+      keyIds.push({trackNumber: track.TrackNumber, keyId: trackKeyIds[j]});
+  }
+  return keyIds;
+};
+
+/**
+ * Checks if the track with the track number |trackNum| is encrypted. The
+ * result is set when the TrackEntry is parsed.
+ * @param {number} trackNum Track number.
+ * @return {boolean} Returns true if the track is encrypted.
+ */
+WebMParser.prototype.isTrackEncrypted = function(trackNum) {
+  return this.encryptedTracks_[trackNum] === true;
+};
+
+/**
+ * Returns the file offset of the first Cluster form the SeekHead.
+ * @return {number} File offset or -1 if there is no entry.
+ */
+WebMParser.prototype.getFirstClusterOffset = function() {
+  if (!this.seekHead_['CLUSTER']) {
+    return -1;
+  }
+  return this.seekHead_['CLUSTER'];
+};
+
+/**
+ * Removes cue elements after the first cue element in the same cluster.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'value' is true on success.
+ */
+WebMParser.prototype.squishCues = function() {
+  if (this.cues_ == null) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Cues is not valid.'};
+  }
+
+  for (var i = 0; i < this.cues_.length - 1; ++i) {
+    var cueCurr = this.cues_[i];
+    var cueNext = this.cues_[i + 1];
+
+    if (cueCurr.trackPosition.cueClusterPos ==
+        cueNext.trackPosition.cueClusterPos) {
+      this.cues_.splice(i + 1, 1);
+      this.trackCues_ = {};
+
+      // Check this element again.
+      --i;
+    }
+  }
+
+  return {status: WebMParser.STATUS_OK, value: true};
+};
+
+/**
+ * Returns the list of chapter editions.
+ * @return {Array} List of EditionEntry Objects or null if the Chapters
+ *     element has not been parsed.
+ */
+WebMParser.prototype.getChapters = function() {
+  return this.chapters_;
+};
+
+/**
+ * Sets the list of chapter editions, e.g. to an empty list for files that do
+ * not have a Chapters element.
+ * @param {Array} chapters List of EditionEntry Objects.
+ */
+WebMParser.prototype.setChapters = function(chapters) {
+  this.chapters_ = chapters;
+};
+
+/**
+ * Returns the list of Tags.
+ * @return {Array} List of Tag Objects or null if the Tags element has not
+ *     been parsed.
+ */
+WebMParser.prototype.getTags = function() {
+  return this.tags_;
+};
+
+/**
+ * Sets the list of Tags, e.g. to an empty list for files that do not have a
+ * Tags element.
+ * @param {Array} tags List of Tag Objects.
+ */
+WebMParser.prototype.setTags = function(tags) {
+  this.tags_ = tags;
+};
+
+/**
+ * Returns the SimpleTags that apply to a target. If |opt_trackNumber| is not
+ * set only the Tags that apply to the whole Segment are used. If the same
+ * name is set more than once the first value is returned. Nested SimpleTags
+ * are returned with the name of the parent prefixed, e.g. 'ARTIST/URL'.
+ * @param {number} opt_trackNumber Optional track number.
+ * @return {Object} Mapping of SimpleTag names to SimpleTag Objects. Returns
+ *     null if the Tags element has not been parsed or |opt_trackNumber| is
+ *     not a valid track.
+ */
+WebMParser.prototype.getTagsForTarget = function(opt_trackNumber) {
+  if (!this.tags_)
+    return null;
+
+  var trackUid = -1;
+  if (opt_trackNumber !== undefined) {
+    var track = this.findTrack_(opt_trackNumber);
+    if (!track)
+      return null;
+    trackUid = track.TrackUID;
+  }
+
+  var map = {};
+  for (var i = 0; i < this.tags_.length; ++i) {
+    var targets = this.tags_[i].targets;
+    var matches = false;
+    if (trackUid == -1) {
+      matches = targets.trackUids.length == 0 &&
+                targets.editionUids.length == 0 &&
+                targets.chapterUids.length == 0 &&
+                targets.attachmentUids.length == 0;
+    } else {
+      // A TagTrackUID of 0 applies to all of the tracks.
+      matches = targets.trackUids.indexOf(trackUid) != -1 ||
+                targets.trackUids.indexOf(0) != -1;
+    }
+
+    if (matches)
+      this.addSimpleTags_(map, '', this.tags_[i].simpleTags);
+  }
+  return map;
+};
+
+/**
+ * Adds |simpleTags| and their nested SimpleTags to |map|.
+ * @param {Object} map Mapping of SimpleTag names to SimpleTag Objects.
+ * @param {string} prefix Prefix to add to the SimpleTag names.
+ * @param {Array} simpleTags List of SimpleTag Objects.
+ * @private
+ */
+WebMParser.prototype.addSimpleTags_ = function(map, prefix, simpleTags) {
+  for (var i = 0; i < simpleTags.length; ++i) {
+    var name = prefix + simpleTags[i].name;
+    if (!(name in map))
+      map[name] = simpleTags[i];
+    this.addSimpleTags_(map, name + '/', simpleTags[i].simpleTags);
+  }
+};
+
+/**
+ * Returns the Cues array. If |opt_trackNumber| is set only the CuePoints with
+ * a CueTrackPositions for the track are returned and their 'trackPosition' is
+ * the CueTrackPositions of the track.
+ * @param {number} opt_trackNumber Optional track number.
+ * @return {Array} Array of CuePoint elements.
+ */
+WebMParser.prototype.getCues = function(opt_trackNumber) {
+  if (!opt_trackNumber || this.cues_ == null)
+    return this.cues_;
+
+  if (!(opt_trackNumber in this.trackCues_)) {
+    var cues = [];
+    for (var i = 0; i < this.cues_.length; ++i) {
+      var positions = this.cues_[i].trackPositions;
+      for (var j = 0; j < positions.length; ++j) {
+        if (positions[j].cueTrack == opt_trackNumber) {
+          var cueTimecode = this.cues_[i].cueTimecode;
+          cues.push({cueTimecode: cueTimecode,
+                     cueTime: this.getCueTime_(cueTimecode, opt_trackNumber),
+                     trackPosition: positions[j],
+                     trackPositions: positions});
+          break;
+        }
+      }
+    }
+    this.trackCues_[opt_trackNumber] = cues;
+  }
+  return this.trackCues_[opt_trackNumber];
+};
+
+/**
+ * Sets the Cues array for files that do not have a Cues element. A seek entry
+ * for a Cues element is added at |clustersEnd| if one was not previously
+ * added, so the size of the last Cluster can be calculated.
+ * @param {Array} cues Array of CuePoint Objects with the same format as the
+ *     ones returned from parsePointEntry_. 'cueTime' is set from
+ *     'cueTimecode'.
+ * @param {number} clustersEnd Ending offset of the last Cluster.
+ */
+WebMParser.prototype.setCues = function(cues, clustersEnd) {
+  this.cues_ = cues;
+  this.trackCues_ = {};
+  this.updateCueTimes_();
+
+  if (this.seekHead_ == null)
+    this.seekHead_ = {};
+
+  if (!('CUES' in this.seekHead_)) {
+    this.seekHead_['CUES'] = clustersEnd;
+  }
+};
+
+/**
+ * Set the WebM duration.
+ * @param {number} duration Duration of the file in seconds.
+ */
+WebMParser.prototype.setDuration = function(duration) {
+  this.duration_ = duration;
+};
+
+/**
+ * Class to handle WebM files.
+ * @param {string} url Link to WebM file.
+ * @param {function} opt_log Optional logging function for this class.
+ * @constructor
+ */
+function WebMFileParser(url, opt_log) {
+  if (opt_log)
+    this.log = opt_log;
+
+  this.parser = new WebMParser();
+  this.parser.log = this.log;
+  this.file = new HttpFile(url, this.log);
+  this.attachments_ = null;
+  this.tagsFetched_ = false;
+  this.frameIndex_ = {};
+}
+
+/**
+ * The maximum size in bytes of the partial download.
+ * @type {number}
+ */
+WebMFileParser.prototype.partialDownloadSize = 131072;
+
+/**
+ * The number of bytes to read at a time when walking the Attachments element.
+ * @type {number}
+ * @private
+ */
+WebMFileParser.ATTACHMENTS_READ_SIZE_ = 4096;
+
+/**
+ * The number of bytes to read at a time when walking the children of a
+ * Cluster with an unknown size to find its end. The children are read one
+ * after the other, so a larger window needs fewer requests.
+ * @type {number}
+ * @private
+ */
+WebMFileParser.UNKNOWN_SIZE_CLUSTER_READ_SIZE_ = 65536;
+
+/**
+ * Static function to write |value| as a big-endian unsigned integer.
+ * @param {Uint8Array} buf Destination buffer.
+ * @param {number} offset Offset to write at.
+ * @param {number} value Value to write.
+ * @param {number} size Number of bytes.
+ * @private
+ */
+WebMFileParser.setUIntBytes_ = function(buf, offset, value, size) {
+  for (var i = size - 1; i >= 0; --i) {
+    buf[offset + i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+};
+
+/**
+ * Static function to create the header of a Cluster element. The size is
+ * written with the smallest width that can hold |dataSize|, but not less
+ * than |opt_minSizeWidth| bytes.
+ * @param {number} dataSize Size of the Cluster data in bytes.
+ * @param {number} opt_minSizeWidth Optional minimum width of the size.
+ * @return {Uint8Array} Cluster ID and size.
+ * @private
+ */
+WebMFileParser.createClusterHeader_ = function(dataSize, opt_minSizeWidth) {
+  var sizeWidth = opt_minSizeWidth || 1;
+  while (sizeWidth < 8 && dataSize >= Math.pow(2, 7 * sizeWidth) - 1)
+    ++sizeWidth;
+
+  var header = new Uint8Array(4 + sizeWidth);
+  header.set([0x1F, 0x43, 0xB6, 0x75], 0);
+  WebMFileParser.setUIntBytes_(header, 4, dataSize, sizeWidth);
+  header[4] |= 0x80 >> (sizeWidth - 1);
+  return header;
+};
+
+/**
+ * Static function to create a ClusterTimecode element. The value is written
+ * with the smallest number of bytes that can hold |timecode|.
+ * @param {number} timecode ClusterTimecode value.
+ * @return {Uint8Array} ClusterTimecode element including the header.
+ * @private
+ */
+WebMFileParser.createClusterTimecode_ = function(timecode) {
+  var valueSize = 1;
+  while (valueSize < 8 && timecode >= Math.pow(2, 8 * valueSize))
+    ++valueSize;
+
+  var element = new Uint8Array(2 + valueSize);
+  element[0] = 0xE7;
+  element[1] = 0x80 | valueSize;
+  WebMFileParser.setUIntBytes_(element, 2, timecode, valueSize);
+  return element;
+};
+
+/**
+ * Logging function to be set by the application.
+ * @param {string} str The input string to be logged.
+ */
+WebMFileParser.prototype.log = function(str) {};
+
+/**
+ * Sets the source of the file data. By default the data is downloaded from
+ * the URL. See HttpFile.setByteSource.
+ * @param {object} byteSource Byte source, e.g. a BufferByteSource or a
+ *     NodeFileByteSource.
+ */
+WebMFileParser.prototype.setByteSource = function(byteSource) {
+  this.file.setByteSource(byteSource);
+};
+
+/**
+ * Asynchronous function to get a WebM element.
+ * @param {number} fileOffset Starting offset of the element.
+ * @param {number} id ID of the element.
+ * @param {number} emptyReadSize Try to get this many bytes if there are no
+ *     bytes stored in memory.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back an UintArray8 buffer containing the element and element header or
+ *     null on error. Second parameter passes back the error status Object on
+ *     error. If CRC-32 verification is enabled and the element's CRC-32 does
+ *     not match, 'status' is WebMParser.STATUS_CRC_MISMATCH and the downloaded
+ *     bytes are discarded so the element can be fetched again.
+ * @private
+ */
+WebMFileParser.prototype.fetchElement_ = function(fileOffset, id, emptyReadSize,
+                                                  doneCallback) {
+  this.file.seek(fileOffset);
+
+  if (this.file.getBytesAvailable() == 0) {
+    var t = this;
+    this.file.fetchBytes(emptyReadSize, function(success) {
+      if (!success) {
+        doneCallback(null, {status: WebMParser.STATUS_NEED_MORE_DATA});
+        return;
+      }
+      t.fetchElement_(fileOffset, id, emptyReadSize, doneCallback);
+    });
+    return;
+  }
+
+  // Elements of unknown size end at the end of the file.
+  var fileLength = this.file.getFileLength();
+  var endOfData = (fileLength != -1) &&
+      (this.file.getCurrentOffset() + this.file.getBytesAvailable() >=
+       fileLength);
+  var res = this.parser.parseElement(this.file.getBuffer(),
+                                     this.file.getIndex(),
+                                     this.file.getBytesAvailable(),
+                                     id, endOfData);
+  if (res.status == WebMParser.STATUS_NEED_MORE_DATA) {
+    var t = this;
+    var bytesNeeded = this.file.getBytesAvailable() + res.bytesNeeded;
+    // Check if the player can request a little more than we need. We read
+    // just enough extra so the next element header can be parsed without
+    // another request.
+    if (fileLength != -1) {
+      var end = fileOffset + bytesNeeded;
+      if (fileLength >= end + EbmlParser.MAX_ELEMENT_HEADER_SIZE)
+        bytesNeeded += EbmlParser.MAX_ELEMENT_HEADER_SIZE;
+    }
+
+    this.file.ensureEnoughBytes(bytesNeeded, function(success) {
+        if (!success) {
+          doneCallback(null, {status: WebMParser.STATUS_NEED_MORE_DATA});
+          return;
+        }
+        t.fetchElement_(fileOffset, id, emptyReadSize, doneCallback);
+      });
+    return;
+  }
+
+  if (res.status != WebMParser.STATUS_OK) {
+    doneCallback(null, res);
+    return;
+  }
+
+  var element = res.value;
+  res = this.parser.checkElementCrc(element, 0, element.length);
+  if (res.status != WebMParser.STATUS_OK) {
+    this.log('fetchElement_ id:' + webmGetIdName(id) + ' offset:' +
+             fileOffset + ' ' + res.reason);
+    this.file.discardBuffer();
+    doneCallback(null, res);
+    return;
+  }
+
+  this.file.read(element.length);
+  doneCallback(element);
+};
+
+/**
+ * Enables or disables CRC-32 verification of the fetched and parsed elements.
+ * See WebMParser.setVerifyCrc.
+ * @param {boolean} verify Enable CRC-32 verification.
+ */
+WebMFileParser.prototype.setVerifyCrc = function(verify) {
+  this.parser.setVerifyCrc(verify);
+};
+
+/**
+ * Checks the CRC-32 of every element in |buf|. Elements of unknown size end
+ * at the end of |buf|.
+ * @param {Uint8Array} buf Source buffer. Must contain complete elements.
+ * @param {number} start Starting offset.
+ * @param {number} size Number of bytes to check.
+ * @return {Object} Status object. Returns WebMParser.STATUS_CRC_MISMATCH if
+ *     the checksum of an element does not match.
+ * @private
+ */
+WebMFileParser.prototype.checkElementsCrc_ = function(buf, start, size) {
+  var end = start + size;
+  while (start < end) {
+    var res = EbmlParser.parseElementHeader(buf, start, end - start);
+    if (res.status != EbmlParser.STATUS_OK)
+      return res;
+
+    var elementSize = end - start;
+    if (res.elementSize != EbmlParser.UNKNOWN_SIZE)
+      elementSize = Math.min(elementSize, res.bytesUsed + res.elementSize);
+
+    res = this.parser.checkElementCrc(buf, start, elementSize);
+    if (res.status != WebMParser.STATUS_OK)
+      return res;
+    start += elementSize;
+  }
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Asynchronous function to get a WebM element using unbuffered reads. This
+ * does not change the read offset of |file|, so it may be called while
+ * cluster data is being read.
+ * @param {number} fileOffset Starting offset of the element.
+ * @param {number} id ID of the element.
+ * @param {number} readSize Number of bytes to read.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back an UintArray8 buffer containing the element and element header or
+ *     null on error.
+ * @private
+ */
+WebMFileParser.prototype.fetchElementUnbuffered_ = function(fileOffset, id,
+                                                            readSize,
+                                                            doneCallback) {
+  var t = this;
+  this.file.fetchBytesUnbuffered(fileOffset, readSize, function(buf) {
+    if (!buf) {
+      doneCallback(null);
+      return;
+    }
+
+    var res = t.parser.parseElement(buf, 0, buf.length, id,
+                                    buf.length < readSize);
+    if (res.status == WebMParser.STATUS_NEED_MORE_DATA &&
+        buf.length == readSize) {
+      // The end of an element of unknown size is only found after its
+      // children, so the read size is at least doubled.
+      t.fetchElementUnbuffered_(
+          fileOffset, id,
+          Math.max(readSize + res.bytesNeeded +
+                   EbmlParser.MAX_ELEMENT_HEADER_SIZE, 2 * readSize),
+          doneCallback);
+      return;
+    }
+
+    if (res.status != WebMParser.STATUS_OK) {
+      doneCallback(null);
+      return;
+    }
+    doneCallback(res.value);
+  });
+};
+
+/**
+ * Asynchronous function to parse the WebM Segment headers and Cues element.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a boolean with a value of true if the call was successful.
+ * @param {number} ensureSize Value to make sure |ensureSize| bytes are stored
+ *     in memory.
+ */
+WebMFileParser.prototype.doParseHeaders = function(doneCallback, ensureSize) {
+  var t = this;
+  this.file.ensureEnoughBytes(ensureSize, function(success) {
+      if (!success) {
+        doneCallback(false);
+        return;
+      }
+
+      var res = t.parser.parseEBMLHeader_(t.file.getBuffer(), t.file.getIndex(),
+                                          t.file.getBytesAvailable());
+      if (res.status != WebMParser.STATUS_OK) {
+        t.log('Invalid EBML header. ' + res.reason);
+        doneCallback(false);
+        return;
+      }
+
+      var originalOffset = t.file.getCurrentOffset();
+      t.file.read(res.bytesUsed);
+
+      var readOffset = t.file.getIndex();
+      var bufferOffset = t.file.getCurrentOffset();
+      res = t.parser.parseSegmentHeaders(
+          t.file.getBuffer(),
+          readOffset,
+          t.file.getBytesAvailable() - (readOffset - bufferOffset),
+          bufferOffset - readOffset);
+      if (res.status == WebMParser.STATUS_OK) {
+        t.file.read(res.bytesUsed);
+      } else if (res.status == WebMParser.STATUS_NEED_MORE_DATA) {
+        t.file.seek(originalOffset);
+        // Fetch more bytes and try again.
+        setTimeout(function() {
+          t.doParseHeaders(doneCallback, 2 * ensureSize);
+        }, 0);
+        return;
+      } else if (res.status != WebMParser.STATUS_OK) {
+        doneCallback(false);
+        return;
+      }
+
+      // Live streams have an unknown-size Segment and usually no Cues.
+      if (t.parser.isSegmentSizeUnknown() &&
+          !('CUES' in t.parser.getSeekHead())) {
+        doneCallback(true);
+        return;
+      }
+
+      t.fetchIndex(function(success) {
+        doneCallback(success);
+      });
+    });
+};
+
+/**
+ * Asynchronous function to parse the WebM Segment headers and Cues element.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a boolean with a value of true if the call was successful.
+ */
+WebMFileParser.prototype.parseHeaders = function(doneCallback) {
+  this.doParseHeaders(doneCallback, 4096);
+};
+
+/**
+ * Returns a buffer containing the SegmentInfo element. The buffer includes
+ * the element header.
+ * @return {Uint8Array} SegmentInfo buffer or null.
+ */
+WebMFileParser.prototype.getInfo = function() {
+  if (!this.parser)
+    return null;
+  return this.parser.getInfo();
+};
+
+/**
+ * Returns a buffer containing the Tracks element. The buffer includes the
+ * element header.
+ * @return {Uint8Array} Tracks buffer or null.
+ */
+WebMFileParser.prototype.getTracks = function() {
+  if (!this.parser)
+    return null;
+  return this.parser.getTracks();
+};
 
-  this.parser = new WebMParser();
-  this.parser.log = this.log;
-  this.file = new HttpFile(url, this.log);
+/**
+ * Return an object which contains the track description, and buffer
+ * containing a track element which includes the element header.
+ * @param {number} index Index into the |trackObjects_| array.
+ * @return {Object} Track Object or null.
+ */
+WebMFileParser.prototype.getTrackObject = function(index) {
+  if (!this.parser)
+    return null;
+  return this.parser.getTrackObject(index);
+};
+
+/**
+ * Return the number of track objects.
+ * @return {number} Number of track objects.
+ */
+WebMFileParser.prototype.getTrackObjectLength = function() {
+  if (!this.parser)
+    return 0;
+  return this.parser.getTrackObjectLength();
+};
+
+/**
+ * Returns the number of the first video track. Used to select the CuePoints
+ * of the video track in files with more than one track.
+ * @return {number} Track number or 0 if there is no video track.
+ */
+WebMFileParser.prototype.getVideoTrackNumber = function() {
+  var count = this.getTrackObjectLength();
+  for (var i = 0; i < count; ++i) {
+    var track = this.getTrackObject(i).track;
+    if (track.TrackType == WebMParser.TRACK_TYPE_VIDEO)
+      return track.TrackNumber;
+  }
+  return 0;
+};
+
+/**
+ * Checks if the track with the track number |trackNum| is encrypted.
+ * @param {number} trackNum Track number.
+ * @return {boolean} Returns true if the track is encrypted.
+ */
+WebMFileParser.prototype.isTrackEncrypted = function(trackNum) {
+  return this.parser.isTrackEncrypted(trackNum);
+};
+
+/**
+ * Returns the encryption key IDs of all of the tracks formatted as EME initData
+ * with the 'webm' initData type. The 'webm' initData is the key ID. Duplicate
+ * key IDs are only returned once.
+ * @return {Array} List of Uint8Array initData.
+ */
+WebMFileParser.prototype.getEncryptionInitData = function() {
+  var keyIds = this.parser.getKeyIds();
+  var seen = {};
+  var initData = [];
+  for (var i = 0; i < keyIds.length; ++i) {
+    var keyId = keyIds[i].keyId;
+    var hex = EbmlParser.toHex(keyId, 0, keyId.length);
+    if (hex in seen)
+      continue;
+    seen[hex] = true;
+    initData.push(keyId);
+  }
+  return initData;
+};
+
+/**
+ * Returns the Colour values of the first video track.
+ * @return {Object} Colour Object or null if there is no video track or the
+ *     video track does not have a Colour element.
+ */
+WebMFileParser.prototype.getVideoColour = function() {
+  var count = this.getTrackObjectLength();
+  for (var i = 0; i < count; ++i) {
+    var track = this.getTrackObject(i).track;
+    if (track.Video)
+      return track.Video.Colour || null;
+  }
+  return null;
+};
+
+/**
+ * Checks if the first video track is HDR. A track is HDR if the transfer
+ * function is PQ or HLG.
+ * @return {boolean} Returns true if the video is HDR.
+ */
+WebMFileParser.prototype.isHdr = function() {
+  var colour = this.getVideoColour();
+  if (!colour)
+    return false;
+  return colour.TransferCharacteristics == WebMParser.TRANSFER_SMPTE_ST_2084 ||
+         colour.TransferCharacteristics == WebMParser.TRANSFER_ARIB_STD_B67;
+};
+
+/**
+ * Returns the SeekPreRoll of the file. Decoding must start at least this
+ * long before the seek time, e.g. 80 ms for Opus.
+ * @param {number} opt_trackNumber Optional track number. If not set the
+ *     largest SeekPreRoll of all of the tracks is returned.
+ * @return {number} SeekPreRoll in seconds.
+ */
+WebMFileParser.prototype.getSeekPreRoll = function(opt_trackNumber) {
+  if (!this.parser)
+    return 0;
+  return this.parser.getSeekPreRoll(opt_trackNumber);
+};
+
+/**
+ * Returns the codec strings of all of the tracks. See
+ * WebMParser.getCodecString.
+ * @return {string} Comma separated list of codec strings or an empty string
+ *     if the codec string of a track cannot be derived.
+ */
+WebMFileParser.prototype.getCodecs = function() {
+  if (!this.parser)
+    return '';
+  return this.parser.getCodecs();
+};
+
+/**
+ * Returns the MIME type with the codecs parameter for the file, e.g.
+ * 'video/webm; codecs="vp09.00.10.08"'. Files without a video track are
+ * 'audio/webm'.
+ * @return {string} MIME type or an empty string if the codec string of a
+ *     track cannot be derived.
+ */
+WebMFileParser.prototype.getMimeType = function() {
+  var codecs = this.getCodecs();
+  if (!codecs)
+    return '';
+
+  var type = 'audio/webm';
+  var count = this.getTrackObjectLength();
+  for (var i = 0; i < count; ++i) {
+    if (this.getTrackObject(i).track.TrackType == WebMParser.TRACK_TYPE_VIDEO)
+      type = 'video/webm';
+  }
+  return type + '; codecs="' + codecs + '"';
+};
+
+/**
+ * Returns the file offset of the first Cluster form the SeekHead.
+ * @return {number} File offset or -1 if there was an error.
+ */
+WebMFileParser.prototype.getFirstClusterOffset = function() {
+  if (!this.parser)
+    return -1;
+  return this.parser.getFirstClusterOffset();
+};
+
+/**
+ * Checks if the WebM file is ready to seek.
+ * @return {boolean} Returns true if the file headers and seek index have been
+ *     parsed.
+ */
+WebMFileParser.prototype.canSeek = function() {
+  return this.parser != null && this.parser.getCues() != null;
+};
+
+/**
+ * Removes Cue elements after the first Cue element in the same Cluster.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'value' is true on success.
+ */
+WebMFileParser.prototype.squishCues = function() {
+  if (!this.parser) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'WebMParser is not valid.'};
+  }
+  return this.parser.squishCues();
+};
+
+/**
+ * Asynchronous function to get and parse a WebM Cues element. The list of
+ * CuePoints is stored in |cues_|. If there is no seek entry for a Cues
+ * element the CuePoints are built from the Clusters with buildCues.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a boolean with a value of true if the call was successful.
+ */
+WebMFileParser.prototype.fetchIndex = function(doneCallback) {
+  var seekHead = this.parser.getSeekHead();
+
+  if (!('CUES' in seekHead)) {
+    this.buildCues(doneCallback);
+    return;
+  }
+
+  var t = this;
+  var cuesOffset = seekHead['CUES'];
+  this.fetchElement_(
+      cuesOffset, 0x1C53BB6B, 4096,
+      function(element) {
+        if (!element) {
+          doneCallback(false);
+          return;
+        }
+
+        var res = t.parser.parseCues_(element, 0, element.length, cuesOffset);
+        if (res.status != WebMParser.STATUS_OK) {
+          doneCallback(false);
+          return;
+        }
+        doneCallback(true);
+      });
+};
+
+/**
+ * Asynchronous function to build the list of CuePoints for files that do not
+ * have a Cues element, e.g. screen recordings and MediaRecorder captures. A
+ * CuePoint is added for every Cluster that contains a Block. The CueTime is
+ * the time of the first Block and the CueTrack is its track. Only the
+ * element headers, the ClusterTimecode and the start of the first Block of
+ * every Cluster are downloaded. The Segment headers must be parsed before
+ * calling this function.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a boolean with a value of true if the call was successful.
+ */
+WebMFileParser.prototype.buildCues = function(doneCallback) {
+  if (this.parser.getCues() != null) {
+    doneCallback(true);
+    return;
+  }
+
+  var start = this.parser.getFirstClusterOffset();
+  var end = this.parser.getSegmentEndOffset();
+  if (end == -1)
+    end = this.file.getFileLength();
+  if (start == -1 || end == -1) {
+    this.log('Could not get the Cluster range to build the Cues.');
+    doneCallback(false);
+    return;
+  }
+
+  var t = this;
+  var readWindow = {offset: 0, buf: null};
+  var cues = [];
+
+  var scanNextElement = function(offset) {
+    if (offset >= end) {
+      if (cues.length == 0) {
+        t.log('Could not find any Blocks to build the Cues.');
+        doneCallback(false);
+        return;
+      }
+
+      t.parser.setCues(cues, end);
+      doneCallback(true);
+      return;
+    }
+
+    t.scanCluster_(readWindow, offset, end, function(res) {
+      if (!res) {
+        t.log('Invalid Cluster at offset ' + offset);
+        doneCallback(false);
+        return;
+      }
+
+      if (res.cue)
+        cues.push(res.cue);
+      scanNextElement(res.nextOffset);
+    });
+  };
+
+  scanNextElement(start);
+};
+
+/**
+ * Asynchronous function to get the CuePoint of a Cluster using |readWindow|.
+ * Clusters with an unknown size end before the next top level element.
+ * Elements that are not Clusters are skipped. A truncated element at the end
+ * of the file ends the scan.
+ * @param {Object} readWindow The current read window. 'offset' is the file
+ *     offset of 'buf'.
+ * @param {number} offset Starting offset of the element.
+ * @param {number} end Ending offset of the Segment.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back an Object or null on error. 'cue' is the CuePoint Object or null if
+ *     the element is not a Cluster or does not contain a Block. 'nextOffset'
+ *     is the offset of the next element.
+ * @private
+ */
+WebMFileParser.prototype.scanCluster_ = function(readWindow, offset, end,
+                                                 doneCallback) {
+  var t = this;
+  var clusterDataOffset = -1;
+  var clusterEnd = end;
+  var unknownSize = false;
+  var clusterTimecode = -1;
+  var blockGroupOffset = -1;
+  var block = null;
+  var windowSize = WebMFileParser.ATTACHMENTS_READ_SIZE_;
+
+  // Calls back the element header or null at the end of the data.
+  var fetchHeader = function(headerOffset, callback) {
+    var size = Math.min(EbmlParser.MAX_ELEMENT_HEADER_SIZE,
+                        end - headerOffset);
+    t.fetchWindow_(readWindow, headerOffset, size, function(success) {
+      if (!success) {
+        doneCallback(null);
+        return;
+      }
+
+      var start = headerOffset - readWindow.offset;
+      var res = EbmlParser.parseElementHeader(readWindow.buf, start, size);
+      if (res.status == EbmlParser.STATUS_NEED_MORE_DATA ||
+          res.bytesUsed == 0) {
+        callback(null);
+        return;
+      }
+      if (res.status != EbmlParser.STATUS_OK) {
+        doneCallback(null);
+        return;
+      }
+      callback(res);
+    }, windowSize);
+  };
+
+  var finish = function(nextOffset) {
+    if (!block) {
+      doneCallback({cue: null, nextOffset: nextOffset});
+      return;
+    }
+
+    if (clusterTimecode == -1) {
+      t.log('Cluster at offset ' + offset + ' has no ClusterTimecode.');
+      doneCallback(null);
+      return;
+    }
+
+    // CueTime is in Segment ticks, so the TrackTimecodeScale applies to the
+    // absolute timecode of the Block.
+    var track = t.parser.findTrack_(block.trackNum);
+    var trackTimecodeScale = track ? track.TrackTimecodeScale : 1.0;
+    var trackPosition = {
+      cueTrack: block.trackNum,
+      cueClusterPos: offset,
+      cueRelativePosition: block.relativePosition,
+      cueDuration: -1,
+      cueBlockNumber: 1
+    };
+    var cue = {
+      cueTimecode: (clusterTimecode + block.timecode) * trackTimecodeScale,
+      cueTime: 0,
+      trackPosition: trackPosition,
+      trackPositions: [trackPosition]
+    };
+    doneCallback({cue: cue, nextOffset: nextOffset});
+  };
+
+  var scanChild = function(childOffset) {
+    if (childOffset >= clusterEnd ||
+        (!unknownSize && block && clusterTimecode != -1)) {
+      finish(clusterEnd);
+      return;
+    }
+
+    fetchHeader(childOffset, function(res) {
+      if (!res) {
+        finish(end);
+        return;
+      }
+
+      if (unknownSize && (res.id.toString(16).toUpperCase() in
+                          WebMParser.TOP_LEVEL_IDS_)) {
+        finish(childOffset);
+        return;
+      }
+
+      if (res.elementSize == EbmlParser.UNKNOWN_SIZE) {
+        doneCallback(null);
+        return;
+      }
+
+      var dataOffset = childOffset + res.bytesUsed;
+      var nextOffset = dataOffset + res.elementSize;
+      if (res.id == 0xA0 && !block) {  // BlockGroup
+        // Look for the Block in the children of the BlockGroup.
+        blockGroupOffset = childOffset;
+        scanChild(dataOffset);
+        return;
+      }
+
+      var readSize = 0;
+      if (res.id == 0xE7) {  // ClusterTimecode
+        readSize = res.elementSize;
+      } else if ((res.id == 0xA3 || res.id == 0xA1) && !block) {
+        // The block header is at most an 8 byte TrackNumber and 3 bytes.
+        readSize = Math.min(res.elementSize, 11);
+      }
+      readSize = Math.min(readSize, end - dataOffset);
+      if (readSize <= 0) {
+        scanChild(nextOffset);
+        return;
+      }
+
+      t.fetchWindow_(readWindow, dataOffset, readSize, function(success) {
+        if (!success) {
+          doneCallback(null);
+          return;
+        }
+
+        var start = dataOffset - readWindow.offset;
+        if (res.id == 0xE7) {
+          clusterTimecode =
+              EbmlParser.parseUInt(readWindow.buf, start, readSize).value;
+          scanChild(nextOffset);
+          return;
+        }
+
+        var num = EbmlParser.parseNum_(readWindow.buf, start, readSize, 8,
+                                       true, true);
+        if (num.status != EbmlParser.STATUS_OK ||
+            num.bytesUsed + 3 > readSize) {
+          t.log('Invalid Block header at offset ' + childOffset);
+          doneCallback(null);
+          return;
+        }
+
+        // CueRelativePosition points to the BlockGroup of a Block.
+        var blockOffset = (res.id == 0xA1) ? blockGroupOffset : childOffset;
+        block = {
+          trackNum: num.value,
+          timecode: EbmlParser.parseInt(readWindow.buf,
+                                        start + num.bytesUsed, 2).value,
+          relativePosition: blockOffset - clusterDataOffset
+        };
+        scanChild(nextOffset);
+      }, windowSize);
+    });
+  };
+
+  fetchHeader(offset, function(res) {
+    if (!res) {
+      finish(end);
+      return;
+    }
+
+    if (res.id != 0x1F43B675) {  // Cluster
+      var nextOffset = end;
+      if (res.elementSize != EbmlParser.UNKNOWN_SIZE)
+        nextOffset = offset + res.bytesUsed + res.elementSize;
+      doneCallback({cue: null, nextOffset: nextOffset});
+      return;
+    }
+
+    unknownSize = res.elementSize == EbmlParser.UNKNOWN_SIZE;
+    clusterDataOffset = offset + res.bytesUsed;
+    if (unknownSize)
+      windowSize = WebMFileParser.UNKNOWN_SIZE_CLUSTER_READ_SIZE_;
+    else
+      clusterEnd = Math.min(end, clusterDataOffset + res.elementSize);
+    scanChild(clusterDataOffset);
+  });
+};
+
+/**
+ * Returns the EBML header Object. 'docType' is 'webm' or 'matroska' and
+ * 'features' is the list of features the file declares through its
+ * 'docTypeVersion' and the names of its DocTypeExtensions. 'extensions' is
+ * the list of DocTypeExtensions with their 'name' and 'version'.
+ * @return {Object} EBML header Object or null if the headers have not been
+ *     parsed.
+ */
+WebMFileParser.prototype.getEbmlHeader = function() {
+  return this.parser.getEbmlHeader();
+};
+
+/**
+ * Returns true if the file declares that it may use |feature|.
+ * @param {string} feature Name of the feature. E.g. 'SimpleBlock' or
+ *     'CodecDelay'.
+ * @return {boolean} True if the file declares |feature|.
+ */
+WebMFileParser.prototype.hasFeature = function(feature) {
+  var header = this.parser.getEbmlHeader();
+  return !!header && header.features.indexOf(feature) != -1;
+};
+
+/**
+ * Returns the list of chapter editions. Each edition has a 'chapters' list of
+ * chapter Objects with 'startTime' and 'endTime' in seconds, 'title',
+ * 'language', 'displays', 'hidden', 'enabled' and nested 'chapters'.
+ * @return {Array} List of EditionEntry Objects or null if the Chapters
+ *     element has not been parsed.
+ */
+WebMFileParser.prototype.getChapters = function() {
+  if (!this.parser)
+    return null;
+  return this.parser.getChapters();
+};
+
+/**
+ * Asynchronous function to get and parse a WebM Chapters element. If the
+ * Chapters element was not part of the Segment headers it is fetched through
+ * the SeekHead. If the file has no Chapters element the list of chapters is
+ * set to an empty list. The Segment headers must be parsed before calling
+ * this function.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a boolean with a value of true if the call was successful.
+ */
+WebMFileParser.prototype.fetchChapters = function(doneCallback) {
+  if (this.parser.getChapters() != null) {
+    doneCallback(true);
+    return;
+  }
+
+  var seekHead = this.parser.getSeekHead();
+  if (!seekHead || !('CHAPTERS' in seekHead)) {
+    this.parser.setChapters([]);
+    doneCallback(true);
+    return;
+  }
 
+  var t = this;
+  this.fetchElementUnbuffered_(seekHead['CHAPTERS'], 0x1043A770, 4096,
+    function(element) {
+      if (!element) {
+        doneCallback(false);
+        return;
+      }
 
-  this.EMPTY_CLUSTER_ = new Uint8Array([0x1F, 0x43, 0xB6, 0x75,
-                                        0x01, 0x00, 0x00, 0x00,
-                                        0x00, 0x00, 0x00, 0x00]);
-}
+      var res = t.parser.parseChaptersElement_(element, 0, element.length);
+      doneCallback(res.status == WebMParser.STATUS_OK);
+    });
+};
 
 /**
- * The maximum size in bytes of the partial download.
- * @type {number}
+ * Returns the list of Tags. Each Tag has a 'targets' Object and a list of
+ * 'simpleTags'. See WebMParser.getTagsForTarget to query the Tags.
+ * @return {Array} List of Tag Objects or null if the Tags element has not
+ *     been parsed.
  */
-WebMFileParser.prototype.partialDownloadSize = 131072;
+WebMFileParser.prototype.getTags = function() {
+  if (!this.parser)
+    return null;
+  return this.parser.getTags();
+};
 
 /**
- * Logging function to be set by the application.
- * @param {string} str The input string to be logged.
+ * Returns the string value of a SimpleTag.
+ * @param {string} name Name of the SimpleTag. E.g. 'TITLE' or 'BPS'.
+ * @param {number} opt_trackNumber Optional track number. If not set only the
+ *     Tags that apply to the whole Segment are searched.
+ * @return {string} The value of the SimpleTag or null if the SimpleTag was
+ *     not found.
  */
-WebMFileParser.prototype.log = function(str) {};
+WebMFileParser.prototype.getTagValue = function(name, opt_trackNumber) {
+  if (!this.parser)
+    return null;
+
+  var map = this.parser.getTagsForTarget(opt_trackNumber);
+  if (!map || !(name in map))
+    return null;
+  return map[name].value;
+};
 
 /**
- * Asynchronous function to get a WebM element.
- * @param {number} fileOffset Starting offset of the element.
- * @param {number} id ID of the element.
- * @param {number} emptyReadSize Try to get this many bytes if there are no
- *     bytes stored in memory.
+ * Asynchronous function to get and parse the WebM Tags elements. Tags
+ * elements that were not part of the Segment headers are fetched through the
+ * SeekHead and their Tags are added to the Tags of the headers. If the file
+ * has no Tags element the list of Tags is set to an empty list. The Segment
+ * headers must be parsed before calling this function.
  * @param {function} doneCallback Return function. First parameter passes
- *     back an UintArray8 buffer containing the element and element header.
- * @private
+ *     back a boolean with a value of true if the call was successful.
  */
-WebMFileParser.prototype.fetchElement_ = function(fileOffset, id, emptyReadSize,
-                                                  doneCallback) {
-  this.file.seek(fileOffset);
-
-  if (this.file.getBytesAvailable() == 0) {
-    var t = this;
-    this.file.fetchBytes(emptyReadSize, function(success) {
-      if (!success) {
-        doneCallback(null);
-        return;
-      }
-      t.fetchElement_(fileOffset, id, emptyReadSize, doneCallback);
-    });
+WebMFileParser.prototype.fetchTags = function(doneCallback) {
+  if (this.tagsFetched_) {
+    doneCallback(true);
     return;
   }
 
-  var res = this.parser.parseElement(this.file.getBuffer(),
-                                     this.file.getIndex(),
-                                     this.file.getBytesAvailable(),
-                                     id);
-  if (res.status == WebMParser.STATUS_NEED_MORE_DATA) {
-    var t = this;
-    var bytesNeeded = this.file.getBytesAvailable() + res.bytesNeeded;
-    // Check if the player can request a little more than we need. We read
-    // just enough extra so the next element header can be parsed without
-    // another request.
-    var fileLength = this.file.getFileLength();
-    if (fileLength != -1) {
-      var end = fileOffset + bytesNeeded;
-      if (fileLength >= end + EbmlParser.MAX_ELEMENT_HEADER_SIZE)
-        bytesNeeded += EbmlParser.MAX_ELEMENT_HEADER_SIZE;
+  // The Tags elements before the first Cluster were parsed with the Segment
+  // headers.
+  var seekHead = this.parser.getSeekHead();
+  var clustersStart = seekHead ? seekHead['CLUSTER'] : -1;
+  var tagsOffsets = this.parser.getSeekOffsets('TAGS');
+  var offsets = [];
+  for (var i = 0; i < tagsOffsets.length; ++i) {
+    if (tagsOffsets[i] >= clustersStart)
+      offsets.push(tagsOffsets[i]);
+  }
+
+  if (this.parser.getTags() == null)
+    this.parser.setTags([]);
+  var headerTags = this.parser.getTags();
+
+  var t = this;
+  var fetchTagsElement = function(index) {
+    if (index >= offsets.length) {
+      t.tagsFetched_ = true;
+      doneCallback(true);
+      return;
     }
 
-    this.file.ensureEnoughBytes(bytesNeeded, function(success) {
-        if (!success) {
-          doneCallback(null);
+    t.fetchElementUnbuffered_(offsets[index], 0x1254C367, 4096,
+      function(element) {
+        var res = element ?
+            t.parser.parseTagsElement_(element, 0, element.length) : null;
+        if (!res || res.status != WebMParser.STATUS_OK) {
+          // Drop the partial list so the Tags can be fetched again.
+          t.parser.setTags(headerTags);
+          doneCallback(false);
           return;
         }
-        t.fetchElement_(fileOffset, id, emptyReadSize, doneCallback);
+        fetchTagsElement(index + 1);
       });
-    return;
-  }
-
-  if (res.status != WebMParser.STATUS_OK) {
-    doneCallback(null);
-    return;
-  }
+  };
+  fetchTagsElement(0);
+};
 
-  var element = res.value;
-  this.file.read(element.length);
-  doneCallback(element);
+/**
+ * Returns the list of attachments. Each attachment has 'name', 'description',
+ * 'mimeType', 'uid', 'offset' and 'size'. 'offset' and 'size' are the byte
+ * range of the attachment data within the file.
+ * @return {Array} List of attachment Objects or null if the Attachments
+ *     element has not been parsed. See fetchAttachments.
+ */
+WebMFileParser.prototype.getAttachments = function() {
+  return this.attachments_;
 };
 
 /**
- * Asynchronous function to parse the WebM Segment headers and Cues element.
+ * Asynchronous function to list the attachments of the file. The Attachments
+ * element is fetched through the SeekHead. Only the element headers and the
+ * attachment descriptions are downloaded, the attachment data is skipped. If
+ * the file has no Attachments element the list of attachments is set to an
+ * empty list. The Segment headers must be parsed before calling this
+ * function.
  * @param {function} doneCallback Return function. First parameter passes
  *     back a boolean with a value of true if the call was successful.
- * @param {number} ensureSize Value to make sure |ensureSize| bytes are stored
- *     in memory.
  */
-WebMFileParser.prototype.doParseHeaders = function(doneCallback, ensureSize) {
+WebMFileParser.prototype.fetchAttachments = function(doneCallback) {
+  if (this.attachments_ != null) {
+    doneCallback(true);
+    return;
+  }
+
+  var seekHead = this.parser.getSeekHead();
+  if (!seekHead || !('ATTACHMENTS' in seekHead)) {
+    this.attachments_ = [];
+    doneCallback(true);
+    return;
+  }
+
   var t = this;
-  this.file.ensureEnoughBytes(ensureSize, function(success) {
-      if (!success) {
-        doneCallback(false);
-        return;
-      }
+  var readWindow = {offset: 0, buf: null};
+  var attachments = [];
+  var listEnd = 0;
+
+  var fetchNextFile = function(offset) {
+    if (offset >= listEnd) {
+      t.attachments_ = attachments;
+      doneCallback(true);
+      return;
+    }
 
-      var res = t.parser.parseEBMLHeader_(t.file.getBuffer(), t.file.getIndex(),
-                                          t.file.getBytesAvailable());
-      if (res.status != WebMParser.STATUS_OK) {
+    t.fetchElementHeader_(readWindow, offset, listEnd, function(res) {
+      if (!res) {
         doneCallback(false);
         return;
       }
 
-      var originalOffset = t.file.getCurrentOffset();
-      t.file.read(res.bytesUsed);
-
-      var readOffset = t.file.getIndex();
-      var bufferOffset = t.file.getCurrentOffset();
-      res = t.parser.parseSegmentHeaders(
-          t.file.getBuffer(),
-          readOffset,
-          t.file.getBytesAvailable() - (readOffset - bufferOffset),
-          bufferOffset - readOffset);
-      if (res.status == WebMParser.STATUS_OK) {
-        t.file.read(res.bytesUsed);
-      } else if (res.status == WebMParser.STATUS_NEED_MORE_DATA) {
-        t.file.seek(originalOffset);
-        // Fetch more bytes and try again.
-        window.setTimeout(function() {
-          t.doParseHeaders(doneCallback, 2 * ensureSize);
-        }, 0);
-        return;
-      } else if (res.status != WebMParser.STATUS_OK) {
-        doneCallback(false);
+      var dataOffset = offset + res.bytesUsed;
+      var nextOffset = dataOffset + res.elementSize;
+      if (res.id != 0x61A7) {
+        fetchNextFile(nextOffset);
         return;
       }
 
-      t.fetchIndex(function(success) {
-        doneCallback(success);
-      });
+      var attachment = {
+        name: '',
+        description: '',
+        mimeType: '',
+        uid: 0,
+        offset: -1,
+        size: 0
+      };
+      t.fetchAttachedFile_(readWindow, dataOffset, nextOffset, attachment,
+        function(success) {
+          if (!success || attachment.offset == -1) {
+            t.log('Invalid AttachedFile at offset ' + offset);
+            doneCallback(false);
+            return;
+          }
+
+          attachments.push(attachment);
+          fetchNextFile(nextOffset);
+        });
     });
+  };
+
+  var offset = seekHead['ATTACHMENTS'];
+  this.fetchElementHeader_(readWindow, offset, -1, function(res) {
+    if (!res || res.id != 0x1941A469) {
+      t.log('Could not find Attachments at offset ' + offset);
+      doneCallback(false);
+      return;
+    }
+
+    listEnd = offset + res.bytesUsed + res.elementSize;
+    fetchNextFile(offset + res.bytesUsed);
+  });
 };
 
 /**
- * Asynchronous function to parse the WebM Segment headers and Cues element.
+ * Asynchronous function to parse the children of an AttachedFile element.
+ * The FileData element is skipped and its byte range is set on |attachment|.
+ * @param {Object} readWindow The current read window. 'offset' is the file
+ *     offset of 'buf'.
+ * @param {number} offset Starting offset of the AttachedFile data.
+ * @param {number} end Ending offset of the AttachedFile element.
+ * @param {Object} attachment Attachment Object to fill in.
  * @param {function} doneCallback Return function. First parameter passes
  *     back a boolean with a value of true if the call was successful.
+ * @private
  */
-WebMFileParser.prototype.parseHeaders = function(doneCallback) {
-  this.doParseHeaders(doneCallback, 4096);
-};
+WebMFileParser.prototype.fetchAttachedFile_ = function(readWindow, offset,
+                                                       end, attachment,
+                                                       doneCallback) {
+  if (offset >= end) {
+    doneCallback(true);
+    return;
+  }
 
-/**
- * Returns a buffer containing the SegmentInfo element. The buffer includes
- * the element header.
- * @return {Uint8Array} SegmentInfo buffer or null.
- */
-WebMFileParser.prototype.getInfo = function() {
-  if (!this.parser)
-    return null;
-  return this.parser.getInfo();
-};
+  var t = this;
+  this.fetchElementHeader_(readWindow, offset, end, function(res) {
+    if (!res) {
+      doneCallback(false);
+      return;
+    }
 
-/**
- * Returns a buffer containing the Tracks element. The buffer includes the
- * element header.
- * @return {Uint8Array} Tracks buffer or null.
- */
-WebMFileParser.prototype.getTracks = function() {
-  if (!this.parser)
-    return null;
-  return this.parser.getTracks();
-};
+    var elementSize = res.bytesUsed + res.elementSize;
+    if (res.id == 0x465C) {
+      attachment.offset = offset + res.bytesUsed;
+      attachment.size = res.elementSize;
+      t.fetchAttachedFile_(readWindow, offset + elementSize, end,
+                           attachment, doneCallback);
+      return;
+    }
 
-/**
- * Return an object which contains the track number, uid, type, and buffer
- * containing a track element which includes the element header.
- * @param {number} index Index into the |trackObjects_| array.
- * @return {Object} Track Object or null.
- */
-WebMFileParser.prototype.getTrackObject = function(index) {
-  if (!this.parser)
-    return null;
-  return this.parser.getTrackObject(index);
-};
+    t.fetchWindow_(readWindow, offset, elementSize, function(success) {
+      if (!success) {
+        doneCallback(false);
+        return;
+      }
 
-/**
- * Return the number of track objects.
- * @return {number} Number of track objects.
- */
-WebMFileParser.prototype.getTrackObjectLength = function() {
-  if (!this.parser)
-    return 0;
-  return this.parser.getTrackObjectLength();
-};
+      var res = t.parser.parseList_(WebMParser.ATTACHED_FILE_IDS_,
+                                    readWindow.buf,
+                                    offset - readWindow.offset, elementSize,
+                                    attachment);
+      if (res.status != WebMParser.STATUS_OK) {
+        t.log('Invalid AttachedFile data. reason:' + res.reason);
+        doneCallback(false);
+        return;
+      }
 
-/**
- * Returns the file offset of the first Cluster form the SeekHead.
- * @return {number} File offset or -1 if there was an error.
- */
-WebMFileParser.prototype.getFirstClusterOffset = function() {
-  if (!this.parser)
-    return -1;
-  return this.parser.getFirstClusterOffset();
+      t.fetchAttachedFile_(readWindow, offset + elementSize, end,
+                           attachment, doneCallback);
+    });
+  });
 };
 
 /**
- * Checks if the WebM file is ready to seek.
- * @return {boolean} Returns true if the file headers and seek index have been
- *     parsed.
+ * Asynchronous function to parse an element header using |readWindow|.
+ * @param {Object} readWindow The current read window. 'offset' is the file
+ *     offset of 'buf'.
+ * @param {number} offset Starting offset of the element.
+ * @param {number} end Ending offset of the parent element or -1 if unknown.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back the Object returned from EbmlParser.parseElementHeader or null on
+ *     error.
+ * @private
  */
-WebMFileParser.prototype.canSeek = function() {
-  return this.parser != null && this.parser.getCues() != null;
-};
+WebMFileParser.prototype.fetchElementHeader_ = function(readWindow, offset,
+                                                        end, doneCallback) {
+  var size = EbmlParser.MAX_ELEMENT_HEADER_SIZE;
+  if (end != -1 && offset + size > end)
+    size = end - offset;
 
-/**
- * Removes Cue elements after the first Cue element in the same Cluster.
- * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
- *     'value' is true on success.
- */
-WebMFileParser.prototype.squishCues = function() {
-  if (!this.parser) {
-    return {status: WebMParser.STATUS_INVALID_DATA,
-            reason: 'WebMParser is not valid.'};
-  }
-  return this.parser.squishCues();
+  var t = this;
+  this.fetchWindow_(readWindow, offset, size, function(success) {
+    if (!success) {
+      doneCallback(null);
+      return;
+    }
+
+    var start = offset - readWindow.offset;
+    var res = EbmlParser.parseElementHeader(readWindow.buf, start,
+                                            readWindow.buf.length - start);
+    if (res.status != EbmlParser.STATUS_OK ||
+        res.elementSize == EbmlParser.UNKNOWN_SIZE ||
+        (end != -1 && offset + res.bytesUsed + res.elementSize > end)) {
+      doneCallback(null);
+      return;
+    }
+    doneCallback(res);
+  });
 };
 
 /**
- * Asynchronous function to get and parse a WebM Cues element. The list of
- * CuePoints is stored in |cues_|. There must be a seek entry for a Cues
- * element or the function will return an error.
+ * Asynchronous function to make sure that |size| bytes starting at |offset|
+ * are in |readWindow|. Reads at least |opt_readSize| bytes at a time using
+ * unbuffered reads.
+ * @param {Object} readWindow The current read window. 'offset' is the file
+ *     offset of 'buf'.
+ * @param {number} offset Starting offset.
+ * @param {number} size Number of bytes needed.
  * @param {function} doneCallback Return function. First parameter passes
  *     back a boolean with a value of true if the call was successful.
+ * @param {number} opt_readSize Optional minimum number of bytes to read.
+ *     Defaults to ATTACHMENTS_READ_SIZE_.
+ * @private
  */
-WebMFileParser.prototype.fetchIndex = function(doneCallback) {
-  var seekHead = this.parser.getSeekHead();
-
-  if (!('CUES' in seekHead)) {
-    doneCallback(false);
+WebMFileParser.prototype.fetchWindow_ = function(readWindow, offset, size,
+                                                 doneCallback,
+                                                 opt_readSize) {
+  if (readWindow.buf && offset >= readWindow.offset &&
+      offset + size <= readWindow.offset + readWindow.buf.length) {
+    doneCallback(true);
     return;
   }
 
-  var t = this;
-  var cuesOffset = seekHead['CUES'];
-  this.fetchElement_(
-      cuesOffset, 0x1C53BB6B, 4096,
-      function(element) {
-        if (!element) {
-          doneCallback(false);
-          return;
-        }
+  var readSize = Math.max(size, opt_readSize ||
+                                WebMFileParser.ATTACHMENTS_READ_SIZE_);
+  this.file.fetchBytesUnbuffered(offset, readSize, function(buf) {
+    if (!buf || buf.length < size) {
+      doneCallback(false);
+      return;
+    }
+
+    readWindow.offset = offset;
+    readWindow.buf = buf;
+    doneCallback(true);
+  });
+};
 
-        var res = t.parser.parseCues_(element, 0, element.length, cuesOffset);
-        if (res.status != WebMParser.STATUS_OK) {
-          doneCallback(false);
-          return;
-        }
-        doneCallback(true);
-      });
+/**
+ * Asynchronous function to download the data of an attachment.
+ * @param {Object} attachment Attachment Object returned from getAttachments.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back an Uint8Array with the attachment data or null on error.
+ */
+WebMFileParser.prototype.fetchAttachmentData = function(attachment,
+                                                        doneCallback) {
+  if (attachment.size == 0) {
+    doneCallback(new Uint8Array(0));
+    return;
+  }
+
+  this.file.fetchBytesUnbuffered(attachment.offset, attachment.size,
+    function(buf) {
+      if (!buf || buf.length != attachment.size) {
+        doneCallback(null);
+        return;
+      }
+      doneCallback(buf);
+    });
 };
 
 /**
@@ -1452,9 +4975,12 @@ WebMFileParser.prototype.fetchIndex = function(doneCallback) {
  * @param {function} doneCallback Return function. First parameter passes back
  *     the Cluster time in seconds or -1 on error. Second parameter passes
  *     back the Cluster offset or -1 on error.
+ * @param {number} opt_trackNumber Optional. Only use the CuePoints of this
+ *     track.
  */
-WebMFileParser.prototype.getClusterOffset = function(seekTime, doneCallback) {
-  var cues = this.parser.getCues();
+WebMFileParser.prototype.getClusterOffset = function(seekTime, doneCallback,
+                                                     opt_trackNumber) {
+  var cues = this.parser.getCues(opt_trackNumber);
 
   if (cues == null) {
     var t = this;
@@ -1464,11 +4990,16 @@ WebMFileParser.prototype.getClusterOffset = function(seekTime, doneCallback) {
         return;
       }
 
-      t.getClusterOffset(seekTime, doneCallback);
+      t.getClusterOffset(seekTime, doneCallback, opt_trackNumber);
     });
     return;
   }
 
+  if (cues.length == 0) {
+    doneCallback(-1, -1);
+    return;
+  }
+
   var l = 0;
   var r = cues.length - 1;
   if (seekTime >= cues[r].cueTime)
@@ -1492,12 +5023,14 @@ WebMFileParser.prototype.getClusterOffset = function(seekTime, doneCallback) {
  * @param {number} clusterOffset Starting Cluster offset.
  * @param {function} doneCallback Return function. First parameter passes back
  *     the Cluster length or -1 on error. Second parameter passes
- *     back the Cluster buffer or null on error.
+ *     back the Cluster buffer or null on error. Third parameter passes back
+ *     the error status Object on error. See fetchElement_.
  */
 WebMFileParser.prototype.getCluster = function(clusterOffset, doneCallback) {
-  this.fetchElement_(clusterOffset, 0x1F43B675, 4 * 4096, function(element) {
+  this.fetchElement_(clusterOffset, 0x1F43B675, 4 * 4096,
+                     function(element, status) {
     if (!element) {
-      doneCallback(-1, null);
+      doneCallback(-1, null, status);
       return;
     }
     doneCallback(clusterOffset + element.length, element);
@@ -1505,12 +5038,20 @@ WebMFileParser.prototype.getCluster = function(clusterOffset, doneCallback) {
 };
 
 /**
- * Parses a Cluster element.
+ * Parses a Cluster element. A Cluster of unknown size ends at the next
+ * Segment level element or at the end of |cluster|.
  * @param {UintArray8} cluster Cluster element including the header.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
  *     'value' is an Object representing a WebM Cluster element.
  *     'value.clusterTime' is the time of the Cluster in seconds and
- *     'value.blockInfo' is a list of WebM Blocks.
+ *     'value.blockInfo' is a list of WebM Blocks. 'blockInfo.blockTime' has
+ *     the track's TrackTimecodeScale and CodecDelay applied and may be
+ *     negative, see WebMParser.getBlockTime. Each frame in
+ *     'blockInfo.frames' has a 'time' in seconds. Frame times of laced Blocks
+ *     are derived from the track's DefaultDuration, the BlockDuration or, if
+ *     neither is set, from the time of the next Block of the same track.
+ *     Blocks of encrypted tracks have their encryption header in
+ *     'blockInfo.encryption'.
  */
 WebMFileParser.prototype.parseCluster = function(cluster) {
   var start = 0;
@@ -1521,27 +5062,108 @@ WebMFileParser.prototype.parseCluster = function(cluster) {
     return res;
   }
 
+  var endIds = null;
+  if (res.elementSize == EbmlParser.UNKNOWN_SIZE) {
+    endIds = WebMParser.TOP_LEVEL_IDS_;
+  } else if (res.bytesUsed + res.elementSize < size) {
+    size = res.bytesUsed + res.elementSize;
+  }
+
   start += res.bytesUsed;
   size -= res.bytesUsed;
 
   var clusterInfo = {dataOffset: start, blockInfo: []};
   res = this.parser.parseList_(WebMParser.CLUSTER_IDS_, cluster, start, size,
-                               clusterInfo);
+                               clusterInfo, endIds);
 
   if (res.status != WebMParser.STATUS_OK) {
     return res;
   }
+  res.value.dataSize = res.bytesUsed;
 
-  var timeScale = this.timecodeScale_ / 1000000000.0;
-  res.value.clusterTime = res.value.clusterTimecode * timeScale;
+  var timeScale = this.parser.getTimecodeScale() / 1000000000.0;
+  var clusterTimecode = res.value.clusterTimecode;
+  res.value.clusterTime = clusterTimecode * timeScale;
   var blockInfoCount = res.value.blockInfo.length;
   for (var i = 0; i < blockInfoCount; i++) {
     var bi = res.value.blockInfo[i];
-    bi.blockTime = res.value.clusterTime + bi.timecode * timeScale;
+    bi.blockTime = this.parser.getBlockTime(bi.trackNum, clusterTimecode,
+                                            bi.timecode);
+    if (bi.duration > 0)
+      bi.blockDuration = this.parser.getBlockDuration(bi.trackNum,
+                                                      bi.duration);
   }
+
+  for (var i = 0; i < blockInfoCount; i++)
+    this.setFrameTimes_(res.value.blockInfo, i);
+
+  var encryptionRes = this.setBlockEncryption_(cluster, res.value.blockInfo);
+  if (encryptionRes.status != WebMParser.STATUS_OK)
+    return encryptionRes;
   return res;
 };
 
+/**
+ * Parses the encryption headers of the frames from encrypted tracks. Sets
+ * 'encryption' on each frame and on the Block from its first frame. See
+ * WebMParser.parseEncryptedFrame_ for the format of 'encryption'.
+ * @param {UintArray8} cluster Cluster element including the header.
+ * @param {Array} blockInfo List of Blocks in |cluster|.
+ * @return {Object} Status object.
+ * @private
+ */
+WebMFileParser.prototype.setBlockEncryption_ = function(cluster, blockInfo) {
+  for (var i = 0; i < blockInfo.length; i++) {
+    var bi = blockInfo[i];
+    if (!this.isTrackEncrypted(bi.trackNum))
+      continue;
+
+    for (var j = 0; j < bi.frames.length; j++) {
+      var frame = bi.frames[j];
+      var res = this.parser.parseEncryptedFrame_(cluster, frame.offset,
+                                                 frame.size);
+      if (res.status != WebMParser.STATUS_OK)
+        return res;
+      frame.encryption = res.value;
+    }
+    bi.encryption = bi.frames[0].encryption;
+  }
+  return {status: WebMParser.STATUS_OK};
+};
+
+/**
+ * Sets the time of each frame in a Block. |blockTime| must be set on all of
+ * the Blocks in |blockInfo|.
+ * @param {Array} blockInfo List of Blocks in a Cluster.
+ * @param {number} index Index of the Block to set the frame times on.
+ * @private
+ */
+WebMFileParser.prototype.setFrameTimes_ = function(blockInfo, index) {
+  var bi = blockInfo[index];
+  var frameCount = bi.frames.length;
+  var frameDuration = -1;
+
+  var track = this.parser.findTrack_(bi.trackNum);
+  if (track && track.DefaultDuration) {
+    frameDuration = track.DefaultDuration / 1000000000.0;
+  } else if (bi.blockDuration > 0) {
+    frameDuration = bi.blockDuration / frameCount;
+  } else if (frameCount > 1) {
+    for (var i = index + 1; i < blockInfo.length; i++) {
+      if (blockInfo[i].trackNum == bi.trackNum) {
+        frameDuration = (blockInfo[i].blockTime - bi.blockTime) / frameCount;
+        break;
+      }
+    }
+  }
+
+  bi.frameDuration = frameDuration;
+  for (var i = 0; i < frameCount; i++) {
+    var offset = frameDuration > 0 ? i * frameDuration : 0;
+    bi.frames[i].time = bi.blockTime + offset;
+  }
+};
+
 /**
  * Returns a new Cluster buffer truncated to |time|.
  * @param {UintArray8} cluster Source Cluster buffer.
@@ -1558,8 +5180,15 @@ WebMFileParser.prototype.truncateCluster = function(cluster, time) {
     return res;
   }
 
+  // The Block times have the CodecDelay of their track subtracted, so the
+  // start of the Cluster is taken per track in the same way.
   var ci = res.value;
-  if (ci.clusterTime > time) {
+  var clusterTime = ci.clusterTime;
+  for (var i = 0; i < ci.blockInfo.length; i++) {
+    clusterTime = Math.min(clusterTime, this.parser.getBlockTime(
+        ci.blockInfo[i].trackNum, ci.clusterTimecode, 0));
+  }
+  if (clusterTime > time) {
     return {status: WebMParser.STATUS_INVALID_DATA,
             reason: 'Specified time is before the start of the cluster'};
   }
@@ -1570,7 +5199,6 @@ WebMFileParser.prototype.truncateCluster = function(cluster, time) {
   for (var i = 0; i < blockCount; i++) {
     var bi = ci.blockInfo[i];
     if (bi.blockTime > time) {
-      // TODO(fgalligan): Change function to work with Blocks too.
       endOffset = bi.blockOffset;
       endTime = bi.blockTime;
       break;
@@ -1582,22 +5210,520 @@ WebMFileParser.prototype.truncateCluster = function(cluster, time) {
             reason: 'Failed to find a block after ' + time};
   }
 
-  var headerSize = this.EMPTY_CLUSTER_.length;
   var dataSize = endOffset - ci.dataOffset;
-  var newCluster = new Uint8Array(headerSize + dataSize);
-  newCluster.set(this.EMPTY_CLUSTER_, 0);
-  newCluster.set(cluster.subarray(ci.dataOffset, endOffset), headerSize);
-  var tmp = dataSize;
-  for (var i = 0; i < 7; ++i) {
-    newCluster[11 - i] = tmp & 0xff;
-    tmp >>= 8;
-  }
+  var header = WebMFileParser.createClusterHeader_(dataSize);
+  var newCluster = new Uint8Array(header.length + dataSize);
+  newCluster.set(header, 0);
+  newCluster.set(cluster.subarray(ci.dataOffset, endOffset), header.length);
 
   return {status: WebMParser.STATUS_OK,
           endTime: endTime,
           cluster: newCluster};
 };
 
+/**
+ * Returns the index of the Block a Cluster can start at for |time|. This is
+ * the last video keyframe at or before |time|. If the Cluster does not have
+ * any video Blocks, e.g. audio, it is the last Block at or before |time|.
+ * @param {Array} blockInfo List of Blocks from parseCluster.
+ * @param {number} time Time in seconds.
+ * @return {number} Index of the Block or -1 if there is no Block to start at.
+ * @private
+ */
+WebMFileParser.prototype.getStartBlockIndex_ = function(blockInfo, time) {
+  var hasVideo = false;
+  for (var i = 0; i < blockInfo.length; i++) {
+    var track = this.parser.findTrack_(blockInfo[i].trackNum);
+    if (track && track.TrackType == WebMParser.TRACK_TYPE_VIDEO) {
+      hasVideo = true;
+      break;
+    }
+  }
+
+  var index = -1;
+  for (var i = 0; i < blockInfo.length; i++) {
+    var bi = blockInfo[i];
+    if (bi.blockTime > time)
+      break;
+    if (!bi.keyframe)
+      continue;
+    if (hasVideo) {
+      var track = this.parser.findTrack_(bi.trackNum);
+      if (!track || track.TrackType != WebMParser.TRACK_TYPE_VIDEO)
+        continue;
+    }
+    index = i;
+  }
+  return index;
+};
+
+/**
+ * Returns a new Cluster buffer with the Blocks from |start| to |end|. The new
+ * Cluster has the ClusterTimecode |clusterTimecode| and the relative timecode
+ * of each Block is changed so the Block times stay the same. Other elements
+ * before the first Block, e.g. CRC-32, are not copied.
+ * @param {UintArray8} cluster Source Cluster buffer.
+ * @param {Object} ci Cluster Object returned from parseCluster.
+ * @param {number} start Index of the first Block.
+ * @param {number} end Index after the last Block.
+ * @param {number} clusterTimecode ClusterTimecode of the new Cluster.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'value' is the new Cluster element including the header.
+ * @private
+ */
+WebMFileParser.prototype.createCluster_ = function(cluster, ci, start, end,
+                                                   clusterTimecode) {
+  // A Block with a negative relative timecode can put the ClusterTimecode
+  // before 0.
+  if (clusterTimecode < 0) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'ClusterTimecode would be negative:' + clusterTimecode};
+  }
+
+  var blockInfo = ci.blockInfo;
+  var startOffset = blockInfo[start].blockOffset;
+  var endOffset = ci.dataOffset + ci.dataSize;
+  if (end < blockInfo.length)
+    endOffset = blockInfo[end].blockOffset;
+
+  var timecodeElement = WebMFileParser.createClusterTimecode_(clusterTimecode);
+  var dataSize = timecodeElement.length + endOffset - startOffset;
+  var header = WebMFileParser.createClusterHeader_(dataSize);
+  var newCluster = new Uint8Array(header.length + dataSize);
+  newCluster.set(header, 0);
+  newCluster.set(timecodeElement, header.length);
+
+  var dataStart = header.length + timecodeElement.length;
+  newCluster.set(cluster.subarray(startOffset, endOffset), dataStart);
+
+  // The relative timecode is the 2 bytes before the flags byte of the Block.
+  var shift = clusterTimecode - ci.clusterTimecode;
+  for (var i = start; i < end; i++) {
+    var bi = blockInfo[i];
+    var timecode = bi.timecode - shift;
+    if (timecode < -32768 || timecode > 32767) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Block timecode does not fit in 16 bits'};
+    }
+    if (timecode < 0)
+      timecode += 65536;
+    var offset = dataStart + bi.dataOffset - 3 - startOffset;
+    newCluster[offset] = Math.floor(timecode / 256);
+    newCluster[offset + 1] = timecode % 256;
+  }
+
+  return {status: WebMParser.STATUS_OK,
+          value: newCluster};
+};
+
+/**
+ * Returns a new Cluster buffer that starts at |time|. The new Cluster starts
+ * at the last video keyframe at or before |time|, or at the Block that
+ * contains |time| if the Cluster does not have video. If |time| is before the
+ * first Block the new Cluster starts at the first Block. The ClusterTimecode is
+ * set to the timecode of the first Block and the Block timecodes are
+ * rewritten.
+ * @param {UintArray8} cluster Source Cluster buffer.
+ * @param {number} time Time in seconds to start the Cluster at.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'cluster' is the new WebM Cluster element including the header and
+ *     'startTime' is the start time of the new Cluster in seconds.
+ */
+WebMFileParser.prototype.trimClusterStart = function(cluster, time) {
+  var res = this.parseCluster(cluster);
+
+  if (res.status != WebMParser.STATUS_OK) {
+    return res;
+  }
+
+  var ci = res.value;
+  var start = this.getStartBlockIndex_(ci.blockInfo, time);
+  // A time before the first Block keeps the whole Cluster.
+  if (start == -1 && ci.blockInfo.length > 0 &&
+      time < ci.blockInfo[0].blockTime) {
+    start = 0;
+  }
+  if (start == -1) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Failed to find a keyframe before ' + time};
+  }
+
+  var bi = ci.blockInfo[start];
+  res = this.createCluster_(cluster, ci, start, ci.blockInfo.length,
+                            ci.clusterTimecode + bi.timecode);
+  if (res.status != WebMParser.STATUS_OK) {
+    return res;
+  }
+
+  return {status: WebMParser.STATUS_OK,
+          startTime: bi.blockTime,
+          cluster: res.value};
+};
+
+/**
+ * Splits a Cluster at |time| into two new Cluster buffers. The split point
+ * is chosen the same way as the start of trimClusterStart so the second
+ * Cluster can be decoded on its own. The first Cluster keeps the
+ * ClusterTimecode. The second Cluster's ClusterTimecode is the timecode of
+ * its first Block.
+ * @param {UintArray8} cluster Source Cluster buffer.
+ * @param {number} time Time in seconds to split the Cluster at.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'firstCluster' and 'secondCluster' are the new WebM Cluster elements
+ *     including the header and 'splitTime' is the start time of the second
+ *     Cluster in seconds.
+ */
+WebMFileParser.prototype.splitCluster = function(cluster, time) {
+  var res = this.parseCluster(cluster);
+
+  if (res.status != WebMParser.STATUS_OK) {
+    return res;
+  }
+
+  var ci = res.value;
+  var split = this.getStartBlockIndex_(ci.blockInfo, time);
+  if (split <= 0) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Failed to find a keyframe after the first Block before ' +
+                    time};
+  }
+
+  var first = this.createCluster_(cluster, ci, 0, split, ci.clusterTimecode);
+  if (first.status != WebMParser.STATUS_OK) {
+    return first;
+  }
+
+  var bi = ci.blockInfo[split];
+  var second = this.createCluster_(cluster, ci, split, ci.blockInfo.length,
+                                   ci.clusterTimecode + bi.timecode);
+  if (second.status != WebMParser.STATUS_OK) {
+    return second;
+  }
+
+  return {status: WebMParser.STATUS_OK,
+          splitTime: bi.blockTime,
+          firstCluster: first.value,
+          secondCluster: second.value};
+};
+
+/**
+ * Returns a new Cluster buffer with the ClusterTimecode moved by |offset|.
+ * The Block timecodes are relative so they do not change. The ClusterTimecode
+ * element is written with the smallest size that can hold the new value and
+ * the Cluster size is updated. The size field keeps its width unless the new
+ * size does not fit. A CRC-32 of the Cluster is recalculated.
+ * @param {UintArray8} cluster Source Cluster buffer.
+ * @param {number} offset Time in seconds to add to the Cluster time. May be
+ *     negative.
+ * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
+ *     'cluster' is the new WebM Cluster element including the header and
+ *     'clusterTimecode' is the new ClusterTimecode.
+ */
+WebMFileParser.prototype.shiftClusterTimecode = function(cluster, offset) {
+  var res = EbmlParser.parseElementHeader(cluster, 0, cluster.length);
+  if (res.status != EbmlParser.STATUS_OK) {
+    return res;
+  }
+
+  if (res.id != 0x1F43B675) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Unexpected element ID. Expected a Cluster ID'};
+  }
+
+  var headerSize = res.bytesUsed;
+  var unknownSize = res.elementSize == EbmlParser.UNKNOWN_SIZE;
+  var end = cluster.length;
+  if (!unknownSize)
+    end = Math.min(end, headerSize + res.elementSize);
+
+  // Find the ClusterTimecode and CRC-32 elements.
+  var crcOffset = -1;
+  var timecodeStart = -1;
+  var timecodeEnd = -1;
+  var timecode = 0;
+  var readOffset = headerSize;
+  while (readOffset < end) {
+    res = EbmlParser.parseElementHeader(cluster, readOffset, end - readOffset);
+    if (res.status != EbmlParser.STATUS_OK) {
+      return res;
+    }
+    if (res.elementSize == EbmlParser.UNKNOWN_SIZE)
+      break;
+
+    var dataOffset = readOffset + res.bytesUsed;
+    if (res.id == 0xBF && readOffset == headerSize) {  // CRC-32
+      crcOffset = dataOffset;
+    } else if (res.id == 0xE7) {  // ClusterTimecode
+      timecodeStart = readOffset;
+      timecodeEnd = dataOffset + res.elementSize;
+      timecode = EbmlParser.parseUInt(cluster, dataOffset,
+                                      res.elementSize).value;
+      break;
+    }
+    readOffset = dataOffset + res.elementSize;
+  }
+
+  if (timecodeStart == -1) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'Cluster does not contain a ClusterTimecode'};
+  }
+
+  var timeScale = this.parser.getTimecodeScale() / 1000000000.0;
+  var newTimecode = timecode + Math.round(offset / timeScale);
+  if (newTimecode < 0) {
+    return {status: WebMParser.STATUS_INVALID_DATA,
+            reason: 'ClusterTimecode would be negative:' + newTimecode};
+  }
+
+  var timecodeElement = WebMFileParser.createClusterTimecode_(newTimecode);
+  var dataSize = end - headerSize - (timecodeEnd - timecodeStart) +
+                 timecodeElement.length;
+  var header = null;
+  if (unknownSize) {
+    header = cluster.subarray(0, headerSize);
+  } else {
+    // The Cluster ID is 4 bytes.
+    header = WebMFileParser.createClusterHeader_(dataSize, headerSize - 4);
+  }
+
+  var newCluster = new Uint8Array(header.length + dataSize);
+  var writeOffset = 0;
+  newCluster.set(header, writeOffset);
+  writeOffset += header.length;
+  newCluster.set(cluster.subarray(headerSize, timecodeStart), writeOffset);
+  writeOffset += timecodeStart - headerSize;
+  newCluster.set(timecodeElement, writeOffset);
+  writeOffset += timecodeElement.length;
+  newCluster.set(cluster.subarray(timecodeEnd, end), writeOffset);
+
+  if (crcOffset != -1) {
+    // The checksum covers the Cluster data after the CRC-32 element and is
+    // stored in little endian order.
+    var crcStart = crcOffset - headerSize + header.length;
+    var crc = EbmlParser.crc32(newCluster, crcStart + 4,
+                               newCluster.length - crcStart - 4);
+    for (var i = 0; i < 4; ++i) {
+      newCluster[crcStart + i] = crc % 256;
+      crc = Math.floor(crc / 256);
+    }
+  }
+
+  return {status: WebMParser.STATUS_OK,
+          clusterTimecode: newTimecode,
+          cluster: newCluster};
+};
+
+/**
+ * Asynchronous function to get the frame index of a Cluster. The index is
+ * built the first time the Cluster is requested. The Cluster is read with
+ * unbuffered reads so the frame index can be used while cluster data is
+ * being read.
+ * @param {number} clusterOffset File offset of the Cluster.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back the frame index Object or null on error. 'offset' is the file
+ *     offset of the Cluster, 'nextOffset' is the file offset after the
+ *     Cluster, 'time' is the Cluster time in seconds and 'frames' is the list
+ *     of frames in file order. Each frame has 'trackNum', 'time' in seconds,
+ *     'keyframe', 'offset', the file offset of the frame data, and 'size'.
+ */
+WebMFileParser.prototype.getClusterFrameIndex = function(clusterOffset,
+                                                         doneCallback) {
+  if (clusterOffset in this.frameIndex_) {
+    doneCallback(this.frameIndex_[clusterOffset]);
+    return;
+  }
+
+  var t = this;
+  this.fetchElementUnbuffered_(clusterOffset, 0x1F43B675, 4 * 4096,
+                               function(cluster) {
+    if (!cluster) {
+      doneCallback(null);
+      return;
+    }
+
+    var res = t.parseCluster(cluster);
+    if (res.status != WebMParser.STATUS_OK) {
+      t.log('Could not parse Cluster at offset ' + clusterOffset + '. ' +
+            res.reason);
+      doneCallback(null);
+      return;
+    }
+
+    var ci = res.value;
+    var frames = [];
+    for (var i = 0; i < ci.blockInfo.length; i++) {
+      var bi = ci.blockInfo[i];
+      for (var j = 0; j < bi.frames.length; j++) {
+        frames.push({
+          trackNum: bi.trackNum,
+          time: bi.frames[j].time,
+          keyframe: bi.keyframe,
+          offset: clusterOffset + bi.frames[j].offset,
+          size: bi.frames[j].size
+        });
+      }
+    }
+
+    var index = {
+      offset: clusterOffset,
+      nextOffset: clusterOffset + ci.dataOffset + ci.dataSize,
+      time: ci.clusterTime,
+      frames: frames
+    };
+    t.frameIndex_[clusterOffset] = index;
+    doneCallback(index);
+  });
+};
+
+/**
+ * Returns the number of the first video track or of the first track if there
+ * is no video track.
+ * @return {number} Track number or 0 if there are no tracks.
+ * @private
+ */
+WebMFileParser.prototype.getDefaultTrackNumber_ = function() {
+  var trackNum = this.getVideoTrackNumber();
+  if (trackNum == 0 && this.getTrackObjectLength() > 0)
+    trackNum = this.getTrackObject(0).track.TrackNumber;
+  return trackNum;
+};
+
+/**
+ * Asynchronous function to find the last frame of a track at or before
+ * |time|. The Clusters of the CuePoint for |time| are searched first. If the
+ * frame is not found the Clusters of the previous CuePoints are searched.
+ * @param {number} time Time in seconds.
+ * @param {number} trackNum Track number.
+ * @param {boolean} keyframeOnly If true only keyframes are returned.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back the frame Object or null if it was not found.
+ * @private
+ */
+WebMFileParser.prototype.findFrame_ = function(time, trackNum, keyframeOnly,
+                                               doneCallback) {
+  var res = this.getCueIndexFromTime_(time);
+  if (res.status != WebMParser.STATUS_OK) {
+    this.log('findFrame_ ' + res.reason);
+    doneCallback(null);
+    return;
+  }
+
+  var t = this;
+  var searchCue = function(cueIndex) {
+    var res = t.getCueDescFromCue_(cueIndex);
+    if (res.status != WebMParser.STATUS_OK) {
+      doneCallback(null);
+      return;
+    }
+
+    var cueDesc = res.value;
+    var cueEnd = cueDesc.size == -1 ? -1 : cueDesc.offset + cueDesc.size;
+    var found = null;
+
+    var finishCue = function() {
+      if (found || cueIndex == 0) {
+        doneCallback(found);
+        return;
+      }
+      searchCue(cueIndex - 1);
+    };
+
+    var searchCluster = function(offset) {
+      t.getClusterFrameIndex(offset, function(index) {
+        if (!index) {
+          finishCue();
+          return;
+        }
+
+        var pastTime = false;
+        for (var i = 0; i < index.frames.length; i++) {
+          var frame = index.frames[i];
+          if (frame.trackNum != trackNum)
+            continue;
+          if (frame.time > time) {
+            pastTime = true;
+            continue;
+          }
+          if ((frame.keyframe || !keyframeOnly) &&
+              (!found || frame.time >= found.time)) {
+            found = frame;
+          }
+        }
+
+        if (pastTime || (cueEnd != -1 && index.nextOffset >= cueEnd)) {
+          finishCue();
+          return;
+        }
+        searchCluster(index.nextOffset);
+      });
+    };
+
+    searchCluster(cueDesc.offset);
+  };
+
+  searchCue(res.value);
+};
+
+/**
+ * Asynchronous function to get the nearest keyframe at or before |time|.
+ * If the Cues have not been parsed the function will try and parse the Cues.
+ * @param {number} time Time in seconds.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back the frame Object or null if there is no keyframe. See
+ *     getClusterFrameIndex for the format.
+ * @param {number} opt_trackNumber Optional track number. Defaults to the
+ *     first video track.
+ */
+WebMFileParser.prototype.getKeyframeBeforeTime = function(time, doneCallback,
+                                                          opt_trackNumber) {
+  this.getFrame_(time, true, doneCallback, opt_trackNumber);
+};
+
+/**
+ * Asynchronous function to get the frame that is shown at |time|, the last
+ * frame at or before |time|. If the Cues have not been parsed the function
+ * will try and parse the Cues.
+ * @param {number} time Time in seconds.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back the frame Object or null if there is no frame. See
+ *     getClusterFrameIndex for the format.
+ * @param {number} opt_trackNumber Optional track number. Defaults to the
+ *     first video track.
+ */
+WebMFileParser.prototype.getFrameAtTime = function(time, doneCallback,
+                                                   opt_trackNumber) {
+  this.getFrame_(time, false, doneCallback, opt_trackNumber);
+};
+
+/**
+ * Asynchronous function to find a frame once the Cues have been parsed. See
+ * findFrame_.
+ * @param {number} time Time in seconds.
+ * @param {boolean} keyframeOnly If true only keyframes are returned.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back the frame Object or null.
+ * @param {number} opt_trackNumber Optional track number.
+ * @private
+ */
+WebMFileParser.prototype.getFrame_ = function(time, keyframeOnly,
+                                              doneCallback, opt_trackNumber) {
+  var trackNum = opt_trackNumber || this.getDefaultTrackNumber_();
+
+  if (this.parser.getCues() == null) {
+    var t = this;
+    this.fetchIndex(function(success) {
+      if (!success) {
+        doneCallback(null);
+        return;
+      }
+      t.findFrame_(time, trackNum, keyframeOnly, doneCallback);
+    });
+    return;
+  }
+
+  this.findFrame_(time, trackNum, keyframeOnly, doneCallback);
+};
+
 /**
  * Set the file's duration.
  * @param {number} duration Duration of the file in seconds.
@@ -1607,14 +5733,21 @@ WebMFileParser.prototype.setDuration = function(duration) {
 };
 
 /**
- * Returns a cueDesc object.
+ * Returns a cueDesc object. 'trackNumber' is the track the cueDesc was
+ * selected with or 0. 'cueTrack' is the track of the CueTrackPositions.
+ * 'relativePosition' is the offset of the Block from the start of the Cluster
+ * data and 'duration' is the duration of the Block in seconds. Both are -1 if
+ * they are unknown.
  * @param {Object} index Index into the Cues list.
+ * @param {number} opt_trackNumber Optional. Index into the Cues list of this
+ *     track.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
  *     'value' is a cueDesc object.
  * @private
  */
-WebMFileParser.prototype.getCueDescFromCue_ = function(index) {
-  var cues = this.parser.getCues();
+WebMFileParser.prototype.getCueDescFromCue_ = function(index,
+                                                       opt_trackNumber) {
+  var cues = this.parser.getCues(opt_trackNumber);
   if (!cues || cues.length == 0) {
     return {status: WebMParser.STATUS_INVALID_DATA,
             reason: 'Cues is not valid.'};
@@ -1649,11 +5782,16 @@ WebMFileParser.prototype.getCueDescFromCue_ = function(index) {
     endTime = this.parser.duration_;
   }
 
+  var trackPosition = cues[index].trackPosition;
   var cueDesc = {
     time: cues[index].cueTime,
     offset: startOffset,
     size: size,
-    endTime: endTime
+    endTime: endTime,
+    trackNumber: opt_trackNumber || 0,
+    cueTrack: trackPosition.cueTrack,
+    relativePosition: trackPosition.cueRelativePosition,
+    duration: trackPosition.cueDuration
   };
 
   return {status: WebMParser.STATUS_OK,
@@ -1662,17 +5800,19 @@ WebMFileParser.prototype.getCueDescFromCue_ = function(index) {
 
 /**
  * Returns the first cueDesc object.
+ * @param {number} opt_trackNumber Optional. Only use the CuePoints of this
+ *     track.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
  *     'value' is a cueDesc object.
  */
-WebMFileParser.prototype.getFirstCueDesc = function() {
+WebMFileParser.prototype.getFirstCueDesc = function(opt_trackNumber) {
   var seekHead = this.parser.getSeekHead();
   if (!seekHead || !seekHead['CLUSTER']) {
     return {status: WebMParser.STATUS_INVALID_DATA,
             reason: 'SeekHead does not contain a valid Cluster entry.'};
   }
 
-  return this.getCueDescFromCue_(0);
+  return this.getCueDescFromCue_(0, opt_trackNumber);
 };
 
 /**
@@ -1680,11 +5820,14 @@ WebMFileParser.prototype.getFirstCueDesc = function() {
  *     |offset| with |offset| being greater than or equal to cueDesc's
  *     starting offset.
  * @param {number} offset Byte offset into the WebM file.
+ * @param {number} opt_trackNumber Optional. Only use the CuePoints of this
+ *     track.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
  *     'value' is a cueDesc object.
  */
-WebMFileParser.prototype.getCueDescFromOffset = function(offset) {
-  var cues = this.parser.getCues();
+WebMFileParser.prototype.getCueDescFromOffset = function(offset,
+                                                         opt_trackNumber) {
+  var cues = this.parser.getCues(opt_trackNumber);
   if (!cues || cues.length == 0) {
     return {status: WebMParser.STATUS_INVALID_DATA,
             reason: 'Cues is not valid.'};
@@ -1705,19 +5848,22 @@ WebMFileParser.prototype.getCueDescFromOffset = function(offset) {
     }
   }
 
-  return this.getCueDescFromCue_(l);
+  return this.getCueDescFromCue_(l, opt_trackNumber);
 };
 
 /**
  * Returns a Cue index that has a starting time that is closest to |time| with
  * |time| being greater than or equal to the Cue's starting time.
  * @param {number} time In seconds.
+ * @param {number} opt_trackNumber Optional. Only use the CuePoints of this
+ *     track.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
  *     'value' is a cueDesc index.
  * @private
  */
-WebMFileParser.prototype.getCueIndexFromTime_ = function(time) {
-  var cues = this.parser.getCues();
+WebMFileParser.prototype.getCueIndexFromTime_ = function(time,
+                                                         opt_trackNumber) {
+  var cues = this.parser.getCues(opt_trackNumber);
   if (!cues || cues.length == 0) {
     return {status: WebMParser.STATUS_INVALID_DATA,
             reason: 'Cues is not valid.'};
@@ -1746,15 +5892,18 @@ WebMFileParser.prototype.getCueIndexFromTime_ = function(time) {
  * Returns a cueDesc object that has a starting time that is closest to |time|
  * with |time| being greater than or equal to cueDesc's starting time.
  * @param {number} time In seconds.
+ * @param {number} opt_trackNumber Optional. Only use the CuePoints of this
+ *     track, e.g. the video track of a muxed file.
  * @return {Object} Status object. If 'status' is EbmlParser.STATUS_OK,
  *     'value' is a cueDesc object.
  */
-WebMFileParser.prototype.getCueDescFromTime = function(time) {
-  var res = this.getCueIndexFromTime_(time);
+WebMFileParser.prototype.getCueDescFromTime = function(time,
+                                                       opt_trackNumber) {
+  var res = this.getCueIndexFromTime_(time, opt_trackNumber);
   if (res.status != WebMParser.STATUS_OK)
     return res;
 
-  return this.getCueDescFromCue_(res.value);
+  return this.getCueDescFromCue_(res.value, opt_trackNumber);
 };
 
 /**
@@ -1764,7 +5913,9 @@ WebMFileParser.prototype.getCueDescFromTime = function(time) {
  * @param {number} bytesRead Number of bytes read in the current cluster.
  * @param {function} doneCallback Callback function. First parameter is the
  *     next cueDesc object or null on error. Second parameter is the cluster
- *     element or null on error.
+ *     element or null on error. Third parameter is the error status Object on
+ *     error. If CRC-32 verification is enabled and a cluster does not match
+ *     its CRC-32, 'status' is WebMParser.STATUS_CRC_MISMATCH.
  */
 WebMFileParser.prototype.getClusterFromCueDesc = function(cueDesc,
                                                           bytesRead,
@@ -1777,12 +5928,13 @@ WebMFileParser.prototype.getClusterFromCueDesc = function(cueDesc,
 
   var t = this;
   this.fetchElement_(offset, 0x1F43B675, size,
-    function(element) {
+    function(element, status) {
       if (!element) {
-        doneCallback(null, null);
+        doneCallback(null, null, status);
         return;
       }
-      var res = t.getCueDescFromOffset(offset + element.length);
+      var res = t.getCueDescFromOffset(offset + element.length,
+                                       cueDesc.trackNumber);
       if (res.status != WebMParser.STATUS_OK) {
         //this.log('Could not get cueDesc from offset. ' + res.reason);
         doneCallback(null, null);
@@ -1819,6 +5971,7 @@ WebMFileParser.prototype.parseFirstHeaders = function(offset, size,
      var res = t.parser.parseEBMLHeader_(t.file.getBuffer(), t.file.getIndex(),
                                          t.file.getBytesAvailable());
       if (res.status != WebMParser.STATUS_OK) {
+        t.log('Invalid EBML header. ' + res.reason);
         doneCallback(false);
         return;
       }
@@ -2104,6 +6257,7 @@ WebMFileParser.prototype.parseFirstHeadersUnbuffered = function(offset,
     var readOffset = 0;
     var res = t.parser.parseEBMLHeader_(buffer, readOffset, buffer.length);
     if (res.status != WebMParser.STATUS_OK) {
+      t.log('Invalid EBML header. ' + res.reason);
       doneCallback(false);
       return;
     }
@@ -2168,7 +6322,9 @@ WebMFileParser.prototype.fetchCuesUnbuffered = function(offset, size,
  * @param {Object} cueDesc cueDesc to read.
  * @param {function} doneCallback Callback function. First parameter is the
  *     next cueDesc object or null on error. Second parameter is the cluster
- *     element or null on error.
+ *     element or null on error. Third parameter is the error status Object on
+ *     error. If CRC-32 verification is enabled and a cluster does not match
+ *     its CRC-32, 'status' is WebMParser.STATUS_CRC_MISMATCH.
  */
 WebMFileParser.prototype.fetchCueData = function(cueDesc, doneCallback) {
   //this.log('fetchCueData offset:' + cueDesc.offset + ' url:' +
@@ -2192,7 +6348,9 @@ WebMFileParser.prototype.fetchCueData = function(cueDesc, doneCallback) {
  * @param {Object} cueDesc cueDesc to read.
  * @param {function} doneCallback Callback function. First parameter is the
  *     next cueDesc object or null on error. Second parameter is the cluster
- *     element or null on error.
+ *     element or null on error. Third parameter is the error status Object on
+ *     error. If CRC-32 verification is enabled and a cluster does not match
+ *     its CRC-32, 'status' is WebMParser.STATUS_CRC_MISMATCH.
  * @private
  */
 WebMFileParser.prototype.sendCueData_ = function(cueDesc, doneCallback) {
@@ -2217,7 +6375,8 @@ WebMFileParser.prototype.sendCueData_ = function(cueDesc, doneCallback) {
     // Check if we have downloaded all of the current cluster's data and we
     // should get the next cueDesc.
     if (bytesToSend == chunkSizeLeft) {
-      var res = this.getCueDescFromOffset(cueDesc.offset + cueDesc.size);
+      var res = this.getCueDescFromOffset(cueDesc.offset + cueDesc.size,
+                                          cueDesc.trackNumber);
       if (res.status != WebMParser.STATUS_OK) {
         this.log('sendCueData_ error Could not get cueDesc from offset. :' +
                  res.reason);
@@ -2236,6 +6395,18 @@ WebMFileParser.prototype.sendCueData_ = function(cueDesc, doneCallback) {
 
     var start = this.file.getIndex();
     var end = start + bytesToSend;
+    if (bytesToSend == chunkSize && this.parser.getVerifyCrc()) {
+      var crcRes = this.checkElementsCrc_(this.file.getBuffer(), start,
+                                          bytesToSend);
+      if (crcRes.status != WebMParser.STATUS_OK) {
+        this.log('sendCueData_ error offset:' + cueDesc.offset + ' ' +
+                 crcRes.reason);
+        this.file.discardBuffer();
+        doneCallback(null, null, crcRes);
+        return;
+      }
+    }
+
     var element = new Uint8Array(this.file.getBuffer().subarray(start, end));
     this.file.read(element.length);
 
@@ -2292,3 +6463,11 @@ WebMFileParser.prototype.getPartialDownloadSize = function() {
 WebMFileParser.prototype.setPartialDownloadSize = function(value) {
   this.partialDownloadSize = value;
 };
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    EbmlParser: EbmlParser,
+    WebMParser: WebMParser,
+    WebMFileParser: WebMFileParser
+  };
+}
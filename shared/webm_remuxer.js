@@ -0,0 +1,358 @@
+// Copyright (c) 2012 The WebM project authors. All Rights Reserved.
+// Use of this source code is governed by a BSD-style license
+// that can be found in the LICENSE file in the root of the source
+// tree. An additional intellectual property rights grant can be found
+// in the file PATENTS.  All contributing project authors may
+// be found in the AUTHORS file in the root of the source tree.
+
+'use strict';
+
+// Node loads the scripts that the browser loads with script tags.
+if (typeof module != 'undefined' && module.exports) {
+  var WebMParser = require('./webm_parser.js').WebMParser;
+  var WebMMuxer = require('./webm_muxer.js').WebMMuxer;
+}
+
+/**
+ * Class to remux separate WebM files, e.g. a video-only and an audio-only
+ * representation of a WebM On-Demand presentation, into one WebM file. The
+ * tracks of all of the files are merged into one Tracks element and their
+ * frames are interleaved by time into new Clusters with new Cues, see
+ * WebMMuxer. The output of remux is an Uint8Array, which can be wrapped in a
+ * Blob with createBlob in the browser. In Node the files are read through a
+ * NodeFileByteSource or a BufferByteSource, see
+ * WebMFileParser.setByteSource, and the output can be written with
+ * fs.writeFileSync.
+ * @param {Array} files List of WebMFileParser Objects to read from.
+ * @param {function} opt_log Optional logging function.
+ * @constructor
+ */
+function WebMRemuxer(files, opt_log) {
+  if (opt_log)
+    this.log = opt_log;
+
+  this.files_ = files;
+  this.muxer_ = null;
+}
+
+/**
+ * MIME type of the remuxed file.
+ * @const
+ * @type {string}
+ */
+WebMRemuxer.MIME_TYPE = 'video/webm';
+
+/**
+ * Logging function to be set by the application.
+ * @param {string} str The input string to be logged.
+ */
+WebMRemuxer.prototype.log = function(str) {};
+
+/**
+ * Static function to wrap the data returned from remux in a Blob.
+ * @param {Uint8Array} data WebM file data.
+ * @return {Blob} Blob of type MIME_TYPE.
+ */
+WebMRemuxer.createBlob = function(data) {
+  return new Blob([data], {type: WebMRemuxer.MIME_TYPE});
+};
+
+/**
+ * Asynchronous function to read all of the files and create the remuxed WebM
+ * file. The Segment headers and the Cues of the files are fetched if they
+ * have not been parsed yet. The TimecodeScale of the first file is used for
+ * the output.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a status Object. If 'status' is WebMParser.STATUS_OK, 'value' is
+ *     an Uint8Array with the WebM file.
+ */
+WebMRemuxer.prototype.remux = function(doneCallback) {
+  if (!this.files_ || this.files_.length == 0) {
+    doneCallback({status: WebMParser.STATUS_INVALID_DATA,
+                  reason: 'No files to remux.'});
+    return;
+  }
+
+  var t = this;
+  var readFile = function(index) {
+    if (index >= t.files_.length) {
+      doneCallback(t.muxer_.finalize());
+      return;
+    }
+
+    t.readFile_(t.files_[index], function(res) {
+      if (res.status != WebMParser.STATUS_OK) {
+        doneCallback(res);
+        return;
+      }
+      readFile(index + 1);
+    });
+  };
+
+  this.prepareFile_(this.files_[0], function(res) {
+    if (res.status != WebMParser.STATUS_OK) {
+      doneCallback(res);
+      return;
+    }
+
+    t.muxer_ = new WebMMuxer({
+      timecodeScale: t.files_[0].parser.getTimecodeScale()
+    });
+    readFile(0);
+  });
+};
+
+/**
+ * Asynchronous function to make sure the Segment headers and the Cues of
+ * |file| have been parsed.
+ * @param {WebMFileParser} file File to prepare.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a status Object.
+ * @private
+ */
+WebMRemuxer.prototype.prepareFile_ = function(file, doneCallback) {
+  var fetchIndex = function() {
+    if (file.parser.getCues() != null) {
+      doneCallback({status: WebMParser.STATUS_OK});
+      return;
+    }
+
+    file.fetchIndex(function(success) {
+      if (!success) {
+        doneCallback({status: WebMParser.STATUS_INVALID_DATA,
+                      reason: 'Could not get the Cues.'});
+        return;
+      }
+      doneCallback({status: WebMParser.STATUS_OK});
+    });
+  };
+
+  if (file.getTrackObjectLength() > 0) {
+    fetchIndex();
+    return;
+  }
+
+  file.parseHeaders(function(success) {
+    if (!success) {
+      doneCallback({status: WebMParser.STATUS_INVALID_DATA,
+                    reason: 'Could not parse the Segment headers.'});
+      return;
+    }
+    fetchIndex();
+  });
+};
+
+/**
+ * Asynchronous function to add the tracks and the frames of |file| to the
+ * muxer.
+ * @param {WebMFileParser} file File to read.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a status Object.
+ * @private
+ */
+WebMRemuxer.prototype.readFile_ = function(file, doneCallback) {
+  var t = this;
+  this.prepareFile_(file, function(res) {
+    if (res.status != WebMParser.STATUS_OK) {
+      doneCallback(res);
+      return;
+    }
+
+    res = t.addTracks_(file);
+    if (res.status != WebMParser.STATUS_OK) {
+      doneCallback(res);
+      return;
+    }
+    t.readClusters_(file, res.value, doneCallback);
+  });
+};
+
+/**
+ * Adds the tracks of |file| to the muxer.
+ * @param {WebMFileParser} file File with parsed Segment headers.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' maps the track numbers of |file| to the track numbers of the
+ *     output.
+ * @private
+ */
+WebMRemuxer.prototype.addTracks_ = function(file) {
+  var trackMap = {};
+  var count = file.getTrackObjectLength();
+  for (var i = 0; i < count; ++i) {
+    var track = file.getTrackObject(i).track;
+    if (file.isTrackEncrypted(track.TrackNumber)) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Encrypted tracks cannot be remuxed. Track:' +
+                      track.TrackNumber};
+    }
+
+    var desc = {
+      type: track.TrackType,
+      codecId: track.CodecID,
+      codecPrivate: track.CodecPrivate,
+      name: track.Name,
+      language: track.Language,
+      defaultDuration: track.DefaultDuration / 1000000000.0,
+      codecDelay: track.CodecDelay / 1000000000.0,
+      seekPreRoll: track.SeekPreRoll / 1000000000.0
+    };
+    if (track.Video) {
+      desc.width = track.Video.PixelWidth;
+      desc.height = track.Video.PixelHeight;
+      desc.displayWidth = track.Video.DisplayWidth;
+      desc.displayHeight = track.Video.DisplayHeight;
+    }
+    if (track.Audio) {
+      desc.samplingFrequency = track.Audio.SamplingFrequency;
+      desc.channels = track.Audio.Channels;
+      desc.bitDepth = track.Audio.BitDepth;
+    }
+
+    var res = this.muxer_.addTrack(desc);
+    if (res.status != WebMParser.STATUS_OK)
+      return res;
+    trackMap[track.TrackNumber] = res.value;
+  }
+  return {status: WebMParser.STATUS_OK, value: trackMap};
+};
+
+/**
+ * Asynchronous function to add the frames of all of the Clusters of |file|
+ * to the muxer. The Clusters are read in file order starting at the Cluster
+ * of each CuePoint. Clusters that are not referenced by a CuePoint are read
+ * by walking on from the previous Cluster. After the last CuePoint the
+ * Clusters are read until the end of the Segment or the first element that
+ * is not a Cluster.
+ * @param {WebMFileParser} file File with parsed Segment headers and Cues.
+ * @param {Object} trackMap Maps the track numbers of |file| to the track
+ *     numbers of the output.
+ * @param {function} doneCallback Return function. First parameter passes
+ *     back a status Object.
+ * @private
+ */
+WebMRemuxer.prototype.readClusters_ = function(file, trackMap, doneCallback) {
+  var cues = file.parser.getCues();
+  var cueOffsets = [];
+  for (var i = 0; i < cues.length; ++i) {
+    var offset = cues[i].trackPosition.cueClusterPos;
+    if (cueOffsets.length == 0 || offset > cueOffsets[cueOffsets.length - 1])
+      cueOffsets.push(offset);
+  }
+
+  var end = file.parser.getSegmentEndOffset();
+  if (end == -1)
+    end = file.file.getFileLength();
+
+  var t = this;
+  var cueIndex = 0;
+  var readCluster = function(offset) {
+    while (cueIndex < cueOffsets.length && cueOffsets[cueIndex] <= offset)
+      ++cueIndex;
+    var nextCueOffset = cueIndex < cueOffsets.length ?
+        cueOffsets[cueIndex] : -1;
+
+    if (end != -1 && offset >= end) {
+      doneCallback({status: WebMParser.STATUS_OK});
+      return;
+    }
+
+    file.getCluster(offset, function(length, cluster, status) {
+      if (!cluster) {
+        if (nextCueOffset != -1 &&
+            status.status != WebMParser.STATUS_NEED_MORE_DATA) {
+          // Skip the elements between the Clusters.
+          readCluster(nextCueOffset);
+          return;
+        }
+        if (nextCueOffset != -1) {
+          doneCallback({status: WebMParser.STATUS_NEED_MORE_DATA,
+                        reason: 'Could not get the Cluster at offset ' +
+                                offset});
+          return;
+        }
+
+        // The Clusters end at the first element that is not a Cluster or at
+        // the end of a truncated file.
+        t.log('Stopped reading Clusters at offset ' + offset);
+        doneCallback({status: WebMParser.STATUS_OK});
+        return;
+      }
+
+      var res = t.addFrames_(file, cluster, trackMap);
+      if (res.status != WebMParser.STATUS_OK) {
+        res.reason = 'Could not remux the Cluster at offset ' + offset +
+                     '. ' + res.reason;
+        doneCallback(res);
+        return;
+      }
+      readCluster(offset + res.value);
+    });
+  };
+
+  if (cueOffsets.length == 0) {
+    doneCallback({status: WebMParser.STATUS_INVALID_DATA,
+                  reason: 'No Clusters to remux.'});
+    return;
+  }
+  readCluster(cueOffsets[0]);
+};
+
+/**
+ * Adds the frames of a Cluster to the muxer. The frames are timed without
+ * the track's CodecDelay, as the CodecDelay is written to the output track.
+ * The BlockDuration and the DiscardPadding of a Block are kept. The frames of
+ * a laced Block are written to separate Blocks, so the DiscardPadding goes
+ * to the last frame.
+ * @param {WebMFileParser} file File the Cluster belongs to.
+ * @param {Uint8Array} cluster Cluster element including the header.
+ * @param {Object} trackMap Maps the track numbers of |file| to the track
+ *     numbers of the output.
+ * @return {Object} Status object. If 'status' is WebMParser.STATUS_OK,
+ *     'value' is the size of the Cluster in bytes.
+ * @private
+ */
+WebMRemuxer.prototype.addFrames_ = function(file, cluster, trackMap) {
+  var res = file.parseCluster(cluster);
+  if (res.status != WebMParser.STATUS_OK)
+    return res;
+
+  var ci = res.value;
+  for (var i = 0; i < ci.blockInfo.length; ++i) {
+    var bi = ci.blockInfo[i];
+    if (!(bi.trackNum in trackMap)) {
+      return {status: WebMParser.STATUS_INVALID_DATA,
+              reason: 'Unknown track number:' + bi.trackNum};
+    }
+
+    var track = file.parser.findTrack_(bi.trackNum);
+    var codecDelay = track.CodecDelay / 1000000000.0;
+    var frameCount = bi.frames.length;
+    var duration = -1;
+    if (bi.blockDuration > 0)
+      duration = frameCount == 1 ? bi.blockDuration : bi.frameDuration;
+
+    for (var j = 0; j < frameCount; ++j) {
+      var frame = bi.frames[j];
+      var discardPadding = 0;
+      if (j == frameCount - 1 && bi.discardPadding)
+        discardPadding = bi.discardPadding / 1000000000.0;
+
+      res = this.muxer_.addFrame(trackMap[bi.trackNum], {
+        timestamp: Math.max(frame.time + codecDelay, 0),
+        keyframe: bi.keyframe,
+        data: cluster.subarray(frame.offset, frame.offset + frame.size),
+        duration: duration,
+        discardPadding: discardPadding
+      });
+      if (res.status != WebMParser.STATUS_OK)
+        return res;
+    }
+  }
+  return {status: WebMParser.STATUS_OK, value: ci.dataOffset + ci.dataSize};
+};
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    WebMRemuxer: WebMRemuxer
+  };
+}
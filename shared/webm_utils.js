@@ -48,6 +48,7 @@ var WEBM_ID_NAMES_ = {
   'AA': 'CODECDECODEALL',
   '536E': 'TRACKNAME',
   '22B59C': 'TRACKLANGUAGE',
+  '22B59D': 'TRACKLANGUAGEIETF',
   'B9': 'TRACKFLAGENABLED',
   '88': 'TRACKFLAGDEFAULT',
   '55AA': 'TRACKFLAGFORCED',
@@ -70,9 +71,37 @@ var WEBM_ID_NAMES_ = {
   '54DD': 'VIDEOPIXELCROPR',
   '54B2': 'VIDEODISPLAYUNIT',
   '9A': 'VIDEOFLAGINTERLACED',
-  '53B9': 'VIDEOSTEREOMODE',
+  '53B8': 'VIDEOSTEREOMODE',
+  '53B9': 'VIDEOOLDSTEREOMODE',
+  '53C0': 'VIDEOALPHAMODE',
+  '9D': 'VIDEOFIELDORDER',
   '54B3': 'VIDEOASPECTRATIO',
   '2EB524': 'VIDEOCOLORSPACE',
+  '55B0': 'VIDEOCOLOUR',
+  '55B1': 'COLOURMATRIXCOEFFICIENTS',
+  '55B2': 'COLOURBITSPERCHANNEL',
+  '55B3': 'COLOURCHROMASUBSAMPLINGHORZ',
+  '55B4': 'COLOURCHROMASUBSAMPLINGVERT',
+  '55B5': 'COLOURCBSUBSAMPLINGHORZ',
+  '55B6': 'COLOURCBSUBSAMPLINGVERT',
+  '55B7': 'COLOURCHROMASITINGHORZ',
+  '55B8': 'COLOURCHROMASITINGVERT',
+  '55B9': 'COLOURRANGE',
+  '55BA': 'COLOURTRANSFERCHARACTERISTICS',
+  '55BB': 'COLOURPRIMARIES',
+  '55BC': 'COLOURMAXCLL',
+  '55BD': 'COLOURMAXFALL',
+  '55D0': 'MASTERINGMETADATA',
+  '55D1': 'MASTERINGPRIMARYRCHROMATICITYX',
+  '55D2': 'MASTERINGPRIMARYRCHROMATICITYY',
+  '55D3': 'MASTERINGPRIMARYGCHROMATICITYX',
+  '55D4': 'MASTERINGPRIMARYGCHROMATICITYY',
+  '55D5': 'MASTERINGPRIMARYBCHROMATICITYX',
+  '55D6': 'MASTERINGPRIMARYBCHROMATICITYY',
+  '55D7': 'MASTERINGWHITEPOINTCHROMATICITYX',
+  '55D8': 'MASTERINGWHITEPOINTCHROMATICITYY',
+  '55D9': 'MASTERINGLUMINANCEMAX',
+  '55DA': 'MASTERINGLUMINANCEMIN',
   'B5': 'AUDIOSAMPLINGFREQ',
   '78B5': 'AUDIOOUTSAMPLINGFREQ',
   '6264': 'AUDIOBITDEPTH',
@@ -83,12 +112,25 @@ var WEBM_ID_NAMES_ = {
   '5034': 'ENCODINGCOMPRESSION',
   '4254': 'ENCODINGCOMPALGO',
   '4255': 'ENCODINGCOMPSETTINGS',
+  '5035': 'ENCODINGENCRYPTION',
+  '47E1': 'ENCRYPTIONALGO',
+  '47E2': 'ENCRYPTIONKEYID',
+  '47E3': 'ENCRYPTIONSIGNATURE',
+  '47E4': 'ENCRYPTIONSIGKEYID',
+  '47E5': 'ENCRYPTIONSIGALGO',
+  '47E6': 'ENCRYPTIONSIGHASHALGO',
+  '47E7': 'ENCRYPTIONAESSETTINGS',
+  '47E8': 'AESSETTINGSCIPHERMODE',
   'BB': 'POINTENTRY',
   'B3': 'CUETIME',
   'B7': 'CUETRACKPOSITION',
   'F7': 'CUETRACK',
   'F1': 'CUECLUSTERPOSITION',
+  'F0': 'CUERELATIVEPOSITION',
+  'B2': 'CUEDURATION',
   '5378': 'CUEBLOCKNUMBER',
+  'EA': 'CUECODECSTATE',
+  'DB': 'CUEREFERENCE',
   '7373': 'TAG',
   '67C8': 'SIMPLETAG',
   '45A3': 'TAGNAME',
@@ -96,12 +138,15 @@ var WEBM_ID_NAMES_ = {
   '447A': 'TAGLANG',
   '4484': 'TAGDEFAULT',
   '44B4': 'TAGDEFAULT_BUG',
+  '4485': 'TAGBINARY',
+  '447B': 'TAGLANGIETF',
   '63C0': 'TAGTARGETS',
   '63CA': 'TAGTARGETS_TYPE',
   '68CA': 'TAGTARGETS_TYPEVALUE',
   '63C5': 'TAGTARGETS_TRACKUID',
   '63C4': 'TAGTARGETS_CHAPTERUID',
   '63C6': 'TAGTARGETS_ATTACHUID',
+  '63C9': 'TAGTARGETS_EDITIONUID',
   '4DBB': 'SEEKENTRY',
   '53AB': 'SEEKID',
   '53AC': 'SEEKPOSITION',
@@ -119,6 +164,9 @@ var WEBM_ID_NAMES_ = {
   '4660': 'FILEMIMETYPE',
   '465C': 'FILEDATA',
   '46AE': 'FILEUID',
+  '4675': 'FILEREFERRAL',
+  '4661': 'FILEUSEDSTARTTIME',
+  '4662': 'FILEUSEDENDTIME',
   '45B9': 'EDITIONENTRY',
   'B6': 'CHAPTERATOM',
   '91': 'CHAPTERTIMESTART',
@@ -133,7 +181,14 @@ var WEBM_ID_NAMES_ = {
   '73C4': 'CHAPTERUID',
   '98': 'CHAPTERFLAGHIDDEN',
   '4598': 'CHAPTERFLAGENABLED',
-  '63C3': 'CHAPTERPHYSEQUIV'
+  '63C3': 'CHAPTERPHYSEQUIV',
+  '5654': 'CHAPTERSTRINGUID',
+  '6E67': 'CHAPTERSEGMENTUID',
+  '6EBC': 'CHAPTERSEGMENTEDITIONUID',
+  '8F': 'CHAPTERTRACK',
+  '437D': 'CHAPLANGIETF',
+  '437E': 'CHAPCOUNTRY',
+  '6944': 'CHAPPROCESS'
 };
 
 function webmGetIdName(id) {
@@ -142,5 +197,18 @@ function webmGetIdName(id) {
     return WEBM_ID_NAMES_[id_name_key];
   }
 
+  // Fall back to the names of the element schema if it is loaded.
+  if (typeof EbmlSchema != 'undefined') {
+    var element = EbmlSchema.getDefault().getElement(id_name_key);
+    if (element)
+      return element.name;
+  }
+
   return 'UNKNOWN(' + id_name_key + ')';
 }
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    webmGetIdName: webmGetIdName
+  };
+}